@@ -23,6 +23,9 @@ const {
   asyncHandler,
 } = require('./middleware/error-handler');
 
+// Import authentication
+const { identifyUser } = require('./middleware/auth');
+
 // Import request logging
 const {
   addRequestId,
@@ -31,15 +34,29 @@ const {
 } = require('./middleware/request-logger');
 
 // Import services
-const pdfService = require('./services/pdf-service');
-const docService = require('./services/doc-service');
+const extractionService = require('./services/extraction-service');
 const ocrService = require('./services/ocr-service');
+const ocrWorkerPool = require('./services/ocr-worker-pool');
 const storageService = require('./services/storage-service');
+const jobService = require('./services/job-service');
+const progressService = require('./services/progress-service');
+
+// Import utilities
+const ResponseFormatter = require('./utils/response-formatter');
+const fileValidator = require('./utils/file-validator');
+const { mapWithConcurrency } = require('./utils/concurrency');
+const { limitedDiskStorage } = require('./utils/limited-disk-storage');
+const { validate, validationSchemas, customValidators } = require('./utils/validation');
+const { negotiateFormat, renderDocument } = require('./utils/document-format');
+const { hashFile } = require('./utils/file-hash');
+const { chunkSettings, formFeedPageSpans, chunkText } = require('./utils/text-chunking');
+const { auditLogger } = require('./utils/audit-logger');
 
 // Import route modules
 const conversationsRouter = require('./routes/conversations');
 const chatRouter = require('./routes/chat');
 const documentsRouter = require('./routes/documents');
+const jobsRouter = require('./routes/jobs');
 
 const app = express();
 const PORT = constants.SERVER.PORT;
@@ -78,14 +95,19 @@ if (!fs.existsSync(tempDir)) {
   fs.mkdirSync(tempDir, { recursive: true });
 }
 
+// Unique name for the temporary copy of an upload, keeping its extension
+const tempFileName = (file) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname);
+};
+
 // Configure multer for temporary file uploads (before uploading to Supabase)
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
     cb(null, 'temp/');
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, tempFileName(file));
   }
 });
 
@@ -95,19 +117,7 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'image/png',
-      'image/jpeg',
-      'image/jpg',
-      'image/gif',
-      'image/bmp',
-      'image/tiff'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if (fileValidator.getFileType(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Unsupported file type'), false);
@@ -115,18 +125,44 @@ const upload = multer({
   }
 });
 
-// Helper function to determine service based on file type
-const getServiceForFile = (mimetype) => {
-  if (mimetype === 'application/pdf') {
-    return pdfService;
-  } else if (mimetype === 'application/msword' || 
-             mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-    return docService;
-  } else if (mimetype.startsWith('image/')) {
-    return ocrService;
+// Batch uploads fail bad files one by one instead of the whole request.
+// Files of an unsupported type are never written to disk, and files past the
+// size limit of their type or the batch total stop being written as soon as
+// they pass it; each is reported in its own result. Files are numbered in
+// upload order so that results keep that order.
+const batchUpload = multer({
+  storage: limitedDiskStorage({
+    destination: tempDir,
+    filename: tempFileName,
+    maxFileSize: file => fileValidator.getMaxFileSize(file.mimetype),
+    maxTotalSize: constants.FILES.BATCH.MAX_TOTAL_SIZE
+  }),
+  limits: {
+    files: constants.FILES.BATCH.MAX_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    req.rejectedFiles = req.rejectedFiles || [];
+    req.fileCount = (req.fileCount || 0) + 1;
+    file.index = req.fileCount;
+
+    const errors = fileValidator.validateType(file);
+    if (errors.length > 0) {
+      req.rejectedFiles.push({
+        index: file.index,
+        filename: file.originalname,
+        fileType: file.mimetype,
+        success: false,
+        error: errors.join('; ')
+      });
+      return cb(null, false);
+    }
+
+    cb(null, true);
   }
-  return null;
-};
+});
+
+// Helper function to determine service based on file type
+const getServiceForFile = (mimetype) => extractionService.getServiceForFile(mimetype);
 
 // Helper function to clean up temporary file
 const cleanupTempFile = (filePath) => {
@@ -141,12 +177,23 @@ const cleanupTempFile = (filePath) => {
 
 // Initialize Supabase Storage on startup
 const initializeApp = async () => {
+  // Load the OCR workers in the background; images queue until one is ready
+  ocrWorkerPool.start().then((workers) => {
+    logger.info('OCR worker pool started', { workers, languages: ocrWorkerPool.languages });
+  });
+
   try {
     const bucketInitialized = await storageService.initializeBucket();
     if (!bucketInitialized) {
       logger.warn('Could not initialize Supabase Storage bucket');
       logger.info('Supabase Storage bucket initialized successfully');
     }
+
+    // Pick up extraction jobs left queued or running by a previous process
+    const resumedJobs = await jobService.resumePendingJobs();
+    if (resumedJobs > 0) {
+      logger.info('Resumed pending extraction jobs', { count: resumedJobs });
+    }
   } catch (error) {
     logger.error('Error initializing application', { error: error.message });
   }
@@ -160,7 +207,13 @@ app.get('/', (req, res) => {
     storage: 'Supabase Storage',
     timestamp: new Date().toISOString(),
     endpoints: {
-      '/extract': 'POST - Upload file for text extraction',
+      '/extract': 'POST - Upload file for text extraction (?async=true to queue a job)',
+      '/extract/batch': 'POST - Upload multiple files for text extraction',
+      '/extract/:id/events': 'GET - Live progress of an extraction job (Server-Sent Events)',
+      '/metadata': 'POST - Upload file for document metadata',
+      '/chunk': 'POST - Split plain text into chunks for retrieval',
+      '/jobs/:id': 'GET - Extraction job status, DELETE - Cancel job',
+      '/jobs/:id/result': 'GET - Extraction job result',
       '/api/conversations': 'Conversation management endpoints',
       '/api/chat': 'Chat and AI interaction endpoints',
       '/api/documents': 'Document management endpoints',
@@ -181,30 +234,36 @@ app.get('/health', (req, res) => {
       pdf: 'online',
       doc: 'online',
       ocr: 'online',
+      text: 'online',
+      html: 'online',
+      rtf: 'online',
+      spreadsheet: 'online',
+      pptx: 'online',
+      opendocument: 'online',
+      email: 'online',
       storage: 'online',
     },
+    ocrPool: ocrWorkerPool.getStats(),
     version: constants.SERVER.API_VERSION,
     environment: constants.SERVER.NODE_ENV,
   });
 });
 
 app.get('/supported-formats', (req, res) => {
+  const supportedTypes = fileValidator.getAllSupportedTypes();
+
   res.json({
     formats: {
-      pdf: ['application/pdf'],
-      documents: [
-        'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-      ],
-      images: [
-        'image/png',
-        'image/jpeg',
-        'image/jpg',
-        'image/gif',
-        'image/bmp',
-        'image/tiff'
-      ]
-    }
+      pdf: supportedTypes.pdf,
+      documents: supportedTypes.document,
+      text: supportedTypes.text,
+      spreadsheets: supportedTypes.spreadsheet,
+      presentations: supportedTypes.presentation,
+      images: supportedTypes.image,
+      archives: supportedTypes.archive,
+      emails: supportedTypes.email
+    },
+    ocrLanguages: ocrService.getLanguages()
   });
 });
 
@@ -212,98 +271,469 @@ app.get('/supported-formats', (req, res) => {
 app.use('/api/conversations', conversationsRouter);
 app.use('/api/chat', chatRouter);
 app.use('/api/documents', documentsRouter);
+app.use('/jobs', jobsRouter);
 
 // Wrap the extract endpoint with async handler and enhanced error handling
-app.post('/extract', upload.single('file'), asyncHandler(async (req, res) => {
-    if (!req.file) {
-      return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
-        error: 'No file uploaded',
-        message: 'Please upload a file to extract text from'
-      });
-    }
+app.post('/extract', validate(validationSchemas.extractText, 'query'), identifyUser, upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+      error: 'No file uploaded',
+      message: 'Please upload a file to extract text from'
+    });
+  }
 
-    const { mimetype, originalname, size, path: tempFilePath } = req.file;
-    
-    logger.info('Processing file for text extraction', {
+  const { mimetype, originalname, size, path: tempFilePath } = req.file;
+  const { async: runAsync, ...queryOptions } = req.query;
+
+  // Extractors are told the format so they can keep headings and lists
+  const format = negotiateFormat(req);
+  if (!format) {
+    cleanupTempFile(tempFilePath);
+
+    return res.status(constants.HTTP_STATUS.NOT_ACCEPTABLE).json({
+      error: 'Not acceptable',
+      message: 'Results are available as application/json, text/plain, text/markdown or text/html'
+    });
+  }
+
+  const extractOptions = { ...queryOptions, format };
+  
+  logger.info('Processing file for text extraction', {
+    filename: originalname,
+    mimetype,
+    size,
+    format,
+    async: runAsync,
+    requestId: req.id,
+  });
+
+  // Determine which service to use
+  if (!getServiceForFile(mimetype)) {
+    cleanupTempFile(tempFilePath);
+
+    return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+      error: 'Unsupported file type',
+      message: 'Please upload a PDF, DOC, DOCX, ODT, text, HTML, RTF, spreadsheet, presentation, image, email, or ZIP file'
+    });
+  }
+
+  const outputError = customValidators.validateOutputForFile(req.file, extractOptions);
+  if (outputError) {
+    cleanupTempFile(tempFilePath);
+
+    return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+      error: 'Unsupported output',
+      message: outputError
+    });
+  }
+
+  let storageInfo = null;
+
+  try {
+    // Identical uploads share one stored object and one cached result
+    const contentHash = await hashFile(tempFilePath);
+    storageInfo = await storageService.storeFileByHash(tempFilePath, contentHash, originalname, mimetype);
+    logger.info('File uploaded to storage', {
+      path: storageInfo.path,
+      reused: storageInfo.reused,
       filename: originalname,
-      mimetype,
-      size,
       requestId: req.id,
     });
 
-    let storageInfo = null;
-    let downloadedFilePath = null;
-
-    try {
-      storageInfo = await storageService.uploadFile(tempFilePath, originalname, mimetype);
-      logger.info('File uploaded to storage', {
-        path: storageInfo.path,
-        filename: originalname,
+    // The upload is in storage now, so the local temp copy is no longer needed
+    cleanupTempFile(tempFilePath);
+
+    if (runAsync) {
+      const job = await jobService.createJob({
+        storagePath: storageInfo.path,
+        fileName: storageInfo.fileName,
+        originalName: originalname,
+        mimetype,
+        size,
+        options: { ...extractOptions, contentHash },
         requestId: req.id,
+        userId: req.user ? req.user.id : null,
       });
 
-      // Download file from storage for processing
-      downloadedFilePath = await storageService.downloadFile(storageInfo.path);
-
-      // Determine which service to use
-      const service = getServiceForFile(mimetype);
-      
-      if (!service) {
-        // Clean up files
-        cleanupTempFile(tempFilePath);
-        if (downloadedFilePath) storageService.cleanupTempFile(downloadedFilePath);
-        if (storageInfo) await storageService.deleteFile(storageInfo.path);
-        
-        return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
-          error: 'Unsupported file type',
-          message: 'Please upload a PDF, DOC, DOCX, or image file'
-        });
-      }
-
-      // Extract text using the appropriate service
-      const result = await service.extractText(downloadedFilePath);
-      
-      // Clean up temporary files (keep the file in Supabase Storage)
-      cleanupTempFile(tempFilePath);
-      if (downloadedFilePath) storageService.cleanupTempFile(downloadedFilePath);
-
-      logger.info('Text extraction completed successfully', {
+      logger.info('Extraction job queued', {
+        jobId: job.id,
         filename: originalname,
-        textLength: result.text.length,
-        processingTime: result.processingTime,
         requestId: req.id,
       });
 
-      // Return the extracted text
-      res.json({
+      return res.status(constants.HTTP_STATUS.ACCEPTED).json({
         success: true,
+        jobId: job.id,
+        status: job.status,
         filename: originalname,
-        fileType: mimetype,
-        fileSize: size,
-        storageInfo: {
-          path: storageInfo.path,
-          fileName: storageInfo.fileName
+        links: {
+          status: `/jobs/${job.id}`,
+          result: `/jobs/${job.id}/result`,
+          events: `/extract/${job.id}/events`,
         },
-        extractedText: result.text,
-        wordCount: result.text.split(/\s+/).filter(word => word.length > 0).length,
-        processingTime: result.processingTime,
         timestamp: new Date().toISOString()
       });
+    }
 
-    } catch (storageError) {
-      logger.error('Storage operation error', {
-        error: storageError.message,
-        filename: originalname,
-        requestId: req.id,
+    // Download from storage and extract text using the appropriate service
+    // (the file is kept in Supabase Storage)
+    const result = await extractionService.extractFromStorage(storageInfo.path, mimetype, { ...extractOptions, contentHash });
+
+    logger.info('Text extraction completed successfully', {
+      filename: originalname,
+      textLength: result.text.length,
+      processingTime: result.processingTime,
+      cacheHit: result.cache.hit,
+      requestId: req.id,
+    });
+
+    if (result.redaction) {
+      await auditLogger.logRedaction(result.redaction, { req, resource: originalname, cacheHit: result.cache.hit });
+    }
+
+    res.set('X-Cache', result.cache.hit ? 'HIT' : 'MISS');
+
+    // hOCR and ALTO are returned as the XML document itself
+    if (result.ocrDocument) {
+      return res.type(result.ocrDocument.mimeType).send(result.ocrDocument.content);
+    }
+
+    if (format !== 'json') {
+      const { contentType, content } = renderDocument(result, format);
+      return res.type(contentType).send(content);
+    }
+
+    // Return the extracted text
+    res.json(ResponseFormatter.extractionResponse(result, {
+      originalName: originalname,
+      mimetype,
+      size,
+    }, storageInfo));
+
+  } catch (storageError) {
+    logger.error('Storage operation error', {
+      error: storageError.message,
+      filename: originalname,
+      requestId: req.id,
+    });
+    
+    // Clean up files on storage error. The stored object is kept: other
+    // uploads of the same content may share it, even when this one stored it.
+    cleanupTempFile(tempFilePath);
+    
+    throw storageError;
+  }
+}));
+
+// Stream the progress of an asynchronous extraction job as Server-Sent
+// Events: `progress` on every stage or percent change, then `result` with the
+// extraction output or `error` when the job fails or is cancelled
+app.get('/extract/:id/events', validate(validationSchemas.jobParams, 'params'), identifyUser, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const JOB_STATUS = constants.JOBS.STATUS;
+
+  // Listen before loading the job so that no event is missed in between
+  const missed = [];
+  let onEvent = event => missed.push(event);
+  const unsubscribe = progressService.subscribe(id, event => onEvent(event));
+
+  let job;
+  try {
+    job = await jobService.getJob(id);
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+
+  if (!job || !jobService.canAccess(job, req.user)) {
+    unsubscribe();
+    return res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+      error: 'Job not found',
+      message: `No extraction job exists with id ${id}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let finishing = false;
+  let last = null;
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Compression holds output back until it is flushed
+    if (res.flush) res.flush();
+  };
+
+  // Comments keep proxies from closing a stream that is quiet for a while
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    if (res.flush) res.flush();
+  }, constants.JOBS.EVENTS_HEARTBEAT);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const sendOutcome = (finishedJob) => {
+    if (finishedJob.status === JOB_STATUS.COMPLETED) {
+      send('result', {
+        jobId: finishedJob.id,
+        ...ResponseFormatter.extractionResponse(finishedJob.result, {
+          originalName: finishedJob.original_name,
+          mimetype: finishedJob.mimetype,
+          size: finishedJob.size,
+        }, {
+          path: finishedJob.storage_path,
+          fileName: finishedJob.file_name,
+        }),
+      });
+    } else {
+      send('error', {
+        jobId: finishedJob.id,
+        status: finishedJob.status,
+        error: finishedJob.status === JOB_STATUS.CANCELLED ? 'Job cancelled' : 'Extraction failed',
+        message: finishedJob.status === JOB_STATUS.CANCELLED ? 'The job was cancelled' : finishedJob.error,
       });
-      
-      // Clean up files on storage error
-      cleanupTempFile(tempFilePath);
-      if (downloadedFilePath) storageService.cleanupTempFile(downloadedFilePath);
-      if (storageInfo) await storageService.deleteFile(storageInfo.path);
-      
-      throw storageError;
     }
+    close();
+  };
+
+  const handleEvent = (event) => {
+    if (closed) return;
+
+    // Events older than what the client has already seen are dropped
+    if (!last || event.progress > last.progress || (event.progress === last.progress && event.stage !== last.stage)) {
+      send('progress', { jobId: id, status: event.status, stage: event.stage, progress: event.progress, timestamp: event.timestamp });
+      last = event;
+    }
+
+    if (!jobService.isActive(event) && !finishing) {
+      finishing = true;
+      // The result is read from the job row, where it is stored
+      jobService.getJob(id)
+        .then(sendOutcome)
+        .catch((error) => {
+          send('error', { jobId: id, error: 'Result not available', message: error.message });
+          close();
+        });
+    }
+  };
+
+  req.on('close', close);
+
+  logger.info('Extraction event stream opened', {
+    jobId: id,
+    status: job.status,
+    requestId: req.id,
+  });
+
+  if (!jobService.isActive(job)) {
+    send('progress', { jobId: id, status: job.status, stage: job.stage, progress: job.progress, timestamp: job.updated_at });
+    return sendOutcome(job);
+  }
+
+  handleEvent({ status: job.status, stage: job.stage, progress: job.progress, timestamp: job.updated_at });
+  missed.forEach(handleEvent);
+  onEvent = handleEvent;
+}));
+
+// Read the document metadata of an uploaded file. Nothing is stored: the
+// file is read from the local upload and removed afterwards.
+app.post('/metadata', upload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+      error: 'No file uploaded',
+      message: 'Please upload a file to read metadata from'
+    });
+  }
+
+  const { mimetype, originalname, size, path: tempFilePath } = req.file;
+
+  if (!getServiceForFile(mimetype)) {
+    cleanupTempFile(tempFilePath);
+
+    return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+      error: 'Unsupported file type',
+      message: 'Please upload a PDF, DOC, DOCX, ODT, text, HTML, RTF, spreadsheet, presentation, image, email, or ZIP file'
+    });
+  }
+
+  const startTime = Date.now();
+
+  try {
+    const metadata = await extractionService.extractMetadata(tempFilePath, mimetype);
+
+    logger.info('Metadata extraction completed successfully', {
+      filename: originalname,
+      requestId: req.id,
+    });
+
+    res.json({
+      success: true,
+      filename: originalname,
+      fileType: mimetype,
+      fileSize: size,
+      metadata,
+      processingTime: `${Date.now() - startTime}ms`,
+      timestamp: new Date().toISOString()
+    });
+  } finally {
+    cleanupTempFile(tempFilePath);
+  }
+}));
+
+// Split plain text into chunks for retrieval. The text is the request body
+// as text/plain, so its offsets are exactly what the client sent; form feeds
+// separate pages and give each chunk its page number.
+app.post('/chunk',
+  express.text({ type: 'text/plain', limit: constants.CHUNKING.MAX_TEXT_SIZE }),
+  validate(validationSchemas.chunkText, 'query'),
+  (req, res) => {
+    if (typeof req.body !== 'string') {
+      return res.status(constants.HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE).json({
+        error: 'Unsupported media type',
+        message: 'Please send the text to chunk as a text/plain request body'
+      });
+    }
+
+    const text = req.body;
+    const { size, overlap } = chunkSettings(req.query);
+    const chunks = chunkText(text, formFeedPageSpans(text), { size, overlap });
+
+    logger.info('Text chunked', {
+      length: text.length,
+      chunks: chunks.length,
+      size,
+      overlap,
+      requestId: req.id,
+    });
+
+    res.json({
+      success: true,
+      chunking: { size, overlap, count: chunks.length },
+      chunks,
+      timestamp: new Date().toISOString()
+    });
+  }
+);
+
+// Upload and extract a single file from a batch, never throwing
+const processBatchFile = async (file, extractOptions, req) => {
+  const { mimetype, originalname, size, path: tempFilePath } = file;
+  const fileInfo = { filename: originalname, fileType: mimetype, fileSize: size };
+
+  // Past a size limit while uploading; nothing was kept on disk
+  if (file.error) {
+    return { ...fileInfo, success: false, error: file.error };
+  }
+
+  const validation = fileValidator.validateFile(file);
+  if (!validation.isValid || !getServiceForFile(mimetype)) {
+    cleanupTempFile(tempFilePath);
+    return {
+      ...fileInfo,
+      success: false,
+      error: validation.errors.join('; ') || `Unsupported file type: ${mimetype}`
+    };
+  }
+
+  const outputError = customValidators.validateOutputForFile(file, extractOptions);
+  if (outputError) {
+    cleanupTempFile(tempFilePath);
+    return { ...fileInfo, success: false, error: outputError };
+  }
+
+  try {
+    const contentHash = await hashFile(tempFilePath);
+    const storageInfo = await storageService.storeFileByHash(tempFilePath, contentHash, originalname, mimetype);
+    cleanupTempFile(tempFilePath);
+
+    const result = await extractionService.extractFromStorage(storageInfo.path, mimetype, { ...extractOptions, contentHash });
+
+    if (result.redaction) {
+      await auditLogger.logRedaction(result.redaction, { req, resource: originalname, cacheHit: result.cache.hit, batch: true });
+    }
+
+    return ResponseFormatter.extractionResponse(result, {
+      originalName: originalname,
+      mimetype,
+      size,
+    }, storageInfo);
+  } catch (error) {
+    logger.warn('Batch file extraction failed', {
+      error: error.message,
+      filename: originalname,
+      requestId: req.id,
+    });
+
+    cleanupTempFile(tempFilePath);
+
+    return { ...fileInfo, success: false, error: error.message };
+  }
+};
+
+// Extract text from several files in one request
+app.post('/extract/batch', validate(validationSchemas.extractBatch, 'query'), batchUpload.array('files', constants.FILES.BATCH.MAX_FILES), asyncHandler(async (req, res) => {
+  const files = req.files || [];
+  const rejectedFiles = req.rejectedFiles || [];
+  const extractOptions = req.query;
+
+  if (files.length === 0 && rejectedFiles.length === 0) {
+    return res.status(constants.HTTP_STATUS.BAD_REQUEST).json({
+      error: 'No files uploaded',
+      message: 'Please upload one or more files in the "files" field'
+    });
+  }
+
+  const startTime = Date.now();
+
+  logger.info('Processing batch for text extraction', {
+    fileCount: files.length + rejectedFiles.length,
+    rejected: rejectedFiles.length,
+    totalSize: req.uploadedSize || 0,
+    requestId: req.id,
+  });
+
+  const extracted = await mapWithConcurrency(
+    files,
+    constants.FILES.BATCH.CONCURRENCY,
+    async file => ({ index: file.index, ...await processBatchFile(file, extractOptions, req) })
+  );
+
+  // Results in upload order, without the upload numbers
+  const results = [...extracted, ...rejectedFiles]
+    .sort((a, b) => a.index - b.index)
+    .map(({ index: _index, ...result }) => result);
+
+  const succeeded = results.filter(result => result.success).length;
+
+  logger.info('Batch text extraction completed', {
+    fileCount: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    requestId: req.id,
+  });
+
+  res.json({
+    success: succeeded > 0,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+    processingTime: `${Date.now() - startTime}ms`,
+    timestamp: new Date().toISOString()
+  });
 }));
 
 // Global error handling middleware
@@ -312,19 +742,24 @@ app.use(globalErrorHandler);
 // 404 handler (must be last)
 app.use(notFoundHandler);
 
-app.listen(PORT, () => {
-  logger.info('Server started successfully', {
-    port: PORT,
-    environment: constants.SERVER.NODE_ENV,
-    version: constants.SERVER.API_VERSION,
-    tempDir,
-  });
+// Start the server when run directly; tests load the app without listening
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info('Server started successfully', {
+      port: PORT,
+      environment: constants.SERVER.NODE_ENV,
+      version: constants.SERVER.API_VERSION,
+      tempDir,
+    });
   
-  console.log(`🚀 Text Extraction API running on port ${PORT}`);
-  console.log(`🌍 Environment: ${constants.SERVER.NODE_ENV}`);
-  console.log(`☁️ Using Supabase Storage for file uploads`);
-  console.log(`🔗 API endpoint: http://localhost:${PORT}`);
+    console.log(`🚀 Text Extraction API running on port ${PORT}`);
+    console.log(`🌍 Environment: ${constants.SERVER.NODE_ENV}`);
+    console.log(`☁️ Using Supabase Storage for file uploads`);
+    console.log(`🔗 API endpoint: http://localhost:${PORT}`);
   
-  // Initialize app
-  initializeApp();
-});
\ No newline at end of file
+    // Initialize app
+    initializeApp();
+  });
+}
+
+module.exports = app;
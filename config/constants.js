@@ -47,13 +47,23 @@ const constants = {
       PDF: 10 * 1024 * 1024, // 10MB
       DOCUMENT: 50 * 1024 * 1024, // 50MB
       IMAGE: 8 * 1024 * 1024, // 8MB
+      ARCHIVE: 10 * 1024 * 1024, // 10MB
+      SPREADSHEET: 10 * 1024 * 1024, // 10MB
+      PRESENTATION: 10 * 1024 * 1024, // 10MB
+      EMAIL: 10 * 1024 * 1024, // 10MB
     },
     ALLOWED_TYPES: {
       PDF: ['application/pdf'],
       DOCUMENT: [
         'application/msword',
         'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.oasis.opendocument.text',
         'text/plain',
+        'text/markdown',
+        'text/x-markdown',
+        'text/html',
+        'application/rtf',
+        'text/rtf',
       ],
       IMAGE: [
         'image/png',
@@ -63,6 +73,79 @@ const constants = {
         'image/bmp',
         'image/tiff',
       ],
+      SPREADSHEET: [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        'application/vnd.oasis.opendocument.spreadsheet',
+        'text/csv',
+      ],
+      PRESENTATION: [
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/vnd.oasis.opendocument.presentation',
+      ],
+      ARCHIVE: [
+        'application/zip',
+        'application/x-zip-compressed',
+      ],
+      EMAIL: [
+        'message/rfc822',
+        'application/vnd.ms-outlook',
+      ],
+    },
+    BATCH: {
+      MAX_FILES: 20,
+      MAX_TOTAL_SIZE: 50 * 1024 * 1024, // 50MB across all files
+      CONCURRENCY: parseInt(process.env.BATCH_CONCURRENCY, 10) || 3,
+    },
+    PDF_OCR: {
+      MIN_TEXT_LENGTH: 10, // characters below which a page counts as having no text layer
+      RENDER_SCALE: 2, // page render scale for OCR (2 = 144 DPI)
+      MAX_PAGES: parseInt(process.env.PDF_OCR_MAX_PAGES, 10) || 50, // pages OCRed per document
+    },
+    OCR: {
+      DEFAULT_LANGUAGE: process.env.OCR_DEFAULT_LANGUAGE || 'eng', // used when a request names no language
+      MIN_CONFIDENCE: 30, // words below this confidence are left out of OCR text
+      LANGUAGE_DATA_DIR: process.env.OCR_LANGUAGE_DATA_DIR || null, // local <lang>.traineddata files; downloaded when not set
+      LANGUAGE_LIST_TTL: 60 * 1000, // ms the list of installed languages is reused before the directory is read again
+      POOL_SIZE: parseInt(process.env.OCR_POOL_SIZE, 10) || 2, // Tesseract workers kept running
+      MAX_FRAMES: parseInt(process.env.OCR_MAX_FRAMES, 10) || 50, // frames OCRed per multi-page TIFF or GIF
+      POOL_LANGUAGES: process.env.OCR_POOL_LANGUAGES || process.env.OCR_DEFAULT_LANGUAGE || 'eng', // loaded by every worker at startup
+    },
+    OCR_PREPROCESSING: {
+      DEFAULT_STEPS: process.env.OCR_PREPROCESS_STEPS || 'rotate,grayscale,upscale,deskew', // steps run when a request does not choose
+      PDF_DEFAULT_STEPS: process.env.PDF_OCR_PREPROCESS_STEPS || 'none', // steps run on rendered PDF pages when a request does not choose
+      TARGET_DPI: 300, // resolution low-DPI images are upscaled to
+      UPSCALE_BELOW_DPI: 150,
+      MAX_UPSCALE: 4,
+      MAX_DIMENSION: 5000, // pixels on the longer side after upscaling
+      MAX_SKEW_ANGLE: 10, // degrees searched either way when deskewing
+      MIN_SKEW_ANGLE: 0.3, // degrees below which an image is left as it is
+    },
+    TEXT_NORMALIZATION: {
+      DEFAULT_STEPS: process.env.TEXT_NORMALIZE_STEPS || 'none', // steps run when a request does not choose; text is returned as extracted
+      MIN_HEADER_PAGES: 3, // pages a document needs before repeated lines count as headers
+      HEADER_LINES: 2, // lines at the top and bottom of each page checked for headers and footers
+      HEADER_PAGE_SHARE: 0.5, // share of pages a line must repeat on
+      MIN_REFLOW_WIDTH: 40, // characters in the longest line of a paragraph before it is reflowed
+    },
+    // Levels of archives and emails unpacked inside one another
+    MAX_NESTING_DEPTH: parseInt(process.env.MAX_NESTING_DEPTH, 10) || 2,
+    ARCHIVE: {
+      MAX_ENTRIES: 200,
+      MAX_TOTAL_SIZE: 100 * 1024 * 1024, // 100MB uncompressed
+    },
+    EMAIL: {
+      MAX_ATTACHMENTS: 50, // per message
+    },
+    // Parts read from ZIP-based documents (DOCX, PPTX, ODT, ODP)
+    ZIP_DOCUMENT: {
+      MAX_ENTRIES: 10000,
+      MAX_ENTRY_SIZE: 50 * 1024 * 1024, // 50MB uncompressed
+      MAX_TOTAL_SIZE: 100 * 1024 * 1024, // 100MB uncompressed
+    },
+    SPREADSHEET: {
+      MAX_ROWS: 10000, // per sheet
+      MAX_COLUMNS: 500, // per sheet
     },
     TEMP_DIR: 'temp',
     UPLOAD_DIR: 'uploads',
@@ -75,6 +158,43 @@ const constants = {
     MAX_CONNECTIONS: 20,
   },
 
+  // Asynchronous extraction jobs
+  JOBS: {
+    TABLE_NAME: 'extraction_jobs',
+    CONCURRENCY: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+    STATUS: {
+      QUEUED: 'queued',
+      RUNNING: 'running',
+      COMPLETED: 'completed',
+      FAILED: 'failed',
+      CANCELLED: 'cancelled',
+    },
+    // Percent complete when each stage of a job starts; extractors fill in
+    // the progress between recognizing and post-processing
+    STAGE_PROGRESS: {
+      STARTING: 5,
+      DOWNLOADING: 10,
+      RECOGNIZING: 30,
+      POST_PROCESSING: 90,
+    },
+    EVENTS_HEARTBEAT: 15000, // ms between keep-alive comments on event streams
+  },
+
+  // Extraction results cached by file content
+  CACHE: {
+    TABLE_NAME: 'extraction_cache',
+    VERSION: 4, // bump whenever extraction output changes, so results cached before are no longer used
+  },
+
+  // Splitting extracted text into chunks for retrieval
+  CHUNKING: {
+    DEFAULT_SIZE: parseInt(process.env.CHUNK_SIZE, 10) || 512, // tokens per chunk
+    DEFAULT_OVERLAP: 64, // tokens repeated from the previous chunk
+    MIN_SIZE: 16,
+    MAX_SIZE: 8192,
+    MAX_TEXT_SIZE: '5mb', // largest text accepted by POST /chunk
+  },
+
   // Supabase configuration
   SUPABASE: {
     BUCKET_NAME: 'document-uploads',
@@ -93,6 +213,7 @@ const constants = {
       RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
       UNAUTHORIZED_ACCESS: 'UNAUTHORIZED_ACCESS',
       SECURITY_VIOLATION: 'SECURITY_VIOLATION',
+      PII_REDACTION: 'PII_REDACTION',
     },
     SEVERITY: {
       LOW: 'low',
@@ -106,11 +227,15 @@ const constants = {
   HTTP_STATUS: {
     OK: 200,
     CREATED: 201,
+    ACCEPTED: 202,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
+    NOT_ACCEPTABLE: 406,
     CONFLICT: 409,
+    PAYLOAD_TOO_LARGE: 413,
+    UNSUPPORTED_MEDIA_TYPE: 415,
     UNPROCESSABLE_ENTITY: 422,
     TOO_MANY_REQUESTS: 429,
     INTERNAL_SERVER_ERROR: 500,
@@ -25,6 +25,18 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Attach the user of a bearer token when the request sends one. Requests
+// without a token go on anonymously; an invalid token is still rejected.
+const identifyUser = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  return authenticateUser(req, res, next);
+};
+
 // Check if user is approved
 const requireApprovedUser = async (req, res, next) => {
   try {
@@ -61,6 +73,7 @@ const requireAdmin = (req, res, next) => {
 
 module.exports = {
   authenticateUser,
+  identifyUser,
   requireApprovedUser,
   requireAdmin
 };
\ No newline at end of file
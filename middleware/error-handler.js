@@ -110,8 +110,19 @@ const handleJWTError = () =>
 const handleJWTExpiredError = () =>
   new AuthenticationError('Your token has expired! Please log in again.');
 
+// Upload limits are the client's doing: too large is 413, anything else,
+// such as too many files or an unexpected field, is 400
+const handleMulterError = (err) => new AppError(
+  err.message,
+  err.code === 'LIMIT_FILE_SIZE'
+    ? constants.HTTP_STATUS.PAYLOAD_TOO_LARGE
+    : constants.HTTP_STATUS.BAD_REQUEST
+);
+
 // Global error handling middleware
 const globalErrorHandler = (err, req, res, next) => {
+  if (err.name === 'MulterError') err = handleMulterError(err);
+
   err.statusCode = err.statusCode || constants.HTTP_STATUS.INTERNAL_SERVER_ERROR;
   err.status = err.status || 'error';
 
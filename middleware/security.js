@@ -160,6 +160,18 @@ const getMaxFileSize = (mimetype) => {
   if (constants.FILES.ALLOWED_TYPES.IMAGE.includes(mimetype)) {
     return constants.FILES.MAX_SIZE.IMAGE;
   }
+  if (constants.FILES.ALLOWED_TYPES.SPREADSHEET.includes(mimetype)) {
+    return constants.FILES.MAX_SIZE.SPREADSHEET;
+  }
+  if (constants.FILES.ALLOWED_TYPES.PRESENTATION.includes(mimetype)) {
+    return constants.FILES.MAX_SIZE.PRESENTATION;
+  }
+  if (constants.FILES.ALLOWED_TYPES.ARCHIVE.includes(mimetype)) {
+    return constants.FILES.MAX_SIZE.ARCHIVE;
+  }
+  if (constants.FILES.ALLOWED_TYPES.EMAIL.includes(mimetype)) {
+    return constants.FILES.MAX_SIZE.EMAIL;
+  }
   return constants.FILES.MAX_SIZE.DOCUMENT; // Default
 };
 
@@ -168,6 +180,10 @@ const isAllowedFileType = (mimetype) => {
     ...constants.FILES.ALLOWED_TYPES.PDF,
     ...constants.FILES.ALLOWED_TYPES.DOCUMENT,
     ...constants.FILES.ALLOWED_TYPES.IMAGE,
+    ...constants.FILES.ALLOWED_TYPES.SPREADSHEET,
+    ...constants.FILES.ALLOWED_TYPES.PRESENTATION,
+    ...constants.FILES.ALLOWED_TYPES.ARCHIVE,
+    ...constants.FILES.ALLOWED_TYPES.EMAIL,
   ];
   return allTypes.includes(mimetype);
 };
@@ -177,6 +193,10 @@ const getAllowedFileTypes = () => {
     pdf: constants.FILES.ALLOWED_TYPES.PDF,
     documents: constants.FILES.ALLOWED_TYPES.DOCUMENT,
     images: constants.FILES.ALLOWED_TYPES.IMAGE,
+    spreadsheets: constants.FILES.ALLOWED_TYPES.SPREADSHEET,
+    presentations: constants.FILES.ALLOWED_TYPES.PRESENTATION,
+    archives: constants.FILES.ALLOWED_TYPES.ARCHIVE,
+    emails: constants.FILES.ALLOWED_TYPES.EMAIL,
   };
 };
 
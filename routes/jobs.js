@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const constants = require('../config/constants');
+const logger = require('../config/logger');
+const jobService = require('../services/job-service');
+const ResponseFormatter = require('../utils/response-formatter');
+const { asyncHandler } = require('../middleware/error-handler');
+const { identifyUser } = require('../middleware/auth');
+const { validate, validationSchemas } = require('../utils/validation');
+const { negotiateFormat, renderDocument } = require('../utils/document-format');
+
+const JOB_STATUS = constants.JOBS.STATUS;
+
+// Public view of a job row
+const formatJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  stage: job.stage,
+  progress: job.progress,
+  filename: job.original_name,
+  fileType: job.mimetype,
+  fileSize: job.size,
+  error: job.error || undefined,
+  createdAt: job.created_at,
+  updatedAt: job.updated_at,
+  startedAt: job.started_at,
+  completedAt: job.completed_at,
+  links: {
+    status: `/jobs/${job.id}`,
+    result: `/jobs/${job.id}/result`,
+    events: `/extract/${job.id}/events`,
+  },
+});
+
+const jobNotFound = (res, id) => res.status(constants.HTTP_STATUS.NOT_FOUND).json({
+  error: 'Job not found',
+  message: `No extraction job exists with id ${id}`,
+});
+
+// Load the job of a request if the caller may access it. Jobs of other users
+// are reported as not found, so their ids cannot be probed.
+const findJob = async (req) => {
+  const job = await jobService.getJob(req.params.id);
+  return job && jobService.canAccess(job, req.user) ? job : null;
+};
+
+// Jobs submitted with a bearer token are only open to the same user
+router.use(identifyUser);
+
+// Get job status and progress
+router.get('/:id',
+  validate(validationSchemas.jobParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    res.json({ success: true, job: formatJob(job) });
+  })
+);
+
+// Get the extraction output of a completed job
+router.get('/:id/result',
+  validate(validationSchemas.jobParams, 'params'),
+  validate(validationSchemas.jobResult, 'query'),
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    if (job.status !== JOB_STATUS.COMPLETED) {
+      return res.status(constants.HTTP_STATUS.CONFLICT).json({
+        error: 'Result not available',
+        message: job.status === JOB_STATUS.FAILED
+          ? `Job failed: ${job.error}`
+          : `Job is ${job.status}`,
+        job: formatJob(job),
+      });
+    }
+
+    if (job.result.ocrDocument) {
+      return res.type(job.result.ocrDocument.mimeType).send(job.result.ocrDocument.content);
+    }
+
+    // Defaults to the format negotiated when the job was submitted
+    const format = negotiateFormat(req, (job.options && job.options.format) || 'json');
+    if (!format) {
+      return res.status(constants.HTTP_STATUS.NOT_ACCEPTABLE).json({
+        error: 'Not acceptable',
+        message: 'Results are available as application/json, text/plain, text/markdown or text/html',
+      });
+    }
+
+    if (format !== 'json') {
+      const { contentType, content } = renderDocument(job.result, format);
+      return res.type(contentType).send(content);
+    }
+
+    res.json({
+      jobId: job.id,
+      ...ResponseFormatter.extractionResponse(job.result, {
+        originalName: job.original_name,
+        mimetype: job.mimetype,
+        size: job.size,
+      }, {
+        path: job.storage_path,
+        fileName: job.file_name,
+      }),
+    });
+  })
+);
+
+// Cancel a queued or running job
+router.delete('/:id',
+  validate(validationSchemas.jobParams, 'params'),
+  asyncHandler(async (req, res) => {
+    const job = await findJob(req) && await jobService.cancelJob(req.params.id);
+
+    if (!job) {
+      return jobNotFound(res, req.params.id);
+    }
+
+    if (job.status !== JOB_STATUS.CANCELLED) {
+      return res.status(constants.HTTP_STATUS.CONFLICT).json({
+        error: 'Job cannot be cancelled',
+        message: `Job is already ${job.status}`,
+        job: formatJob(job),
+      });
+    }
+
+    logger.info('Extraction job cancelled', {
+      jobId: job.id,
+      requestId: req.id,
+    });
+
+    res.json({ success: true, job: formatJob(job) });
+  })
+);
+
+module.exports = router;
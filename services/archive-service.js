@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const yauzl = require('yauzl');
+const constants = require('../config/constants');
+const fileValidator = require('../utils/file-validator');
+const { partProgress } = require('../utils/progress');
+const { throwIfCancelled } = require('../utils/cancellation');
+
+const ARCHIVE_LIMITS = constants.FILES.ARCHIVE;
+const MAX_NESTING_DEPTH = constants.FILES.MAX_NESTING_DEPTH;
+
+// File types that contain other files
+const CONTAINER_TYPES = ['archive', 'email'];
+
+// Entries created by archiving tools that never hold user content
+const IGNORED_ENTRY = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$)/;
+
+class ArchiveService {
+  constructor() {
+    this.tempDir = path.join(__dirname, '../temp');
+  }
+
+  // `depth` is how deep the archive is nested in other archives or emails
+  async extractText(filePath, options = {}) {
+    const startTime = Date.now();
+    const { depth = 0 } = options;
+
+    try {
+      console.log(`Unpacking archive: ${filePath}`);
+
+      const stats = { entries: 0, extracted: 0, failed: 0, skipped: 0, deepestLevel: depth };
+      const results = await this.processArchive(filePath, '', depth, stats, options);
+      const processingTime = Date.now() - startTime;
+
+      console.log(`Archive processed successfully: ${stats.extracted}/${stats.entries} entries extracted`);
+
+      return {
+        text: this.combineText(results),
+        entries: this.buildTree(results),
+        metadata: {
+          entries: stats.entries,
+          extracted: stats.extracted,
+          failed: stats.failed,
+          skipped: stats.skipped,
+          nestingDepth: stats.deepestLevel,
+          maxDepth: MAX_NESTING_DEPTH
+        },
+        processingTime: `${processingTime}ms`
+      };
+    } catch (error) {
+      console.error('Archive extraction error:', error);
+      throw new Error(`Archive extraction failed: ${error.message}`);
+    }
+  }
+
+  // Unpack one archive level and extract every entry. Returns a flat list of
+  // entry results whose paths are prefixed with `parentPath`.
+  async processArchive(filePath, parentPath, depth, stats, options) {
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(this.tempDir, 'archive-'));
+    stats.deepestLevel = Math.max(stats.deepestLevel, depth);
+
+    try {
+      const entries = await this.unpack(filePath, workDir, stats);
+      const results = [];
+
+      for (const [index, entry] of entries.entries()) {
+        throwIfCancelled(options.signal);
+        const entryPath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+        results.push(await this.processEntry(entry, entryPath, depth, stats, {
+          ...options,
+          onProgress: partProgress(options.onProgress, index, entries.length)
+        }));
+      }
+
+      return results;
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async processEntry(entry, entryPath, depth, stats, options) {
+    // Required lazily: the extraction service dispatches archives to this service
+    const extractionService = require('./extraction-service');
+
+    const mimetype = fileValidator.getMimeTypeFromFilename(entry.name);
+    const fileType = fileValidator.getFileType(mimetype);
+    const base = {
+      path: entryPath,
+      fileType: mimetype,
+      size: entry.size
+    };
+
+    if (entry.error) {
+      stats.skipped++;
+      return { ...base, success: false, error: entry.error };
+    }
+
+    if (!mimetype || !extractionService.getServiceForFile(mimetype)) {
+      stats.skipped++;
+      return { ...base, success: false, error: 'Unsupported file type' };
+    }
+
+    if (entry.size > fileValidator.maxFileSizes[fileType]) {
+      stats.skipped++;
+      const maxSize = (fileValidator.maxFileSizes[fileType] / (1024 * 1024)).toFixed(1);
+      return { ...base, success: false, error: `File too large. Maximum size for ${fileType} files is ${maxSize}MB` };
+    }
+
+    if (CONTAINER_TYPES.includes(fileType) && depth >= MAX_NESTING_DEPTH) {
+      stats.skipped++;
+      return {
+        ...base,
+        success: false,
+        ...(fileType === 'archive' && { archive: true }),
+        error: `Nested ${fileType} exceeds the maximum depth of ${MAX_NESTING_DEPTH}`
+      };
+    }
+
+    if (fileType === 'archive') {
+      try {
+        const children = await this.processArchive(entry.filePath, entryPath, depth + 1, stats, options);
+        return { ...base, success: true, archive: true, children };
+      } catch (error) {
+        stats.failed++;
+        return { ...base, success: false, archive: true, error: `Archive extraction failed: ${error.message}` };
+      }
+    }
+
+    try {
+      const result = await extractionService.extractFile(entry.filePath, mimetype, { ...options, depth: depth + 1 });
+      stats.extracted++;
+
+      return {
+        ...base,
+        success: true,
+        text: result.text,
+        wordCount: result.text.split(/\s+/).filter(word => word.length > 0).length,
+        language: result.language,
+        metadata: result.metadata,
+        ...(result.email && { email: result.email }),
+        ...(result.attachments && { attachments: result.attachments }),
+        ...(result.structured && { structured: result.structured }),
+        ...(result.tables && { tables: result.tables }),
+        processingTime: result.processingTime
+      };
+    } catch (error) {
+      stats.failed++;
+      return { ...base, success: false, error: error.message };
+    }
+  }
+
+  // Write every file entry of the archive below `workDir`, enforcing entry
+  // count and total size limits and refusing paths that escape `workDir`
+  unpack(filePath, workDir, stats) {
+    return new Promise((resolve, reject) => {
+      yauzl.open(filePath, { lazyEntries: true }, (openError, zipfile) => {
+        if (openError) return reject(openError);
+
+        const entries = [];
+        let totalSize = 0;
+
+        const fail = (error) => {
+          zipfile.close();
+          reject(error);
+        };
+
+        zipfile.on('error', reject);
+        zipfile.on('end', () => resolve(entries));
+
+        zipfile.on('entry', (entry) => {
+          const name = entry.fileName;
+
+          if (name.endsWith('/') || IGNORED_ENTRY.test(name)) {
+            return zipfile.readEntry();
+          }
+
+          stats.entries++;
+          if (stats.entries > ARCHIVE_LIMITS.MAX_ENTRIES) {
+            return fail(new Error(`Archive contains more than ${ARCHIVE_LIMITS.MAX_ENTRIES} files`));
+          }
+
+          totalSize += entry.uncompressedSize;
+          if (totalSize > ARCHIVE_LIMITS.MAX_TOTAL_SIZE) {
+            const maxSizeMB = (ARCHIVE_LIMITS.MAX_TOTAL_SIZE / (1024 * 1024)).toFixed(1);
+            return fail(new Error(`Archive expands to more than ${maxSizeMB}MB`));
+          }
+
+          if (entry.isEncrypted()) {
+            entries.push({ name, size: entry.uncompressedSize, error: 'Encrypted entries are not supported' });
+            return zipfile.readEntry();
+          }
+
+          const targetPath = path.resolve(workDir, name);
+          if (!targetPath.startsWith(workDir + path.sep)) {
+            entries.push({ name, size: entry.uncompressedSize, error: 'Invalid entry path' });
+            return zipfile.readEntry();
+          }
+
+          zipfile.openReadStream(entry, (streamError, readStream) => {
+            if (streamError) return fail(streamError);
+
+            fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+            const writeStream = fs.createWriteStream(targetPath);
+
+            readStream.on('error', fail);
+            writeStream.on('error', fail);
+            writeStream.on('finish', () => {
+              entries.push({ name, size: entry.uncompressedSize, filePath: targetPath });
+              zipfile.readEntry();
+            });
+
+            readStream.pipe(writeStream);
+          });
+        });
+
+        zipfile.readEntry();
+      });
+    });
+  }
+
+  // Join the text of every extracted file, labelled with its archive path
+  combineText(results) {
+    const sections = [];
+
+    const collect = (items) => {
+      for (const item of items) {
+        if (item.children) {
+          collect(item.children);
+        } else if (item.success && item.text) {
+          sections.push(`--- ${item.path} ---\n${item.text}`);
+        }
+      }
+    };
+
+    collect(results);
+    return sections.join('\n\n');
+  }
+
+  // Turn the flat entry results into a directory tree that mirrors the archive
+  buildTree(results) {
+    const root = [];
+
+    for (const result of results) {
+      const segments = result.path.split('/');
+      const ownName = segments.pop();
+      let level = root;
+      let currentPath = '';
+
+      // Archive results already carry the full path of their parent archive,
+      // so only the directories inside the current archive need to be created
+      for (const segment of segments) {
+        currentPath = currentPath ? `${currentPath}/${segment}` : segment;
+        let directory = level.find(node => node.type === 'directory' && node.name === segment);
+
+        if (!directory) {
+          directory = { name: segment, path: currentPath, type: 'directory', children: [] };
+          level.push(directory);
+        }
+
+        level = directory.children;
+      }
+
+      const { children, archive, ...fields } = result;
+      const node = { name: ownName, type: archive ? 'archive' : 'file', ...fields };
+
+      if (children) {
+        node.children = this.buildTree(children.map(child => ({
+          ...child,
+          path: child.path.slice(result.path.length + 1)
+        }))).map(child => this.prefixPaths(child, result.path));
+      }
+
+      level.push(node);
+    }
+
+    return root;
+  }
+
+  prefixPaths(node, prefix) {
+    const prefixed = { ...node, path: `${prefix}/${node.path}` };
+    if (node.children) {
+      prefixed.children = node.children.map(child => this.prefixPaths(child, prefix));
+    }
+    return prefixed;
+  }
+
+  // Health check for archive service
+  isHealthy() {
+    return {
+      service: 'archive',
+      status: 'healthy',
+      capabilities: ['zip extraction', 'nested archives', 'per-entry results'],
+      limits: {
+        maxDepth: MAX_NESTING_DEPTH,
+        maxEntries: ARCHIVE_LIMITS.MAX_ENTRIES,
+        maxTotalSize: ARCHIVE_LIMITS.MAX_TOTAL_SIZE
+      }
+    };
+  }
+}
+
+module.exports = new ArchiveService();
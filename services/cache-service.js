@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const supabase = require('../config/supabase');
+const constants = require('../config/constants');
+
+// Extraction results stored by the content of the file they came from. A
+// new cache version starts with an empty cache, so results from older
+// extractors are never returned.
+class CacheService {
+  constructor() {
+    this.tableName = constants.CACHE.TABLE_NAME;
+    this.version = constants.CACHE.VERSION;
+  }
+
+  // Key for the result of extracting content with a SHA-256 hash, as a MIME
+  // type, with the given options. Option order does not matter.
+  buildKey(contentHash, mimetype, options = {}) {
+    const settings = Object.keys(options)
+      .filter(key => options[key] !== undefined)
+      .sort()
+      .map(key => [key, options[key]]);
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([contentHash, this.version, mimetype, settings]))
+      .digest('hex');
+  }
+
+  // Cached entry for a key, or null. A cache that cannot be read counts as
+  // a miss so that extraction still works.
+  async get(key) {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('cache_key', key)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error reading extraction cache:', error);
+      return null;
+    }
+
+    return data;
+  }
+
+  // Store or replace the result for a key. Returns the entry, or null if it
+  // could not be stored.
+  async set(key, { contentHash, mimetype, options, storagePath, result }) {
+    const entry = {
+      cache_key: key,
+      content_hash: contentHash,
+      cache_version: this.version,
+      mimetype,
+      options,
+      storage_path: storagePath,
+      result,
+      created_at: new Date().toISOString(),
+    };
+
+    const { error } = await supabase
+      .from(this.tableName)
+      .upsert(entry, { onConflict: 'cache_key' });
+
+    if (error) {
+      console.error('Error writing extraction cache:', error);
+      return null;
+    }
+
+    return entry;
+  }
+}
+
+module.exports = new CacheService();
@@ -1,22 +1,46 @@
 const fs = require('fs');
 const mammoth = require('mammoth');
 const path = require('path');
+const WordExtractor = require('word-extractor');
+const { DOMParser } = require('@xmldom/xmldom');
+const { readSummaryInformation } = require('../utils/ole-properties');
+const { needsHtml } = require('../utils/document-format');
+const { readZipEntries } = require('../utils/zip-reader');
+const { isPropertiesPart, readOoxmlProperties } = require('../utils/ooxml-properties');
+const { exportTables } = require('../utils/tables');
+
+// Word 97-2003 files are OLE compound documents
+const OLE_SIGNATURE = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+// Wrappers (content controls, custom XML) whose children are body content
+const BLOCK_CONTAINERS = ['sdt', 'sdtContent', 'customXml'];
 
 class DOCService {
-  async extractText(filePath) {
+  constructor() {
+    this.wordExtractor = new WordExtractor();
+  }
+
+  async extractText(filePath, options = {}) {
     const startTime = Date.now();
     
     try {
       const fileExtension = path.extname(filePath).toLowerCase();
-      
-      if (fileExtension === '.doc') {
-        // For older .doc files, mammoth can still attempt to process them
-        // but results may vary
-        console.log('Processing legacy .doc file (results may vary)');
+      const buffer = await fs.promises.readFile(filePath);
+
+      // Go by the file signature rather than the extension, since .doc is
+      // also used for DOCX files that were renamed
+      if (buffer.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE)) {
+        return await this.extractLegacyText(buffer, fileExtension, options, startTime);
       }
       
       // Extract text from document
-      const result = await mammoth.extractRawText({ path: filePath });
+      const result = await mammoth.extractRawText({ buffer });
+
+      // Headings, lists and tables only survive in mammoth's HTML conversion
+      const html = needsHtml(options) ? (await this.extractHTML(filePath)).html : null;
+      const tables = options.tables ? await this.extractTables(filePath) : null;
       
       const processingTime = Date.now() - startTime;
       
@@ -29,6 +53,8 @@ class DOCService {
       
       return {
         text: result.value.trim(),
+        ...(html !== null && { html }),
+        ...(tables && { tables: exportTables(tables, options.tables) }),
         metadata: {
           warnings: result.messages,
           fileType: fileExtension
@@ -41,6 +67,174 @@ class DOCService {
     }
   }
 
+  // Read a Word 97-2003 binary document: body text, headers and footers,
+  // footnotes and endnotes, plus the SummaryInformation properties
+  async extractLegacyText(buffer, fileExtension, options, startTime) {
+    const { output = 'text' } = options;
+    const document = await this.wordExtractor.extract(buffer);
+    const read = (part) => this.cleanLegacyText(part);
+
+    const parts = {
+      body: read(document.getBody({ filterUnicode: false })),
+      headers: read(document.getHeaders({ includeFooters: false, filterUnicode: false })),
+      footers: read(document.getFooters({ filterUnicode: false })),
+      footnotes: read(document.getFootnotes({ filterUnicode: false })),
+      endnotes: read(document.getEndnotes({ filterUnicode: false }))
+    };
+
+    const sections = [parts.body];
+    if (parts.headers) sections.push(`Headers:\n${parts.headers}`);
+    if (parts.footers) sections.push(`Footers:\n${parts.footers}`);
+    if (parts.footnotes) sections.push(`Footnotes:\n${parts.footnotes}`);
+    if (parts.endnotes) sections.push(`Endnotes:\n${parts.endnotes}`);
+
+    const text = sections.filter(Boolean).join('\n\n');
+    const processingTime = Date.now() - startTime;
+
+    console.log(`Legacy document processed successfully: ${text.length} characters`);
+
+    const result = {
+      text,
+      metadata: {
+        ...readSummaryInformation(buffer),
+        fileType: fileExtension,
+        format: 'Word 97-2003',
+        hasHeaders: Boolean(parts.headers),
+        hasFooters: Boolean(parts.footers),
+        footnotes: Boolean(parts.footnotes || parts.endnotes),
+        // Tables are not read from binary documents
+        ...(options.tables && {
+          warnings: [{ type: 'warning', message: 'Tables cannot be extracted from Word 97-2003 documents' }]
+        })
+      },
+      processingTime: `${processingTime}ms`
+    };
+
+    if (output === 'structured') {
+      result.structured = { parts };
+    }
+
+    return result;
+  }
+
+  // Word stores paragraph ends as carriage returns and keeps a blank line
+  // between header and footer stories
+  cleanLegacyText(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+\n/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  // Document properties of a DOCX package or Word 97-2003 file
+  async extractMetadata(filePath) {
+    const buffer = await fs.promises.readFile(filePath);
+
+    const properties = buffer.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE)
+      ? readSummaryInformation(buffer)
+      : readOoxmlProperties(await readZipEntries(filePath, isPropertiesPart));
+
+    return { ...properties, pageCount: properties.pages };
+  }
+
+  // Tables of a DOCX body as rows of cell text. The position of a table is
+  // the number of body paragraphs before it.
+  async extractTables(filePath) {
+    const parts = await readZipEntries(filePath, name => name === 'word/document.xml');
+    if (!parts.has('word/document.xml')) {
+      return [];
+    }
+
+    const document = new DOMParser().parseFromString(parts.get('word/document.xml').toString('utf8'), 'text/xml');
+    const body = document.getElementsByTagNameNS(W_NS, 'body')[0];
+    const tables = [];
+    let paragraph = 0;
+
+    const walk = (node) => {
+      for (const child of Array.from(node.childNodes)) {
+        if (child.namespaceURI !== W_NS) continue;
+
+        if (child.localName === 'p') {
+          paragraph++;
+        } else if (child.localName === 'tbl') {
+          tables.push({ position: { paragraph }, rows: this.readTable(child) });
+        } else if (BLOCK_CONTAINERS.includes(child.localName)) {
+          walk(child);
+        }
+      }
+    };
+
+    if (body) walk(body);
+    return tables;
+  }
+
+  // Cells spanning several columns or rows repeat their value in each of them
+  readTable(table) {
+    const rows = [];
+
+    for (const row of this.childElements(table, 'tr')) {
+      const values = [];
+      const rowProperties = this.childElements(row, 'trPr')[0];
+      const gridBefore = rowProperties ? this.childElements(rowProperties, 'gridBefore')[0] : null;
+
+      if (gridBefore) {
+        values.push(...Array(parseInt(gridBefore.getAttributeNS(W_NS, 'val'), 10) || 0).fill(''));
+      }
+
+      for (const cell of this.childElements(row, 'tc')) {
+        const properties = this.childElements(cell, 'tcPr')[0];
+        const gridSpan = properties ? this.childElements(properties, 'gridSpan')[0] : null;
+        const vMerge = properties ? this.childElements(properties, 'vMerge')[0] : null;
+        const span = gridSpan ? parseInt(gridSpan.getAttributeNS(W_NS, 'val'), 10) || 1 : 1;
+
+        // A vertical merge without "restart" continues the cell above
+        const continued = vMerge && vMerge.getAttributeNS(W_NS, 'val') !== 'restart';
+        const value = continued && rows.length > 0
+          ? rows[rows.length - 1][values.length] || ''
+          : this.readCellText(cell);
+
+        values.push(...Array(span).fill(value));
+      }
+
+      rows.push(values);
+    }
+
+    return rows;
+  }
+
+  readCellText(cell) {
+    return Array.from(cell.getElementsByTagNameNS(W_NS, 'p'))
+      .map(paragraph => this.readRunText(paragraph))
+      .join('\n')
+      .trim();
+  }
+
+  readRunText(node) {
+    let text = '';
+
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType !== 1 || child.namespaceURI !== W_NS) continue;
+
+      if (child.localName === 't') {
+        text += child.textContent;
+      } else if (child.localName === 'tab') {
+        text += '\t';
+      } else if (child.localName === 'br' || child.localName === 'cr') {
+        text += '\n';
+      } else if (child.localName !== 'p' && child.localName !== 'tbl') {
+        text += this.readRunText(child);
+      }
+    }
+
+    return text;
+  }
+
+  childElements(node, localName) {
+    return Array.from(node.childNodes)
+      .filter(child => child.namespaceURI === W_NS && child.localName === localName);
+  }
+
   // Extract both text and HTML for more formatting options
   async extractHTML(filePath) {
     const startTime = Date.now();
@@ -67,7 +261,7 @@ class DOCService {
     return {
       service: 'doc',
       status: 'healthy',
-      capabilities: ['text extraction', 'html conversion', 'docx support', 'limited doc support']
+      capabilities: ['text extraction', 'html conversion', 'docx support', 'doc support', 'headers and footers', 'footnotes', 'document properties', 'tables']
     };
   }
 }
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const { simpleParser } = require('mailparser');
+const MsgReader = require('@kenjiuno/msgreader').default;
+const constants = require('../config/constants');
+const fileValidator = require('../utils/file-validator');
+const { partProgress } = require('../utils/progress');
+const { throwIfCancelled } = require('../utils/cancellation');
+const htmlService = require('./html-service');
+
+const EMAIL_LIMITS = constants.FILES.EMAIL;
+const MAX_NESTING_DEPTH = constants.FILES.MAX_NESTING_DEPTH;
+
+// File types that contain other files
+const CONTAINER_TYPES = ['archive', 'email'];
+
+// Outlook and mail clients often send attachments with a generic type
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'application/x-msdownload'];
+
+class EmailService {
+  constructor() {
+    this.tempDir = path.join(__dirname, '../temp');
+  }
+
+  // `depth` is how deep the message is nested in archives or other emails
+  async extractText(filePath, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const fileExtension = path.extname(filePath).toLowerCase();
+      const buffer = await fs.promises.readFile(filePath);
+
+      const message = fileExtension === '.msg'
+        ? this.parseMsg(buffer)
+        : await this.parseEml(buffer);
+
+      const stats = { extracted: 0, failed: 0, skipped: 0 };
+      const attachments = await this.processAttachments(message.attachments, stats, options);
+      const processingTime = Date.now() - startTime;
+
+      console.log(`Email processed successfully: ${message.attachments.length} attachments, ${stats.extracted} extracted`);
+
+      return {
+        text: this.combineText(message, attachments),
+        email: message.headers,
+        attachments,
+        metadata: {
+          ...message.headers,
+          fileType: fileExtension,
+          bodyFormat: message.bodyFormat,
+          attachmentCount: message.attachments.length,
+          extracted: stats.extracted,
+          failed: stats.failed,
+          skipped: stats.skipped
+        },
+        processingTime: `${processingTime}ms`
+      };
+    } catch (error) {
+      console.error('Email extraction error:', error);
+      throw new Error(`Email extraction failed: ${error.message}`);
+    }
+  }
+
+  // Subject, sender and date of a message, without its attachments
+  async extractMetadata(filePath) {
+    const buffer = await fs.promises.readFile(filePath);
+    const { headers } = path.extname(filePath).toLowerCase() === '.msg'
+      ? this.parseMsg(buffer)
+      : await this.parseEml(buffer);
+
+    return {
+      title: headers.subject,
+      author: headers.from,
+      created: headers.date
+    };
+  }
+
+  // Parse a MIME (.eml) message
+  async parseEml(buffer) {
+    const parsed = await simpleParser(buffer);
+    const formatAddresses = (field) => [].concat(field || [])
+      .flatMap(group => group.value)
+      .map(address => this.formatAddress(address.name, address.address));
+
+    const { body, bodyFormat } = this.readBody(parsed.text, parsed.html || null);
+
+    return {
+      headers: {
+        from: formatAddresses(parsed.from)[0] || null,
+        to: formatAddresses(parsed.to),
+        cc: formatAddresses(parsed.cc),
+        subject: parsed.subject || null,
+        date: parsed.date ? parsed.date.toISOString() : null
+      },
+      body,
+      bodyFormat,
+      attachments: parsed.attachments.map((attachment, index) => ({
+        filename: attachment.filename ||
+          (attachment.contentType === 'message/rfc822' ? `attachment-${index + 1}.eml` : `attachment-${index + 1}`),
+        contentType: attachment.contentType,
+        content: attachment.content
+      }))
+    };
+  }
+
+  // Parse an Outlook (.msg) message
+  parseMsg(buffer) {
+    const reader = new MsgReader(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length));
+    const fields = reader.getFileData();
+
+    // Every Outlook item has a message class such as IPM.Note
+    if (fields.error || !fields.messageClass) {
+      throw new Error('File is not a valid Outlook message');
+    }
+
+    const recipients = (type) => (fields.recipients || [])
+      .filter(recipient => recipient.recipType === type)
+      .map(recipient => this.formatAddress(recipient.name, recipient.smtpAddress || recipient.email));
+
+    const sentAt = new Date(fields.messageDeliveryTime || fields.clientSubmitTime || NaN);
+    const { body, bodyFormat } = this.readBody(fields.body, fields.bodyHtml || null);
+
+    return {
+      headers: {
+        from: fields.senderName || fields.senderEmail
+          ? this.formatAddress(fields.senderName, fields.senderSmtpAddress || fields.senderEmail)
+          : null,
+        to: recipients('to'),
+        cc: recipients('cc'),
+        subject: fields.subject || null,
+        date: Number.isNaN(sentAt.getTime()) ? null : sentAt.toISOString()
+      },
+      body,
+      bodyFormat,
+      attachments: (fields.attachments || []).map((attachment, index) => {
+        const { fileName, content } = reader.getAttachment(attachment);
+        let filename = fileName || `attachment-${index + 1}`;
+
+        // Embedded messages come back as .msg files of their own
+        if (attachment.innerMsgContent && !filename.toLowerCase().endsWith('.msg')) {
+          filename += '.msg';
+        }
+
+        return {
+          filename,
+          contentType: attachment.innerMsgContent ? 'application/vnd.ms-outlook' : attachment.attachMimeTag || null,
+          content: Buffer.from(content)
+        };
+      })
+    };
+  }
+
+  // Prefer the plain text body and fall back to the HTML body converted to text
+  readBody(text, html) {
+    if (text && text.trim()) {
+      return { body: text.replace(/\r\n?/g, '\n').trim(), bodyFormat: 'text' };
+    }
+    if (html) {
+      return { body: htmlService.htmlToText(html), bodyFormat: 'html' };
+    }
+    return { body: '', bodyFormat: null };
+  }
+
+  formatAddress(name, address) {
+    if (name && address && name !== address) {
+      return `${name} <${address}>`;
+    }
+    return address || name || null;
+  }
+
+  // Write every attachment to a temporary directory and run it through the
+  // extractor for its type
+  async processAttachments(attachments, stats, options) {
+    if (attachments.length === 0) {
+      return [];
+    }
+
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(this.tempDir, 'email-'));
+
+    try {
+      const results = [];
+
+      for (const [index, attachment] of attachments.entries()) {
+        throwIfCancelled(options.signal);
+
+        if (index >= EMAIL_LIMITS.MAX_ATTACHMENTS) {
+          stats.skipped++;
+          results.push({
+            filename: attachment.filename,
+            fileType: attachment.contentType,
+            size: attachment.content.length,
+            success: false,
+            error: `Only the first ${EMAIL_LIMITS.MAX_ATTACHMENTS} attachments are extracted`
+          });
+          continue;
+        }
+
+        results.push(await this.processAttachment(attachment, index, workDir, stats, {
+          ...options,
+          onProgress: partProgress(options.onProgress, index, attachments.length)
+        }));
+      }
+
+      return results;
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async processAttachment(attachment, index, workDir, stats, options) {
+    // Required lazily: the extraction service dispatches emails to this service
+    const extractionService = require('./extraction-service');
+
+    const mimetype = this.getAttachmentMimeType(attachment);
+    const fileType = fileValidator.getFileType(mimetype);
+    const base = {
+      filename: attachment.filename,
+      fileType: mimetype || attachment.contentType,
+      size: attachment.content.length
+    };
+
+    if (!mimetype || !extractionService.getServiceForFile(mimetype)) {
+      stats.skipped++;
+      return { ...base, success: false, error: 'Unsupported file type' };
+    }
+
+    if (attachment.content.length > fileValidator.maxFileSizes[fileType]) {
+      stats.skipped++;
+      const maxSize = (fileValidator.maxFileSizes[fileType] / (1024 * 1024)).toFixed(1);
+      return { ...base, success: false, error: `File too large. Maximum size for ${fileType} files is ${maxSize}MB` };
+    }
+
+    const { depth = 0 } = options;
+    if (CONTAINER_TYPES.includes(fileType) && depth >= MAX_NESTING_DEPTH) {
+      stats.skipped++;
+      return { ...base, success: false, error: `Nested ${fileType} exceeds the maximum depth of ${MAX_NESTING_DEPTH}` };
+    }
+
+    // Attachment names come from the sender, so only the extension is kept
+    const extension = path.extname(attachment.filename).toLowerCase() ||
+      (fileValidator.validExtensions[mimetype] || [''])[0];
+    const attachmentPath = path.join(workDir, `attachment-${index + 1}${extension}`);
+    fs.writeFileSync(attachmentPath, attachment.content);
+
+    try {
+      const result = await extractionService.extractFile(attachmentPath, mimetype, { ...options, depth: depth + 1 });
+      stats.extracted++;
+
+      return {
+        ...base,
+        success: true,
+        text: result.text,
+        wordCount: result.text.split(/\s+/).filter(word => word.length > 0).length,
+        language: result.language,
+        metadata: result.metadata,
+        ...(result.email && { email: result.email }),
+        ...(result.attachments && { attachments: result.attachments }),
+        ...(result.entries && { entries: result.entries }),
+        ...(result.structured && { structured: result.structured }),
+        ...(result.tables && { tables: result.tables }),
+        processingTime: result.processingTime
+      };
+    } catch (error) {
+      stats.failed++;
+      return { ...base, success: false, error: error.message };
+    }
+  }
+
+  // The file name is more reliable than the declared content type, which is
+  // frequently application/octet-stream
+  getAttachmentMimeType(attachment) {
+    const fromName = fileValidator.getMimeTypeFromFilename(attachment.filename);
+    if (fromName) {
+      return fromName;
+    }
+
+    const contentType = (attachment.contentType || '').toLowerCase();
+    if (contentType && !GENERIC_CONTENT_TYPES.includes(contentType) && fileValidator.getFileType(contentType)) {
+      return contentType;
+    }
+
+    return null;
+  }
+
+  // Headers, body, then the text of each attachment labelled with its name
+  combineText(message, attachments) {
+    const { from, to, cc, subject, date } = message.headers;
+    const headerLines = [
+      from && `From: ${from}`,
+      to.length > 0 && `To: ${to.join(', ')}`,
+      cc.length > 0 && `Cc: ${cc.join(', ')}`,
+      subject && `Subject: ${subject}`,
+      date && `Date: ${date}`
+    ].filter(Boolean);
+
+    const sections = [headerLines.join('\n'), message.body];
+
+    for (const attachment of attachments) {
+      if (attachment.success && attachment.text) {
+        sections.push(`--- Attachment: ${attachment.filename} ---\n${attachment.text}`);
+      }
+    }
+
+    return sections.filter(Boolean).join('\n\n');
+  }
+
+  // Health check for email service
+  isHealthy() {
+    return {
+      service: 'email',
+      status: 'healthy',
+      capabilities: ['eml', 'msg', 'headers', 'html bodies', 'attachment extraction'],
+      limits: {
+        maxAttachments: EMAIL_LIMITS.MAX_ATTACHMENTS
+      }
+    };
+  }
+}
+
+module.exports = new EmailService();
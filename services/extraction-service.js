@@ -0,0 +1,238 @@
+const pdfService = require('./pdf-service');
+const docService = require('./doc-service');
+const ocrService = require('./ocr-service');
+const textService = require('./text-service');
+const htmlService = require('./html-service');
+const rtfService = require('./rtf-service');
+const spreadsheetService = require('./spreadsheet-service');
+const pptxService = require('./pptx-service');
+const openDocumentService = require('./opendocument-service');
+const archiveService = require('./archive-service');
+const emailService = require('./email-service');
+const storageService = require('./storage-service');
+const cacheService = require('./cache-service');
+const { normalizeMetadata } = require('../utils/document-metadata');
+const { identifyLanguage } = require('../utils/language');
+const { resolveNormalizeSteps, normalizeText } = require('../utils/text-normalization');
+const { resolveRedactTypes, redactResult } = require('../utils/pii-redaction');
+const { chunkSettings, joinedPageSpans, chunkText } = require('../utils/text-chunking');
+const { throwIfCancelled } = require('../utils/cancellation');
+const constants = require('../config/constants');
+
+const STAGE_PROGRESS = constants.JOBS.STAGE_PROGRESS;
+
+class ExtractionService {
+  // Determine which service handles a given MIME type
+  getServiceForFile(mimetype) {
+    if (mimetype === 'application/pdf') {
+      return pdfService;
+    } else if (mimetype === 'application/msword' ||
+               mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+      return docService;
+    } else if (mimetype === 'application/vnd.openxmlformats-officedocument.presentationml.presentation') {
+      return pptxService;
+    } else if (mimetype === 'application/vnd.oasis.opendocument.text' ||
+               mimetype === 'application/vnd.oasis.opendocument.presentation') {
+      return openDocumentService;
+    } else if (mimetype === 'text/plain' ||
+               mimetype === 'text/markdown' ||
+               mimetype === 'text/x-markdown') {
+      return textService;
+    } else if (mimetype === 'text/html') {
+      return htmlService;
+    } else if (mimetype === 'application/rtf' ||
+               mimetype === 'text/rtf') {
+      return rtfService;
+    } else if (mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' ||
+               mimetype === 'application/vnd.ms-excel' ||
+               mimetype === 'application/vnd.oasis.opendocument.spreadsheet' ||
+               mimetype === 'text/csv') {
+      return spreadsheetService;
+    } else if (mimetype.startsWith('image/')) {
+      return ocrService;
+    } else if (mimetype === 'application/zip' ||
+               mimetype === 'application/x-zip-compressed') {
+      return archiveService;
+    } else if (mimetype === 'message/rfc822' ||
+               mimetype === 'application/vnd.ms-outlook') {
+      return emailService;
+    }
+    return null;
+  }
+
+  // Run a local file through the extractor for its MIME type. Extractors
+  // report their progress through `onProgress(fraction)`; `onStage(stage,
+  // progress)` gets that as the recognizing stage, followed by
+  // post-processing. Extractors that read a file in one step report no
+  // progress, so only the stage changes.
+  async extractFile(filePath, mimetype, options = {}) {
+    const { onStage, ...serviceOptions } = options;
+    const service = this.getServiceForFile(mimetype);
+
+    if (!service) {
+      throw new Error(`Unsupported file type: ${mimetype}`);
+    }
+
+    if (onStage) {
+      await onStage('recognizing', STAGE_PROGRESS.RECOGNIZING);
+      serviceOptions.onProgress = fraction => onStage('recognizing', Math.round(
+        STAGE_PROGRESS.RECOGNIZING + fraction * (STAGE_PROGRESS.POST_PROCESSING - STAGE_PROGRESS.RECOGNIZING)
+      ));
+    }
+
+    const result = await service.extractText(filePath, serviceOptions);
+
+    if (onStage) await onStage('post-processing', STAGE_PROGRESS.POST_PROCESSING);
+
+    this.normalizeResult(result, resolveNormalizeSteps(options.normalize));
+    if (result.metadata.normalization.applied.length > 0) this.dropMarkup(result);
+
+    // ISO code of the language the extracted text is written in
+    const detected = identifyLanguage(result.text);
+    result.language = detected ? detected.code : null;
+
+    // Full metadata replaces the format-specific fields, which move to `details`
+    if (options.metadata === 'full') {
+      result.metadata = await this.extractMetadata(filePath, mimetype, result.metadata);
+    }
+
+    return result;
+  }
+
+  // Run the text of an extraction result through the normalization steps.
+  // Paged results are normalized page by page so that running headers and
+  // footers can be found; the combined text is then rebuilt from the pages,
+  // which stay in `pageTexts` for chunking.
+  normalizeResult(result, steps) {
+    const { pageTexts } = result;
+
+    const normalized = normalizeText(pageTexts || [result.text || ''], steps);
+
+    if (pageTexts) {
+      result.pageTexts = normalized.pages;
+      result.text = normalized.pages.filter(Boolean).join('\n\n');
+      (result.pages || []).forEach((page, index) => {
+        if (page.text !== undefined) page.text = normalized.pages[index];
+        if (page.charCount !== undefined) page.charCount = normalized.pages[index].length;
+      });
+    } else {
+      result.text = normalized.pages[0];
+    }
+
+    result.metadata = {
+      ...result.metadata,
+      normalization: { applied: normalized.applied, steps: normalized.steps }
+    };
+
+    return result;
+  }
+
+  // HTML and Markdown are rendered from the source document, so they no
+  // longer match once its text has been changed; without them, Markdown and
+  // HTML responses are rendered from the text
+  dropMarkup(result) {
+    delete result.html;
+    delete result.markdown;
+    return result;
+  }
+
+  // Split the text of an extraction result into chunks. Offsets are into
+  // `text`; for paged results each chunk also has its page number.
+  chunkResult(result, pageTexts, options) {
+    const { size, overlap } = chunkSettings(options);
+    const pages = pageTexts && result.pages
+      ? pageTexts.map((text, index) => ({ page: result.pages[index].page, text }))
+      : null;
+
+    // The text is built from the pages, unless a service joined them differently
+    const spans = pages && pages.map(page => page.text).filter(Boolean).join('\n\n') === result.text
+      ? joinedPageSpans(pages)
+      : [{ page: null, start: 0, end: result.text.length }];
+
+    const chunks = chunkText(result.text, spans, { size, overlap });
+
+    return {
+      ...result,
+      chunking: { size, overlap, count: chunks.length },
+      chunks
+    };
+  }
+
+  // Normalized metadata of a local file. Services without an
+  // extractMetadata method have nothing beyond the common null fields.
+  async extractMetadata(filePath, mimetype, details = null) {
+    const service = this.getServiceForFile(mimetype);
+
+    if (!service) {
+      throw new Error(`Unsupported file type: ${mimetype}`);
+    }
+
+    const fields = service.extractMetadata ? await service.extractMetadata(filePath) : {};
+    return normalizeMetadata(fields, details);
+  }
+
+  // Download a stored file and run it through the matching extractor.
+  // `onStage(stage, progress)` is called as the extraction moves along. With
+  // the `contentHash` of the file, results are cached by content, cache
+  // version and options; `refresh` extracts again and replaces the cached
+  // result. The result then reports the cache under `cache`. With `redact`,
+  // personal data is redacted from the whole result before it is cached, so
+  // the unredacted text is never stored; archive entries and attachments are
+  // redacted as part of the result they belong to. With `chunk`, the final
+  // text is also split into chunks of `chunkSize` tokens. Aborting `signal`
+  // cancels the extraction.
+  async extractFromStorage(storagePath, mimetype, options = {}) {
+    const { onStage, signal, contentHash, refresh, ...extractOptions } = options;
+    const { redact, redactTypes, chunk, chunkSize, chunkOverlap, ...fileOptions } = extractOptions;
+
+    if (!this.getServiceForFile(mimetype)) {
+      throw new Error(`Unsupported file type: ${mimetype}`);
+    }
+
+    const cacheKey = contentHash ? cacheService.buildKey(contentHash, mimetype, extractOptions) : null;
+    const cacheInfo = (hit, cachedAt) => ({
+      hit,
+      key: cacheKey,
+      contentHash,
+      version: cacheService.version,
+      cachedAt
+    });
+
+    if (cacheKey && !refresh) {
+      const cached = await cacheService.get(cacheKey);
+      if (cached) {
+        console.log(`♻️ Extraction result served from cache: ${cacheKey}`);
+        return { ...cached.result, cache: cacheInfo(true, cached.created_at) };
+      }
+    }
+
+    let downloadedFilePath = null;
+
+    try {
+      if (onStage) await onStage('downloading', STAGE_PROGRESS.DOWNLOADING);
+      downloadedFilePath = await storageService.downloadFile(storagePath);
+      throwIfCancelled(signal);
+
+      const extracted = await this.extractFile(downloadedFilePath, mimetype, { ...fileOptions, onStage, signal });
+      const { pageTexts, ...redacted } = redact ? redactResult(this.dropMarkup(extracted), redact, resolveRedactTypes(redactTypes)) : extracted;
+      const result = chunk ? this.chunkResult(redacted, pageTexts, { chunkSize, chunkOverlap }) : redacted;
+
+      if (cacheKey) {
+        const stored = await cacheService.set(cacheKey, {
+          contentHash,
+          mimetype,
+          options: extractOptions,
+          storagePath,
+          result
+        });
+        result.cache = cacheInfo(false, stored ? stored.created_at : null);
+      }
+
+      return result;
+    } finally {
+      if (downloadedFilePath) storageService.cleanupTempFile(downloadedFilePath);
+    }
+  }
+}
+
+module.exports = new ExtractionService();
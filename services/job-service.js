@@ -0,0 +1,282 @@
+const { v4: uuidv4 } = require('uuid');
+const supabase = require('../config/supabase');
+const constants = require('../config/constants');
+const extractionService = require('./extraction-service');
+const progressService = require('./progress-service');
+const { auditLogger } = require('../utils/audit-logger');
+
+const JOB_STATUS = constants.JOBS.STATUS;
+const STAGE_PROGRESS = constants.JOBS.STAGE_PROGRESS;
+
+// Progress points between writes of a running job's progress to its row
+const PROGRESS_SAVE_STEP = 10;
+
+class JobService {
+  constructor() {
+    this.tableName = constants.JOBS.TABLE_NAME;
+    this.concurrency = constants.JOBS.CONCURRENCY;
+    this.queue = [];
+    this.running = new Set();
+    // Abort controllers of the jobs running in this process
+    this.controllers = new Map();
+  }
+
+  // Persist a new job for a file that is already in storage and queue it.
+  // Jobs submitted with a signed-in `userId` belong to that user.
+  async createJob({ storagePath, fileName, originalName, mimetype, size, options = {}, requestId, userId = null }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      status: JOB_STATUS.QUEUED,
+      stage: 'uploaded',
+      progress: 0,
+      storage_path: storagePath,
+      file_name: fileName,
+      original_name: originalName,
+      mimetype,
+      size,
+      options,
+      request_id: requestId,
+      user_id: userId,
+      result: null,
+      error: null,
+      created_at: now,
+      updated_at: now,
+      started_at: null,
+      completed_at: null,
+    };
+
+    const { error } = await supabase.from(this.tableName).insert(job);
+
+    if (error) {
+      throw new Error(`Failed to create job: ${error.message}`);
+    }
+
+    console.log(`📋 Extraction job queued: ${job.id}`);
+    this.enqueue(job.id);
+
+    return job;
+  }
+
+  async getJob(id) {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load job: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  // Update a job, optionally only while it is still in `expectedStatus`.
+  // Returns the updated row, or null if nothing matched.
+  async updateJob(id, changes, expectedStatus = null) {
+    let query = supabase
+      .from(this.tableName)
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (expectedStatus) {
+      query = query.eq('status', expectedStatus);
+    }
+
+    const { data, error } = await query.select().maybeSingle();
+
+    if (error) {
+      console.error(`Error updating job ${id}:`, error);
+      return null;
+    }
+
+    return data;
+  }
+
+  // Cancel a queued or running job. Finished jobs are returned untouched. A
+  // running extraction is aborted and stops at its next page, entry or
+  // attachment.
+  async cancelJob(id) {
+    const job = await this.getJob(id);
+
+    if (!job || !this.isActive(job)) {
+      return job;
+    }
+
+    const cancelled = await this.updateJob(id, {
+      status: JOB_STATUS.CANCELLED,
+      stage: 'cancelled',
+      completed_at: new Date().toISOString(),
+    }, job.status);
+
+    this.queue = this.queue.filter(queuedId => queuedId !== id);
+
+    const controller = this.controllers.get(id);
+    if (controller) controller.abort();
+
+    if (cancelled) {
+      progressService.publish(id, { status: JOB_STATUS.CANCELLED, stage: 'cancelled', progress: cancelled.progress });
+    }
+
+    console.log(`🛑 Extraction job cancelled: ${id}`);
+
+    return cancelled || await this.getJob(id);
+  }
+
+  // Whether a caller may see or cancel a job. Jobs of a user are only open to
+  // that user; anonymous jobs to anyone who has their id.
+  canAccess(job, user) {
+    return !job.user_id || Boolean(user && user.id === job.user_id);
+  }
+
+  isActive(job) {
+    return job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING;
+  }
+
+  enqueue(id) {
+    if (!this.queue.includes(id) && !this.running.has(id)) {
+      this.queue.push(id);
+    }
+    this.processQueue();
+  }
+
+  processQueue() {
+    while (this.running.size < this.concurrency && this.queue.length > 0) {
+      const id = this.queue.shift();
+      this.running.add(id);
+
+      this.runJob(id)
+        .catch(error => console.error(`Unexpected error running job ${id}:`, error))
+        .finally(() => {
+          this.running.delete(id);
+          this.processQueue();
+        });
+    }
+  }
+
+  async runJob(id) {
+    const job = await this.getJob(id);
+
+    if (!job || job.status !== JOB_STATUS.QUEUED) {
+      return;
+    }
+
+    const started = await this.updateJob(id, {
+      status: JOB_STATUS.RUNNING,
+      stage: 'starting',
+      progress: STAGE_PROGRESS.STARTING,
+      started_at: new Date().toISOString(),
+    }, JOB_STATUS.QUEUED);
+
+    if (!started) {
+      return;
+    }
+
+    console.log(`⚙️ Extraction job started: ${id}`);
+    progressService.publish(id, { status: JOB_STATUS.RUNNING, stage: 'starting', progress: STAGE_PROGRESS.STARTING });
+
+    const controller = new AbortController();
+    this.controllers.set(id, controller);
+
+    try {
+      const result = await extractionService.extractFromStorage(job.storage_path, job.mimetype, {
+        ...job.options,
+        onStage: this.createStageReporter(id),
+        signal: controller.signal,
+      });
+
+      // Only store the result if the job was not cancelled in the meantime
+      const completed = await this.updateJob(id, {
+        status: JOB_STATUS.COMPLETED,
+        stage: 'completed',
+        progress: 100,
+        result,
+        completed_at: new Date().toISOString(),
+      }, JOB_STATUS.RUNNING);
+
+      if (completed) {
+        console.log(`✅ Extraction job completed: ${id}`);
+        progressService.publish(id, { status: JOB_STATUS.COMPLETED, stage: 'completed', progress: 100 });
+
+        if (result.redaction) {
+          await auditLogger.logRedaction(result.redaction, {
+            resource: job.original_name,
+            requestId: job.request_id,
+            jobId: id,
+            cacheHit: result.cache ? result.cache.hit : false,
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`Extraction job ${id} failed:`, error);
+
+      const failed = await this.updateJob(id, {
+        status: JOB_STATUS.FAILED,
+        stage: 'failed',
+        error: error.message,
+        completed_at: new Date().toISOString(),
+      }, JOB_STATUS.RUNNING);
+
+      if (failed) {
+        progressService.publish(id, { status: JOB_STATUS.FAILED, stage: 'failed', progress: failed.progress, error: error.message });
+      }
+    } finally {
+      this.controllers.delete(id);
+    }
+  }
+
+  // Stage callback for a running job. Every change of stage or progress is
+  // published to event stream listeners; the job row is only written when
+  // the stage changes or the progress has moved on noticeably.
+  createStageReporter(id) {
+    let current = { stage: 'starting', progress: STAGE_PROGRESS.STARTING };
+    let saved = current;
+
+    return (stage, progress) => {
+      // Progress only moves forward within a stage
+      if (stage === current.stage && progress <= current.progress) {
+        return null;
+      }
+
+      current = { stage, progress };
+      progressService.publish(id, { status: JOB_STATUS.RUNNING, stage, progress });
+
+      if (stage === saved.stage && progress - saved.progress < PROGRESS_SAVE_STEP) {
+        return null;
+      }
+
+      saved = current;
+      return this.updateJob(id, { stage, progress }, JOB_STATUS.RUNNING);
+    };
+  }
+
+  // Re-queue jobs that were queued or interrupted mid-run by a restart
+  async resumePendingJobs() {
+    const { data, error } = await supabase
+      .from(this.tableName)
+      .select('id, status')
+      .in('status', [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING])
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error loading pending jobs:', error);
+      return 0;
+    }
+
+    for (const job of data) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        await this.updateJob(job.id, { status: JOB_STATUS.QUEUED, stage: 'queued', progress: 0 }, JOB_STATUS.RUNNING);
+      }
+      this.enqueue(job.id);
+    }
+
+    if (data.length > 0) {
+      console.log(`🔁 Resumed ${data.length} pending extraction job(s)`);
+    }
+
+    return data.length;
+  }
+}
+
+module.exports = new JobService();
@@ -1,91 +1,404 @@
 const fs = require('fs');
-const Tesseract = require('tesseract.js');
+const path = require('path');
+const sharp = require('sharp');
+const imageSize = require('image-size');
+const exifr = require('exifr');
+const { isOcrDocumentFormat, createOcrDocument } = require('../utils/ocr-document');
+const { resolvePreprocessSteps, preprocessImage } = require('../utils/image-preprocessing');
+const { identifyLanguage } = require('../utils/language');
+const { createPageFilter } = require('../utils/page-range');
+const { partProgress } = require('../utils/progress');
+const { throwIfCancelled } = require('../utils/cancellation');
+const { getInstalledLanguages } = require('../utils/ocr-languages');
+const ocrWorkerPool = require('./ocr-worker-pool');
+const constants = require('../config/constants');
 
-class OCRService {
-  constructor() {
-    // Initialize with default options
-    this.defaultOptions = {
-      logger: m => {
-        if (m.status === 'recognizing text') {
-          console.log(`OCR Progress: ${Math.round(m.progress * 100)}%`);
-        }
-      }
-    };
-  }
+const OCR_SETTINGS = constants.FILES.OCR;
 
-  async extractText(filePath, language = 'eng') {
+class OCRService {
+  async extractText(filePath, options = {}) {
     const startTime = Date.now();
+    const { output = 'text', minConfidence = OCR_SETTINGS.MIN_CONFIDENCE } = options;
+    const language = options.languages || OCR_SETTINGS.DEFAULT_LANGUAGE;
     
     try {
       console.log(`Starting OCR processing for image: ${filePath}`);
-      
-      // Perform OCR on the image
-      const { data } = await Tesseract.recognize(
-        filePath,
+
+      // Clean up the image first; phone photos are rarely OCR-ready
+      const steps = resolvePreprocessSteps(options.preprocess);
+      // Upscaling needs the resolution and every step keeps it in the image.
+      // Rendered PDF pages come with the resolution they were rendered at.
+      const dpi = !options.dpi && steps.length > 0 ? this.readDpi(await this.readExif(filePath), filePath) : null;
+      const imageOptions = {
         language,
-        this.defaultOptions
-      );
+        minConfidence,
+        steps,
+        dpi: options.dpi || (dpi && Math.min(dpi.x, dpi.y)),
+        onProgress: options.onProgress
+      };
+
+      // Multi-page TIFFs and animated GIFs are OCRed frame by frame
+      const frameCount = await this.countFrames(filePath);
+      if (frameCount > 1) {
+        return await this.extractFrames(filePath, frameCount, imageOptions, options, startTime);
+      }
+
+      const { data, text, belowMinConfidence, ocrLanguage, detected, prepared } = await this.ocrImage(filePath, imageOptions);
       
       const processingTime = Date.now() - startTime;
       
-      // Filter out low-confidence text (optional)
-      const filteredText = this.filterLowConfidenceText(data);
-      
       console.log(`OCR completed: ${data.text.length} characters, confidence: ${data.confidence}%`);
       
-      return {
-        text: filteredText || data.text.trim(),
+      const result = {
+        text,
         metadata: {
           confidence: Math.round(data.confidence),
-          language: language,
-          blocks: data.blocks?.length || 0,
-          paragraphs: data.paragraphs?.length || 0,
-          lines: data.lines?.length || 0,
-          words: data.words?.length || 0,
-          symbols: data.symbols?.length || 0
+          language: ocrLanguage,
+          ...(language === 'auto' && { detectedLanguage: detected ? detected.code : null }),
+          minConfidence,
+          ...(belowMinConfidence && { belowMinConfidence }),
+          ...this.countElements([data]),
+          // Size of the preprocessed image, when a step changed it
+          preprocessing: {
+            applied: prepared.applied,
+            steps: prepared.steps,
+            ...(prepared.width && { width: prepared.width, height: prepared.height })
+          }
         },
         processingTime: `${processingTime}ms`
       };
+
+      if (output === 'structured') {
+        result.structured = { blocks: this.buildLayout(data) };
+      }
+
+      // hOCR and ALTO need the page size as well as the layout. Coordinates
+      // refer to the image that was OCRed, which may have been rotated or scaled.
+      if (isOcrDocumentFormat(output)) {
+        const { width, height } = prepared.width ? prepared : imageSize(filePath);
+        result.ocrDocument = createOcrDocument(output, [
+          { page: 1, width, height, blocks: this.buildLayout(data) }
+        ], { fileName: path.basename(filePath) });
+      }
+
+      return result;
     } catch (error) {
       console.error('OCR extraction error:', error);
       throw new Error(`OCR extraction failed: ${error.message}`);
     }
   }
 
+  // Preprocess and OCR one image (a path or a buffer). With language=auto, a
+  // first pass finds out which language the text is in and OCR runs again
+  // with that language; each pass then reports half of the progress.
+  async ocrImage(image, { language, minConfidence, steps, dpi, onProgress }) {
+    const prepared = await preprocessImage(image, steps, { dpi });
+    if (prepared.applied.length > 0) {
+      console.log(`Image preprocessed: ${prepared.applied.join(', ')}`);
+    }
+
+    const installed = getInstalledLanguages();
+    let ocrLanguage = language === 'auto' ? this.getFirstPassLanguage(installed) : language;
+    const passes = language === 'auto' ? 2 : 1;
+    let { data } = await this.recognize(prepared.image, ocrLanguage, partProgress(onProgress, 0, passes));
+    let detected = null;
+
+    if (language === 'auto') {
+      detected = identifyLanguage(data.text, { ocrOnly: true, tesseractLanguages: installed });
+
+      if (detected && detected.tesseract !== ocrLanguage) {
+        console.log(`Detected language ${detected.code}, running OCR again with ${detected.tesseract}`);
+        ocrLanguage = detected.tesseract;
+        ({ data } = await this.recognize(prepared.image, ocrLanguage, partProgress(onProgress, 1, passes)));
+      }
+    }
+
+    // Filter out low-confidence text (optional)
+    const text = this.filterLowConfidenceText(data, minConfidence).trim();
+    const belowMinConfidence = this.isBelowMinConfidence(data, minConfidence);
+
+    return { data, text, belowMinConfidence, ocrLanguage, detected, prepared };
+  }
+
+  // OCR every frame of a multi-page TIFF or animated GIF in order, with the
+  // text and confidence of each frame under `pages` like the pages of a PDF
+  async extractFrames(filePath, frameCount, imageOptions, options, startTime) {
+    const { output = 'text', pages: pageRange } = options;
+    const includesFrame = pageRange ? createPageFilter(pageRange) : () => true;
+    const selected = Array.from({ length: frameCount }, (_, index) => index + 1).filter(includesFrame);
+    const frameNumbers = selected.slice(0, OCR_SETTINGS.MAX_FRAMES);
+    const frames = [];
+    let { language } = imageOptions;
+    let detected = null;
+
+    for (const [index, frameNumber] of frameNumbers.entries()) {
+      throwIfCancelled(options.signal);
+
+      const frame = { page: frameNumber, text: '', confidence: null, data: null };
+      frames.push(frame);
+
+      try {
+        const image = await sharp(filePath, { page: frameNumber - 1 }).png().toBuffer({ resolveWithObject: true });
+        const ocr = await this.ocrImage(image.data, {
+          ...imageOptions,
+          language,
+          onProgress: partProgress(imageOptions.onProgress, index, frameNumbers.length)
+        });
+
+        frame.text = ocr.text;
+        frame.confidence = Math.round(ocr.data.confidence);
+        frame.belowMinConfidence = ocr.belowMinConfidence;
+        frame.data = ocr.data;
+        frame.preprocessing = ocr.prepared.applied;
+        frame.width = ocr.prepared.width || image.info.width;
+        frame.height = ocr.prepared.height || image.info.height;
+
+        // The first frame with enough text decides the language of the rest
+        if (language === 'auto' && ocr.detected) {
+          detected = ocr.detected;
+          language = ocr.ocrLanguage;
+        }
+      } catch (error) {
+        console.error(`Frame ${frameNumber} OCR error:`, error.message);
+        frame.error = `OCR failed: ${error.message}`;
+        frame.cause = error;
+      }
+    }
+
+    const recognized = frames.filter(frame => frame.data);
+    const failed = frames.find(frame => frame.error);
+    if (recognized.length === 0 && failed) {
+      throw failed.cause;
+    }
+
+    const text = frames.map(frame => frame.text).filter(Boolean).join('\n\n');
+    const processingTime = Date.now() - startTime;
+
+    console.log(`OCR completed: ${frames.length}/${frameCount} frames, ${text.length} characters`);
+
+    const result = {
+      text,
+      // Text of each frame, used to normalize the text page by page
+      pageTexts: frames.map(frame => frame.text),
+      pages: frames.map(frame => ({
+        page: frame.page,
+        text: frame.text,
+        charCount: frame.text.length,
+        confidence: frame.confidence,
+        ...(frame.belowMinConfidence && { belowMinConfidence: true }),
+        ...(frame.preprocessing && { preprocessing: frame.preprocessing }),
+        ...(frame.error && { error: frame.error })
+      })),
+      metadata: {
+        frames: frameCount,
+        ...(pageRange && { pageRange, extractedFrames: frameNumbers }),
+        confidence: recognized.length > 0
+          ? Math.round(recognized.reduce((sum, frame) => sum + frame.confidence, 0) / recognized.length)
+          : null,
+        language: language === 'auto' ? this.getFirstPassLanguage(getInstalledLanguages()) : language,
+        ...(imageOptions.language === 'auto' && { detectedLanguage: detected ? detected.code : null }),
+        minConfidence: imageOptions.minConfidence,
+        ...this.countElements(recognized.map(frame => frame.data)),
+        skippedFrames: selected.length - frameNumbers.length
+      },
+      processingTime: `${processingTime}ms`
+    };
+
+    // Layout coordinates are in pixels of each OCRed frame
+    const layoutPages = recognized.map(frame => ({
+      page: frame.page,
+      width: frame.width,
+      height: frame.height,
+      blocks: this.buildLayout(frame.data)
+    }));
+
+    if (output === 'structured') {
+      result.structured = { pages: layoutPages };
+    }
+
+    if (isOcrDocumentFormat(output)) {
+      result.ocrDocument = createOcrDocument(output, layoutPages, { fileName: path.basename(filePath) });
+    }
+
+    return result;
+  }
+
+  // Number of frames in a multi-page TIFF or animated GIF; 1 for other images
+  async countFrames(filePath) {
+    try {
+      const { pages } = await sharp(filePath).metadata();
+      return pages || 1;
+    } catch (error) {
+      // Formats the image library cannot read, such as BMP, have one frame
+      return 1;
+    }
+  }
+
+  // Totals of the layout elements Tesseract found
+  countElements(results) {
+    const count = key => results.reduce((sum, data) => sum + (data[key]?.length || 0), 0);
+
+    return {
+      blocks: count('blocks'),
+      paragraphs: count('paragraphs'),
+      lines: count('lines'),
+      words: count('words'),
+      symbols: count('symbols')
+    };
+  }
+
+  // Recognition runs on the shared worker pool
+  recognize(image, language, onProgress) {
+    return ocrWorkerPool.recognize(image, language, { onProgress });
+  }
+
+  // English reads most Latin-script text well enough to identify its
+  // language; without English data, the first installed language is used
+  getFirstPassLanguage(installed) {
+    if (!installed || installed.includes(OCR_SETTINGS.DEFAULT_LANGUAGE)) {
+      return OCR_SETTINGS.DEFAULT_LANGUAGE;
+    }
+    if (installed.length === 0) {
+      throw new Error('No OCR languages are installed');
+    }
+    return installed[0];
+  }
+
   // Extract text with multiple languages
-  async extractTextMultiLanguage(filePath, languages = ['eng']) {
-    const startTime = Date.now();
-    
+  extractTextMultiLanguage(filePath, languages = [OCR_SETTINGS.DEFAULT_LANGUAGE], options = {}) {
+    return this.extractText(filePath, { ...options, languages: languages.join('+') });
+  }
+
+  // Image size and EXIF fields: camera, orientation, GPS position, resolution
+  // and capture date
+  async extractMetadata(filePath) {
+    const { width, height, orientation } = imageSize(filePath);
+    const exif = await this.readExif(filePath);
+    const ifd0 = exif.ifd0 || {};
+    const gps = exif.gps || {};
+    const dateTaken = exif.exif && (exif.exif.DateTimeOriginal || exif.exif.CreateDate);
+
+    return {
+      title: ifd0.ImageDescription,
+      author: ifd0.Artist,
+      created: dateTaken,
+      modified: ifd0.ModifyDate,
+      application: ifd0.Software,
+      image: {
+        width,
+        height,
+        dpi: this.readDpi(exif, filePath),
+        orientation: ifd0.Orientation || orientation || null,
+        camera: ifd0.Make || ifd0.Model
+          ? { make: ifd0.Make || null, model: ifd0.Model || null }
+          : null,
+        gps: typeof gps.latitude === 'number' && typeof gps.longitude === 'number'
+          ? {
+            latitude: gps.latitude,
+            longitude: gps.longitude,
+            altitude: typeof gps.GPSAltitude === 'number'
+              ? (gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude)
+              : null
+          }
+          : null,
+        takenAt: dateTaken
+      }
+    };
+  }
+
+  // Raw EXIF segments of an image, or an empty object when it has none
+  async readExif(filePath) {
     try {
-      const languageString = languages.join('+');
-      console.log(`Starting multi-language OCR: ${languageString}`);
-      
-      const { data } = await Tesseract.recognize(
-        filePath,
-        languageString,
-        this.defaultOptions
-      );
-      
-      const processingTime = Date.now() - startTime;
-      
-      return {
-        text: data.text.trim(),
-        metadata: {
-          confidence: Math.round(data.confidence),
-          languages: languages,
-          detectedLanguages: this.detectLanguages(data),
-          words: data.words?.length || 0
-        },
-        processingTime: `${processingTime}ms`
-      };
+      return await exifr.parse(filePath, {
+        tiff: true,
+        exif: true,
+        gps: true,
+        jfif: true,
+        translateValues: false,
+        mergeOutput: false
+      }) || {};
     } catch (error) {
-      console.error('Multi-language OCR error:', error);
-      throw new Error(`Multi-language OCR failed: ${error.message}`);
+      // Formats without EXIF support, such as BMP and GIF
+      console.log('Could not read image EXIF data:', error.message);
+      return {};
     }
   }
 
-  // Filter out text with very low confidence
-  filterLowConfidenceText(data, minConfidence = 30) {
+  // Resolution from the EXIF/TIFF tags, the JFIF header of a JPEG or the
+  // pHYs chunk of a PNG
+  readDpi(exif, filePath) {
+    const round = value => Math.round(value * 100) / 100;
+    const ifd0 = exif.ifd0 || {};
+    const jfif = exif.jfif || {};
+
+    // TIFF resolution units: 2 = inch, 3 = centimetre
+    if (ifd0.XResolution && ifd0.YResolution && ifd0.ResolutionUnit !== 1) {
+      const scale = ifd0.ResolutionUnit === 3 ? 2.54 : 1;
+      return { x: round(ifd0.XResolution * scale), y: round(ifd0.YResolution * scale) };
+    }
+
+    // JFIF density units: 1 = dots per inch, 2 = dots per centimetre
+    if (jfif.XResolution && jfif.YResolution && (jfif.ResolutionUnit === 1 || jfif.ResolutionUnit === 2)) {
+      const scale = jfif.ResolutionUnit === 2 ? 2.54 : 1;
+      return { x: round(jfif.XResolution * scale), y: round(jfif.YResolution * scale) };
+    }
+
+    return this.readPngDpi(filePath);
+  }
+
+  // The pHYs chunk stores pixels per metre when its unit byte is 1
+  readPngDpi(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    if (buffer.readUInt32BE(0) !== 0x89504E47) {
+      return null;
+    }
+
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+
+      if (type === 'pHYs' && length >= 9 && buffer[offset + 16] === 1) {
+        return {
+          x: Math.round(buffer.readUInt32BE(offset + 8) * 0.0254 * 100) / 100,
+          y: Math.round(buffer.readUInt32BE(offset + 12) * 0.0254 * 100) / 100
+        };
+      }
+      if (type === 'IDAT' || type === 'IEND') {
+        break;
+      }
+      offset += 12 + length;
+    }
+
+    return null;
+  }
+
+  // Block -> paragraph -> line -> word hierarchy with the geometry Tesseract
+  // reports. Boxes are in pixels of the source image, origin top left.
+  buildLayout(data) {
+    const element = (node, children) => ({
+      text: node.text.trim(),
+      confidence: Math.round(node.confidence),
+      bbox: { ...node.bbox },
+      baseline: node.baseline && node.baseline.has_baseline
+        ? { x0: node.baseline.x0, y0: node.baseline.y0, x1: node.baseline.x1, y1: node.baseline.y1 }
+        : null,
+      ...children
+    });
+
+    return (data.blocks || []).map(block => element(block, {
+      blockType: block.blocktype,
+      paragraphs: block.paragraphs.map(paragraph => element(paragraph, {
+        lines: paragraph.lines.map(line => element(line, {
+          words: line.words.map(word => element(word))
+        }))
+      }))
+    }));
+  }
+
+  // Filter out text with very low confidence. When no word is confident
+  // enough, the unfiltered text is kept.
+  filterLowConfidenceText(data, minConfidence = OCR_SETTINGS.MIN_CONFIDENCE) {
     if (!data.words) return data.text;
     
     const filteredWords = data.words
@@ -96,25 +409,21 @@ class OCRService {
     return filteredWords || data.text;
   }
 
-  // Detect languages from OCR data
-  detectLanguages(data) {
-    // This is a simplified language detection
-    // In production, you might want to use a proper language detection library
-    const languages = [];
-    
-    if (data.words) {
-      const hasLatinScript = /[a-zA-Z]/.test(data.text);
-      const hasCyrillic = /[\u0400-\u04FF]/.test(data.text);
-      const hasArabic = /[\u0600-\u06FF]/.test(data.text);
-      const hasChinese = /[\u4e00-\u9fff]/.test(data.text);
-      
-      if (hasLatinScript) languages.push('latin-based');
-      if (hasCyrillic) languages.push('cyrillic');
-      if (hasArabic) languages.push('arabic');
-      if (hasChinese) languages.push('chinese');
-    }
-    
-    return languages.length > 0 ? languages : ['unknown'];
+  // Whether the text is unfiltered because no word reached the threshold
+  isBelowMinConfidence(data, minConfidence = OCR_SETTINGS.MIN_CONFIDENCE) {
+    return Boolean(data.words && data.words.length > 0 &&
+      data.words.every(word => word.confidence < minConfidence));
+  }
+
+  // OCR languages a request can ask for. Downloaded language data covers
+  // every Tesseract language; these are the common ones.
+  getLanguages() {
+    const installed = getInstalledLanguages();
+
+    return {
+      source: installed ? 'local' : 'download',
+      languages: installed || ['eng', 'spa', 'fra', 'deu', 'ita', 'por', 'rus', 'chi_sim', 'chi_tra', 'jpn', 'ara']
+    };
   }
 
   // Health check for OCR service
@@ -125,12 +434,15 @@ class OCRService {
       capabilities: [
         'image text extraction',
         'multi-language support',
+        'automatic language detection',
         'confidence filtering',
-        'layout analysis'
+        'layout analysis',
+        'structured layout with bounding boxes',
+        'hocr and alto export',
+        'image preprocessing',
+        'multi-frame tiff and gif'
       ],
-      supportedLanguages: [
-        'eng', 'spa', 'fra', 'deu', 'ita', 'por', 'rus', 'chi_sim', 'chi_tra', 'jpn', 'ara'
-      ]
+      supportedLanguages: this.getLanguages().languages
     };
   }
 }
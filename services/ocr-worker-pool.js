@@ -0,0 +1,215 @@
+const { createWorker } = require('tesseract.js');
+const constants = require('../config/constants');
+const { getLanguageDataOptions } = require('../utils/ocr-languages');
+
+const OCR_SETTINGS = constants.FILES.OCR;
+
+const WORKER_STATUS = {
+  STARTING: 'starting',
+  IDLE: 'idle',
+  BUSY: 'busy',
+};
+
+// A fixed number of Tesseract workers that stay loaded between images.
+// Recognition jobs wait in one queue and go to an idle worker, preferably
+// one that already has the job's languages loaded.
+class OCRWorkerPool {
+  constructor() {
+    this.size = OCR_SETTINGS.POOL_SIZE;
+    this.languages = OCR_SETTINGS.POOL_LANGUAGES;
+    this.workers = [];
+    this.queue = [];
+    this.progressHandlers = new Map();
+    this.nextWorkerId = 1;
+    this.nextJobId = 1;
+    this.completedJobs = 0;
+    this.failedJobs = 0;
+    this.lastError = null;
+  }
+
+  // Start every worker with the configured languages so the first images
+  // do not wait for Tesseract to load
+  async start() {
+    const starting = [];
+
+    while (this.workers.length < this.size) {
+      const entry = this.addWorker();
+
+      starting.push(this.loadLanguages(entry, this.languages)
+        .then(() => {
+          entry.status = WORKER_STATUS.IDLE;
+          this.processQueue();
+        })
+        .catch(error => console.error(`OCR worker ${entry.id} failed to start:`, error.message)));
+    }
+
+    await Promise.all(starting);
+    return this.workers.length;
+  }
+
+  // Recognize an image (path or buffer) with languages such as "eng+deu".
+  // `onProgress(fraction)` is called as recognition moves along.
+  recognize(image, languages, { onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ image, languages, onProgress, resolve, reject });
+      this.processQueue();
+    });
+  }
+
+  processQueue() {
+    while (this.queue.length > 0) {
+      const job = this.queue[0];
+      const idle = this.workers.filter(worker => worker.status === WORKER_STATUS.IDLE);
+
+      // Reloading languages is slow, so a worker that has them wins
+      const entry = idle.find(worker => worker.languages === job.languages) ||
+        (this.workers.length < this.size ? this.addWorker() : idle[0]);
+
+      if (!entry) {
+        return;
+      }
+
+      this.queue.shift();
+      entry.status = WORKER_STATUS.BUSY;
+
+      this.runJob(entry, job)
+        .finally(() => {
+          if (this.workers.includes(entry)) {
+            entry.status = WORKER_STATUS.IDLE;
+          }
+          this.processQueue();
+        });
+    }
+  }
+
+  async runJob(entry, job) {
+    try {
+      await this.loadLanguages(entry, job.languages);
+    } catch (error) {
+      this.failedJobs++;
+      job.reject(error);
+      return;
+    }
+
+    const jobId = `ocr-${this.nextJobId++}`;
+    if (job.onProgress) {
+      this.progressHandlers.set(jobId, job.onProgress);
+    }
+
+    try {
+      const result = await entry.worker.recognize(job.image, {}, undefined, jobId);
+      entry.jobsCompleted++;
+      this.completedJobs++;
+      job.resolve(result);
+    } catch (error) {
+      entry.jobsFailed++;
+      entry.lastError = String(error.message || error);
+      this.failedJobs++;
+      job.reject(error instanceof Error ? error : new Error(error));
+    } finally {
+      this.progressHandlers.delete(jobId);
+    }
+  }
+
+  // Register a worker; its Tesseract worker is created in the background
+  addWorker() {
+    const entry = {
+      id: this.nextWorkerId++,
+      status: WORKER_STATUS.STARTING,
+      languages: null,
+      jobsCompleted: 0,
+      jobsFailed: 0,
+      lastError: null,
+      startedAt: new Date().toISOString(),
+      worker: null
+    };
+
+    // Workers start without languages: a failed language load only rejects
+    // when it happens through reinitialize
+    entry.ready = createWorker([], 1, {
+      ...getLanguageDataOptions(),
+      logger: message => this.handleProgress(message),
+      // Errors reach the caller through the rejected job instead
+      errorHandler: () => {}
+    }).then((worker) => {
+      entry.worker = worker;
+    });
+
+    this.workers.push(entry);
+    return entry;
+  }
+
+  // Make sure a worker has the given languages loaded. A worker that fails
+  // to load them is shut down and replaced on demand.
+  async loadLanguages(entry, languages) {
+    try {
+      await entry.ready;
+
+      if (entry.languages !== languages) {
+        console.log(`OCR worker ${entry.id} loading ${languages}`);
+        await entry.worker.reinitialize(languages);
+        entry.languages = languages;
+      }
+    } catch (error) {
+      const message = String(error.message || error);
+      this.lastError = { message, languages, at: new Date().toISOString() };
+      await this.removeWorker(entry);
+      throw new Error(`Could not load OCR language data for ${languages}: ${message}`);
+    }
+  }
+
+  async removeWorker(entry) {
+    this.workers = this.workers.filter(worker => worker !== entry);
+
+    if (entry.worker) {
+      await entry.worker.terminate();
+    }
+  }
+
+  handleProgress(message) {
+    const onProgress = this.progressHandlers.get(message.userJobId);
+
+    if (onProgress && message.status === 'recognizing text') {
+      onProgress(message.progress);
+    }
+  }
+
+  // Stop every worker; queued jobs are rejected
+  async terminate() {
+    const queued = this.queue.splice(0);
+    queued.forEach(job => job.reject(new Error('OCR worker pool was shut down')));
+
+    await Promise.all(this.workers.map(entry => entry.ready.then(() => entry.worker.terminate(), () => {})));
+    this.workers = [];
+  }
+
+  // Worker states, utilization and queue depth for the health check
+  getStats() {
+    const count = status => this.workers.filter(worker => worker.status === status).length;
+    const busy = count(WORKER_STATUS.BUSY);
+
+    return {
+      size: this.size,
+      languages: this.languages,
+      workers: this.workers.map(worker => ({
+        id: worker.id,
+        status: worker.status,
+        languages: worker.languages,
+        jobsCompleted: worker.jobsCompleted,
+        jobsFailed: worker.jobsFailed,
+        lastError: worker.lastError,
+        startedAt: worker.startedAt
+      })),
+      busy,
+      idle: count(WORKER_STATUS.IDLE),
+      starting: count(WORKER_STATUS.STARTING),
+      utilization: Math.round((busy / this.size) * 100) / 100,
+      queueDepth: this.queue.length,
+      completedJobs: this.completedJobs,
+      failedJobs: this.failedJobs,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = new OCRWorkerPool();
@@ -0,0 +1,391 @@
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+const { readZipEntries } = require('../utils/zip-reader');
+const { needsHtml, escapeHtml, slidesToHtml } = require('../utils/document-format');
+
+const NS = {
+  office: 'urn:oasis:names:tc:opendocument:xmlns:office:1.0',
+  text: 'urn:oasis:names:tc:opendocument:xmlns:text:1.0',
+  table: 'urn:oasis:names:tc:opendocument:xmlns:table:1.0',
+  draw: 'urn:oasis:names:tc:opendocument:xmlns:drawing:1.0',
+  presentation: 'urn:oasis:names:tc:opendocument:xmlns:presentation:1.0',
+  meta: 'urn:oasis:names:tc:opendocument:xmlns:meta:1.0',
+  dc: 'http://purl.org/dc/elements/1.1/'
+};
+
+// Elements whose content is not part of the visible text
+const SKIPPED_TEXT_ELEMENTS = new Set(['tracked-changes', 'note', 'bookmark-ref', 'sequence-decls', 'variable-decls']);
+
+// Presentation frames repeated on every slide
+const IGNORED_FRAME_CLASSES = new Set(['page-number', 'date-time', 'footer', 'header']);
+
+class OpenDocumentService {
+  async extractText(filePath, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const parts = await readZipEntries(filePath, name => name === 'content.xml' || name === 'meta.xml');
+
+      if (!parts.has('content.xml')) {
+        throw new Error('File is not a valid OpenDocument file');
+      }
+
+      const content = this.parseXml(parts.get('content.xml'));
+      const properties = this.readMetaProperties(parts);
+      const fileExtension = path.extname(filePath).toLowerCase();
+      const presentation = content.getElementsByTagNameNS(NS.office, 'presentation')[0];
+
+      const result = presentation
+        ? this.extractPresentation(presentation, properties, options)
+        : this.extractTextDocument(content, properties, options);
+
+      const processingTime = Date.now() - startTime;
+      result.metadata.fileType = fileExtension || (presentation ? '.odp' : '.odt');
+      result.processingTime = `${processingTime}ms`;
+
+      console.log(`OpenDocument processed successfully: ${result.text.length} characters`);
+
+      return result;
+    } catch (error) {
+      console.error('OpenDocument extraction error:', error);
+      throw new Error(`OpenDocument extraction failed: ${error.message}`);
+    }
+  }
+
+  extractTextDocument(content, properties, options) {
+    const body = content.getElementsByTagNameNS(NS.office, 'text')[0];
+    const footnotes = [];
+    const blocks = body ? this.readBlocks(body, footnotes) : [];
+
+    let text = blocks.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    if (footnotes.length > 0) {
+      text += `\n\nNotes:\n${footnotes.map(note => `[${note.citation}] ${note.text}`).join('\n')}`;
+    }
+
+    return {
+      text,
+      ...(needsHtml(options) && { html: body ? this.textDocumentToHtml(body) : '' }),
+      metadata: {
+        ...properties,
+        footnotes: footnotes.length
+      }
+    };
+  }
+
+  extractPresentation(presentation, properties, options) {
+    const { output = 'text' } = options;
+    const slides = Array.from(presentation.childNodes)
+      .filter(node => node.namespaceURI === NS.draw && node.localName === 'page')
+      .map((page, index) => this.readSlide(page, index + 1));
+
+    const text = slides.map(slide => this.formatSlide(slide)).join('\n\n');
+
+    const result = {
+      text,
+      metadata: {
+        ...properties,
+        slideCount: slides.length,
+        slideTitles: slides.map(slide => slide.title),
+        slidesWithNotes: slides.filter(slide => slide.notes).length
+      }
+    };
+
+    if (needsHtml(options)) {
+      result.html = slidesToHtml(slides);
+    }
+
+    if (output === 'structured') {
+      result.structured = { slides };
+    }
+
+    return result;
+  }
+
+  // Same content as the text, keeping heading levels, lists and tables
+  textDocumentToHtml(body) {
+    const footnotes = [];
+    const html = body ? this.readHtmlBlocks(body, footnotes) : [];
+
+    if (footnotes.length > 0) {
+      html.push('<h2>Notes</h2>', ...footnotes.map(note => `<p>[${escapeHtml(note.citation)}] ${escapeHtml(note.text)}</p>`));
+    }
+
+    return html.join('\n');
+  }
+
+  readHtmlBlocks(node, footnotes) {
+    const html = [];
+
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType !== 1) continue;
+
+      if (child.namespaceURI === NS.text && child.localName === 'h') {
+        const level = Math.min(Math.max(parseInt(child.getAttributeNS(NS.text, 'outline-level'), 10) || 1, 1), 6);
+        html.push(`<h${level}>${escapeHtml(this.readInline(child, footnotes))}</h${level}>`);
+      } else if (child.namespaceURI === NS.text && child.localName === 'p') {
+        const text = this.readInline(child, footnotes);
+        if (text.trim()) html.push(`<p>${escapeHtml(text).replace(/\n/g, '<br>')}</p>`);
+      } else if (child.namespaceURI === NS.text && child.localName === 'list') {
+        // Items holding a single paragraph drop the paragraph so the list stays tight
+        const items = Array.from(child.childNodes)
+          .filter(item => item.nodeType === 1)
+          .map(item => this.readHtmlBlocks(item, footnotes))
+          .map(blocks => blocks.length === 1 && blocks[0].startsWith('<p>') ? blocks[0].slice(3, -4) : blocks.join(''))
+          .map(content => `<li>${content}</li>`);
+        html.push(`<ul>${items.join('')}</ul>`);
+      } else if (child.namespaceURI === NS.table && child.localName === 'table') {
+        html.push(this.readHtmlTable(child, footnotes));
+      } else if (child.namespaceURI === NS.text && SKIPPED_TEXT_ELEMENTS.has(child.localName)) {
+        continue;
+      } else {
+        html.push(...this.readHtmlBlocks(child, footnotes));
+      }
+    }
+
+    return html;
+  }
+
+  // Rows repeated as table headers become header cells
+  readHtmlTable(table, footnotes) {
+    const rows = Array.from(table.getElementsByTagNameNS(NS.table, 'table-row')).map((row) => {
+      const header = row.parentNode.localName === 'table-header-rows';
+      const cells = Array.from(row.childNodes)
+        .filter(cell => cell.namespaceURI === NS.table && cell.localName === 'table-cell')
+        .map(cell => escapeHtml(this.readBlocks(cell, footnotes).join(' ').trim()))
+        .map(cell => header ? `<th>${cell}</th>` : `<td>${cell}</td>`);
+      return `<tr>${cells.join('')}</tr>`;
+    });
+
+    return `<table>${rows.join('')}</table>`;
+  }
+
+  readSlide(page, number) {
+    let title = null;
+    const body = [];
+    let notes = null;
+
+    for (const child of Array.from(page.childNodes)) {
+      if (child.namespaceURI === NS.presentation && child.localName === 'notes') {
+        notes = this.readFrames(child)
+          .filter(frame => frame.className === 'notes')
+          .map(frame => frame.text)
+          .filter(Boolean)
+          .join('\n') || null;
+        continue;
+      }
+
+      for (const frame of this.readFrames(child)) {
+        if (IGNORED_FRAME_CLASSES.has(frame.className) || !frame.text) continue;
+
+        if (title === null && frame.className === 'title') {
+          title = frame.text.replace(/\s*\n\s*/g, ' ');
+        } else {
+          body.push(frame.text);
+        }
+      }
+    }
+
+    return {
+      slide: number,
+      title,
+      text: body.join('\n'),
+      notes
+    };
+  }
+
+  // Text frames, tables and groups below a node, in drawing order
+  readFrames(node) {
+    if (node.nodeType !== 1) return [];
+
+    if (node.namespaceURI === NS.draw && node.localName === 'g') {
+      return Array.from(node.childNodes).flatMap(child => this.readFrames(child));
+    }
+
+    if (node.namespaceURI === NS.draw && ['frame', 'custom-shape', 'rect', 'ellipse'].includes(node.localName)) {
+      return [{
+        className: node.getAttributeNS(NS.presentation, 'class') || null,
+        text: this.readBlocks(node, []).join('\n').trim()
+      }];
+    }
+
+    if (node.namespaceURI === NS.presentation && node.localName === 'notes') {
+      return Array.from(node.childNodes).flatMap(child => this.readFrames(child));
+    }
+
+    return [];
+  }
+
+  // Paragraphs, headings, lists and tables below a node, one entry per line
+  readBlocks(node, footnotes) {
+    const lines = [];
+
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType !== 1) continue;
+
+      if (child.namespaceURI === NS.text && (child.localName === 'p' || child.localName === 'h')) {
+        lines.push(this.readInline(child, footnotes));
+      } else if (child.namespaceURI === NS.text && child.localName === 'list') {
+        for (const item of Array.from(child.childNodes)) {
+          if (item.nodeType === 1) lines.push(...this.readBlocks(item, footnotes));
+        }
+      } else if (child.namespaceURI === NS.table && child.localName === 'table') {
+        lines.push(this.readTable(child, footnotes), '');
+      } else if (child.namespaceURI === NS.text && SKIPPED_TEXT_ELEMENTS.has(child.localName)) {
+        continue;
+      } else {
+        lines.push(...this.readBlocks(child, footnotes));
+      }
+    }
+
+    return lines;
+  }
+
+  // Tables become one line per row with tab-separated cells
+  readTable(table, footnotes) {
+    return Array.from(table.getElementsByTagNameNS(NS.table, 'table-row'))
+      .map(row => Array.from(row.childNodes)
+        .filter(cell => cell.namespaceURI === NS.table && cell.localName === 'table-cell')
+        .map(cell => this.readBlocks(cell, footnotes).join(' ').trim())
+        .join('\t')
+        .replace(/\t+$/, ''))
+      .join('\n');
+  }
+
+  readInline(node, footnotes) {
+    let text = '';
+
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === 3) {
+        text += child.nodeValue;
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+
+      // Reviewer comments are not part of the document text
+      if (child.namespaceURI === NS.office && child.localName === 'annotation') {
+        continue;
+      }
+
+      if (child.namespaceURI !== NS.text) {
+        // Frames anchored inside a paragraph (text boxes) carry their own paragraphs
+        text += this.readBlocks(child, footnotes).join(' ');
+        continue;
+      }
+
+      switch (child.localName) {
+      case 's':
+        text += ' '.repeat(parseInt(child.getAttributeNS(NS.text, 'c'), 10) || 1);
+        break;
+      case 'tab':
+        text += '\t';
+        break;
+      case 'line-break':
+        text += '\n';
+        break;
+      case 'note':
+        text += this.readNote(child, footnotes);
+        break;
+      default:
+        if (!SKIPPED_TEXT_ELEMENTS.has(child.localName)) {
+          text += this.readInline(child, footnotes);
+        }
+      }
+    }
+
+    return text;
+  }
+
+  // Footnotes and endnotes are collected separately and leave their citation
+  // mark in the text
+  readNote(note, footnotes) {
+    const citationNode = note.getElementsByTagNameNS(NS.text, 'note-citation')[0];
+    const bodyNode = note.getElementsByTagNameNS(NS.text, 'note-body')[0];
+    const citation = citationNode ? citationNode.textContent : String(footnotes.length + 1);
+
+    if (bodyNode) {
+      footnotes.push({ citation, text: this.readBlocks(bodyNode, footnotes).join(' ').trim() });
+    }
+
+    return `[${citation}]`;
+  }
+
+  // Document properties from meta.xml; the page count of a presentation is
+  // its number of slides
+  async extractMetadata(filePath) {
+    const parts = await readZipEntries(filePath, name => name === 'content.xml' || name === 'meta.xml');
+    if (!parts.has('content.xml')) {
+      throw new Error('File is not a valid OpenDocument file');
+    }
+
+    const { pages, ...properties } = this.readMetaProperties(parts);
+    const presentation = this.parseXml(parts.get('content.xml')).getElementsByTagNameNS(NS.office, 'presentation')[0];
+    const slideCount = presentation
+      ? Array.from(presentation.childNodes).filter(node => node.namespaceURI === NS.draw && node.localName === 'page').length
+      : null;
+
+    if (!parts.has('meta.xml')) {
+      return { pageCount: slideCount };
+    }
+
+    const meta = this.parseXml(parts.get('meta.xml'));
+
+    return {
+      ...properties,
+      keywords: Array.from(meta.getElementsByTagNameNS(NS.meta, 'keyword')).map(keyword => keyword.textContent.trim()).join(', '),
+      created: this.metaField(meta, NS.meta, 'creation-date'),
+      modified: this.metaField(meta, NS.dc, 'date'),
+      pageCount: slideCount !== null ? slideCount : pages,
+      language: this.metaField(meta, NS.dc, 'language'),
+      application: this.metaField(meta, NS.meta, 'generator')
+    };
+  }
+
+  readMetaProperties(parts) {
+    if (!parts.has('meta.xml')) {
+      return {};
+    }
+
+    const meta = this.parseXml(parts.get('meta.xml'));
+    const properties = {
+      title: this.metaField(meta, NS.dc, 'title'),
+      author: this.metaField(meta, NS.dc, 'creator') || this.metaField(meta, NS.meta, 'initial-creator'),
+      subject: this.metaField(meta, NS.dc, 'subject')
+    };
+
+    const statistics = meta.getElementsByTagNameNS(NS.meta, 'document-statistic')[0];
+    if (statistics && statistics.getAttributeNS(NS.meta, 'page-count')) {
+      properties.pages = parseInt(statistics.getAttributeNS(NS.meta, 'page-count'), 10);
+    }
+
+    return properties;
+  }
+
+  // Trimmed text of the first meta.xml element with a name, or null
+  metaField(meta, namespace, name) {
+    const element = meta.getElementsByTagNameNS(namespace, name)[0];
+    return element ? element.textContent.trim() || null : null;
+  }
+
+  formatSlide(slide) {
+    const lines = [`Slide ${slide.slide}${slide.title ? `: ${slide.title}` : ''}`];
+    if (slide.text) lines.push(slide.text);
+    if (slide.notes) lines.push(`Notes:\n${slide.notes}`);
+    return lines.join('\n');
+  }
+
+  parseXml(buffer) {
+    return new DOMParser().parseFromString(buffer.toString('utf8'), 'text/xml');
+  }
+
+  // Health check for OpenDocument service
+  isHealthy() {
+    return {
+      service: 'opendocument',
+      status: 'healthy',
+      capabilities: ['odt', 'odp', 'slide titles', 'speaker notes', 'footnotes', 'tables']
+    };
+  }
+}
+
+module.exports = new OpenDocumentService();
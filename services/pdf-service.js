@@ -1,43 +1,572 @@
 const fs = require('fs');
+const path = require('path');
 const pdfParse = require('pdf-parse');
+const { pdfToPng } = require('pdf-to-png-converter');
+const constants = require('../config/constants');
+const ocrService = require('./ocr-service');
+const { createPageFilter, getLastPage } = require('../utils/page-range');
+const { isOcrDocumentFormat, createOcrDocument } = require('../utils/ocr-document');
+const { needsHtml, escapeHtml, textToHtml } = require('../utils/document-format');
+const { exportTables } = require('../utils/tables');
+const { partProgress } = require('../utils/progress');
+const { throwIfCancelled } = require('../utils/cancellation');
+
+const OCR_LIMITS = constants.FILES.PDF_OCR;
+const PREPROCESSING = constants.FILES.OCR_PREPROCESSING;
+
+// Bullets and numbering that start a list item line
+const BULLET_PATTERN = /^[•●○◦▪▫■□‣∙·\-–*]\s+/;
+const NUMBERING_PATTERN = /^(\d{1,3}|[a-z]|[ivx]{1,5})[.)]\s+/i;
+
+// A line is a heading when its font is this much larger than the body text
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 200;
+
+// Table detection: gaps wider than this many font sizes separate cells, rows
+// are at most this many font sizes apart, and text columns laid out side by
+// side (long cells) are not tables
+const TABLE_CELL_GAP = 1;
+const TABLE_ROW_GAP = 3;
+const TABLE_MIN_ROWS = 3;
+const TABLE_MIN_COLUMNS = 2;
+const TABLE_MAX_AVERAGE_CELL_LENGTH = 35;
 
 class PDFService {
-  async extractText(filePath) {
+  constructor() {
+    this.tempDir = path.join(__dirname, '../temp');
+  }
+
+  async extractText(filePath, options = {}) {
     const startTime = Date.now();
-    
+    const { mode = 'auto', pages: pageRange, output = 'text', tables: tableFormat } = options;
+
     try {
       // Read the PDF file
       const dataBuffer = fs.readFileSync(filePath);
-      
-      // Parse the PDF
-      const data = await pdfParse(dataBuffer);
-      
+
+      // Only the requested pages are read; parsing stops after the last one
+      const includesPage = pageRange ? createPageFilter(pageRange) : () => true;
+      const lastPage = pageRange ? getLastPage(pageRange) : Infinity;
+
+      // Parse the PDF, keeping the text and line layout of each page
+      const pageTexts = [];
+      const pageLayouts = [];
+      const data = await pdfParse(dataBuffer, {
+        max: Number.isFinite(lastPage) ? lastPage : 0,
+        pagerender: pageData => includesPage(pageData.pageIndex + 1)
+          ? this.renderPage(pageData, pageTexts, pageLayouts)
+          : ''
+      });
+
+      const pages = Array.from({ length: data.numpages }, (_, index) => ({
+        page: index + 1,
+        source: 'text',
+        confidence: null,
+        text: (pageTexts[index] || '').trim(),
+        lines: [],
+        height: 0,
+        ...pageLayouts[index]
+      })).filter(page => includesPage(page.page));
+
+      // Tables are read from the text layer, before OCR replaces any page text
+      const tables = tableFormat
+        ? pages.filter(page => this.hasTextLayer(page.text)).flatMap(page => this.findTables(page))
+        : null;
+
+      // Pages without a usable text layer are scans; render and OCR them.
+      // hOCR and ALTO documents cover every page, so all of them are OCRed.
+      const ocrMode = isOcrDocumentFormat(output) ? 'ocr' : mode;
+      const ocrCandidates = ocrMode === 'text'
+        ? []
+        : pages.filter(page => ocrMode === 'ocr' || !this.hasTextLayer(page.text));
+      const ocrPages = ocrCandidates.slice(0, OCR_LIMITS.MAX_PAGES);
+
+      if (ocrPages.length > 0) {
+        await this.ocrPages(filePath, ocrPages, { ...options, mode: ocrMode });
+      }
+
       const processingTime = Date.now() - startTime;
-      
-      console.log(`PDF processed successfully: ${data.numpages} pages, ${data.text.length} characters`);
-      
-      return {
-        text: data.text.trim(),
+      const text = pages.map(page => page.text).filter(Boolean).join('\n\n');
+      const ocrUsed = pages.filter(page => page.source === 'ocr');
+
+      console.log(`PDF processed successfully: ${pages.length}/${data.numpages} pages (${ocrUsed.length} by OCR), ${text.length} characters`);
+
+      const result = {
+        text,
+        // Text of each page, used to normalize the text page by page
+        pageTexts: pages.map(page => page.text),
+        pages: pages.map(page => ({
+          page: page.page,
+          text: page.text,
+          charCount: page.text.length,
+          source: page.source,
+          confidence: page.confidence,
+          ...(page.belowMinConfidence && { belowMinConfidence: true }),
+          ...(page.preprocessing && { preprocessing: page.preprocessing }),
+          ...(page.error && { error: page.error })
+        })),
         metadata: {
           pages: data.numpages,
-          info: data.info
+          info: data.info,
+          ...(pageRange && { pageRange, extractedPages: pages.map(page => page.page) }),
+          mode: ocrMode,
+          ocrPages: ocrUsed.map(page => page.page),
+          ocrConfidence: ocrUsed.length > 0
+            ? Math.round(ocrUsed.reduce((sum, page) => sum + page.confidence, 0) / ocrUsed.length)
+            : null,
+          ocrSkippedPages: ocrCandidates.length - ocrPages.length
         },
         processingTime: `${processingTime}ms`
       };
+
+      if (tables) {
+        result.tables = exportTables(tables, tableFormat);
+      }
+
+      if (needsHtml(options)) {
+        result.html = this.pagesToHtml(pages);
+      }
+
+      // OCRed pages carry the layout of their text, in pixels of the
+      // rendered page image
+      const layoutPages = ocrUsed
+        .filter(page => page.layout)
+        .map(page => ({
+          page: page.page,
+          width: page.layout.width,
+          height: page.layout.height,
+          blocks: page.layout.blocks
+        }));
+
+      if (output === 'structured') {
+        result.structured = { pages: layoutPages };
+      }
+
+      if (isOcrDocumentFormat(output)) {
+        result.ocrDocument = createOcrDocument(output, layoutPages, {
+          fileName: path.basename(filePath)
+        });
+      }
+
+      return result;
     } catch (error) {
       console.error('PDF extraction error:', error);
       throw new Error(`PDF extraction failed: ${error.message}`);
     }
   }
 
+  // Document information dictionary and XMP metadata, without reading the
+  // page text
+  async extractMetadata(filePath) {
+    const data = await pdfParse(fs.readFileSync(filePath), { max: 1, pagerender: () => '' });
+    const info = data.info || {};
+
+    let language = null;
+    try {
+      language = data.metadata ? data.metadata.get('dc:language') : null;
+    } catch (error) {
+      console.log('Could not read PDF XMP metadata:', error.message);
+    }
+
+    return {
+      title: info.Title,
+      author: info.Author,
+      subject: info.Subject,
+      keywords: info.Keywords,
+      created: this.parsePdfDate(info.CreationDate),
+      modified: this.parsePdfDate(info.ModDate),
+      pageCount: data.numpages,
+      language,
+      producer: info.Producer,
+      application: info.Creator
+    };
+  }
+
+  // PDF dates look like D:20240131154500+01'00'; everything after the year
+  // is optional
+  parsePdfDate(value) {
+    const match = /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/.exec(value || '');
+    if (!match) return null;
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+    const offset = !zone || zone === 'Z'
+      ? 'Z'
+      : `${zone.slice(0, 3)}:${zone.replace(/'/g, '').slice(3, 5) || '00'}`;
+
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // Same text layout as pdf-parse's default renderer, but the text of each
+  // page is kept as well, along with its lines, their font sizes and the
+  // position of every text item
+  async renderPage(pageData, pageTexts, pageLayouts) {
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false
+    });
+
+    let lastY;
+    let text = '';
+    const lines = [];
+
+    for (const item of textContent.items) {
+      const fontSize = Math.hypot(item.transform[2], item.transform[3]);
+
+      if (lastY === item.transform[5] || !lastY) {
+        text += item.str;
+      } else {
+        text += `\n${item.str}`;
+      }
+
+      const position = { text: item.str, x: item.transform[4], width: item.width, size: fontSize };
+
+      if (lines.length > 0 && lastY === item.transform[5]) {
+        const line = lines[lines.length - 1];
+        line.text += item.str;
+        line.size = Math.max(line.size, fontSize);
+        line.items.push(position);
+      } else {
+        lines.push({ text: item.str, size: fontSize, y: item.transform[5], items: [position] });
+      }
+      lastY = item.transform[5];
+    }
+
+    // Page box, for positions measured from the top left corner
+    const [, bottom, , top] = pageData.view;
+
+    pageTexts[pageData.pageIndex] = text;
+    pageLayouts[pageData.pageIndex] = { lines, height: top - bottom, bottom };
+    return text;
+  }
+
+  // Tables are runs of consecutive lines that wide gaps split into several
+  // cells. Short lines with a single cell inside a run are rows whose other
+  // cells are empty; longer ones are running text and end the table.
+  findTables(page) {
+    const tables = [];
+    let run = [];
+
+    const flush = () => {
+      const table = run.length >= TABLE_MIN_ROWS ? this.buildTable(run, page) : null;
+      if (table) tables.push(table);
+      run = [];
+    };
+
+    for (const line of page.lines) {
+      const cells = this.splitCells(line);
+      if (cells.length === 0) continue;
+
+      const previous = run[run.length - 1];
+      const adjacent = previous && previous.line.y - line.y > 0 &&
+        previous.line.y - line.y <= Math.max(line.size, previous.line.size) * TABLE_ROW_GAP;
+      const tableRow = cells.length >= 2 || cells[0].text.length <= TABLE_MAX_AVERAGE_CELL_LENGTH;
+
+      if (previous && !(adjacent && tableRow)) flush();
+      if (cells.length >= 2 || (run.length > 0 && tableRow)) run.push({ line, cells });
+    }
+
+    flush();
+    return tables;
+  }
+
+  // Split a line into cells at gaps wider than the font size. Runs of spaces
+  // inside one text item are gaps as well.
+  splitCells(line) {
+    const pieces = [];
+
+    for (const item of line.items) {
+      const charWidth = item.text.length > 0 ? item.width / item.text.length : 0;
+      const pattern = /\S+(?: {1,2}\S+)*/g;
+      let match;
+
+      while ((match = pattern.exec(item.text)) !== null) {
+        const x0 = item.x + match.index * charWidth;
+        pieces.push({ text: match[0], x0, x1: x0 + match[0].length * charWidth, size: item.size });
+      }
+    }
+
+    pieces.sort((a, b) => a.x0 - b.x0);
+
+    const cells = [];
+    for (const piece of pieces) {
+      const cell = cells[cells.length - 1];
+
+      if (cell && piece.x0 - cell.x1 <= piece.size * TABLE_CELL_GAP) {
+        cell.text += piece.x0 - cell.x1 > piece.size * 0.1 ? ` ${piece.text}` : piece.text;
+        cell.x1 = Math.max(cell.x1, piece.x1);
+      } else {
+        cells.push({ ...piece });
+      }
+    }
+
+    return cells;
+  }
+
+  // Columns are the horizontal ranges covered by the cells of the rows with
+  // several cells; every cell goes into the column it overlaps. Justified
+  // running text and numbered lists also have wide gaps, so the columns must
+  // line up: no row puts two cells in one column, at least one row fills
+  // every column, and no column holds long text.
+  buildTable(run, page) {
+    const multiCellRows = run.filter(row => row.cells.length >= 2);
+
+    const columns = [];
+    for (const cell of multiCellRows.flatMap(row => row.cells).sort((a, b) => a.x0 - b.x0)) {
+      const column = columns[columns.length - 1];
+      if (column && cell.x0 < column.x1) {
+        column.x1 = Math.max(column.x1, cell.x1);
+      } else {
+        columns.push({ x0: cell.x0, x1: cell.x1 });
+      }
+    }
+
+    if (columns.length < TABLE_MIN_COLUMNS) {
+      return null;
+    }
+
+    const columnOf = (cell) => {
+      const overlapping = columns.findIndex(column => cell.x0 < column.x1 && cell.x1 > column.x0);
+      if (overlapping !== -1) return overlapping;
+
+      const center = (cell.x0 + cell.x1) / 2;
+      return columns.reduce((best, column, index) =>
+        Math.abs((column.x0 + column.x1) / 2 - center) < Math.abs((columns[best].x0 + columns[best].x1) / 2 - center)
+          ? index
+          : best, 0);
+    };
+
+    const cellColumns = multiCellRows.map(row => new Set(row.cells.map(columnOf)));
+    const aligned = multiCellRows.every((row, index) => cellColumns[index].size === row.cells.length);
+    const filled = cellColumns.some(used => used.size === columns.length);
+
+    if (!aligned || !filled) {
+      return null;
+    }
+
+    const rows = run.map((row) => {
+      const values = columns.map(() => '');
+      for (const cell of row.cells) {
+        const index = columnOf(cell);
+        values[index] = values[index] ? `${values[index]} ${cell.text}` : cell.text;
+      }
+      return values;
+    });
+
+    const longColumn = columns.some((_, index) => {
+      const cells = rows.map(values => values[index]).filter(Boolean);
+      return cells.reduce((sum, text) => sum + text.length, 0) / cells.length > TABLE_MAX_AVERAGE_CELL_LENGTH;
+    });
+
+    if (longColumn) {
+      return null;
+    }
+
+    const round = value => Math.round(value * 10) / 10;
+    const first = run[0].line;
+    const last = run[run.length - 1].line;
+
+    return {
+      position: {
+        page: page.page,
+        // PDF points from the top left corner of the page
+        bbox: {
+          x0: round(columns[0].x0),
+          y0: round(page.height - (first.y - page.bottom) - first.size),
+          x1: round(columns[columns.length - 1].x1),
+          y1: round(page.height - (last.y - page.bottom))
+        }
+      },
+      rows
+    };
+  }
+
+  // Rebuild headings, lists and paragraphs from the text layer: larger fonts
+  // are headings, bullets and numbering start list items, and vertical gaps
+  // separate paragraphs. OCRed pages only have paragraphs.
+  pagesToHtml(pages) {
+    const bodySize = this.getBodyFontSize(pages);
+    const headingSizes = [...new Set(pages
+      .filter(page => page.source === 'text')
+      .flatMap(page => page.lines)
+      .filter(line => this.isHeadingLine(line, bodySize))
+      .map(line => Math.round(line.size)))]
+      .sort((a, b) => b - a);
+
+    const html = [];
+
+    for (const page of pages) {
+      if (page.source !== 'text') {
+        html.push(textToHtml(page.text));
+        continue;
+      }
+
+      let paragraph = [];
+      let list = null;
+      let heading = null;
+      let previous = null;
+
+      const flushParagraph = () => {
+        if (paragraph.length > 0) html.push(`<p>${escapeHtml(paragraph.join(' '))}</p>`);
+        paragraph = [];
+      };
+      const flushList = () => {
+        if (list) html.push(`<${list.tag}>${list.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</${list.tag}>`);
+        list = null;
+      };
+
+      for (const line of page.lines) {
+        const text = line.text.trim();
+        if (!text) continue;
+
+        const gap = previous ? previous.y - line.y : 0;
+        const newBlock = !previous || gap > Math.max(line.size, previous.size) * 1.5 || gap < 0;
+
+        if (this.isHeadingLine(line, bodySize)) {
+          flushParagraph();
+          flushList();
+          const level = Math.min(headingSizes.indexOf(Math.round(line.size)) + 1, 6);
+
+          // A heading wrapped over several lines stays one heading
+          if (heading && heading.level === level && !newBlock) {
+            heading.text += ` ${text}`;
+            html[heading.index] = `<h${level}>${escapeHtml(heading.text)}</h${level}>`;
+          } else {
+            heading = { level, text, index: html.length };
+            html.push(`<h${level}>${escapeHtml(text)}</h${level}>`);
+          }
+          previous = line;
+          continue;
+        }
+
+        heading = null;
+
+        if (BULLET_PATTERN.test(text) || NUMBERING_PATTERN.test(text)) {
+          flushParagraph();
+          const tag = BULLET_PATTERN.test(text) ? 'ul' : 'ol';
+          if (list && list.tag !== tag) flushList();
+          if (!list) list = { tag, items: [] };
+          list.items.push(text.replace(tag === 'ul' ? BULLET_PATTERN : NUMBERING_PATTERN, ''));
+        } else if (list && !newBlock) {
+          // Wrapped continuation of the last list item
+          list.items[list.items.length - 1] += ` ${text}`;
+        } else {
+          flushList();
+          if (newBlock) flushParagraph();
+          paragraph.push(text);
+        }
+
+        previous = line;
+      }
+
+      flushParagraph();
+      flushList();
+    }
+
+    return html.join('\n');
+  }
+
+  // The font size used for most of the text
+  getBodyFontSize(pages) {
+    const characters = new Map();
+
+    for (const line of pages.flatMap(page => page.lines)) {
+      const size = Math.round(line.size);
+      characters.set(size, (characters.get(size) || 0) + line.text.length);
+    }
+
+    let bodySize = 0;
+    let most = -1;
+    for (const [size, count] of characters) {
+      if (count > most) {
+        bodySize = size;
+        most = count;
+      }
+    }
+    return bodySize;
+  }
+
+  isHeadingLine(line, bodySize) {
+    const text = line.text.trim();
+    return bodySize > 0 &&
+      Math.round(line.size) >= bodySize * HEADING_SIZE_RATIO &&
+      text.length > 0 &&
+      text.length <= MAX_HEADING_LENGTH;
+  }
+
+  hasTextLayer(text) {
+    return text.replace(/\s+/g, '').length >= OCR_LIMITS.MIN_TEXT_LENGTH;
+  }
+
+  // Render each page to an image and replace its text with the OCR result.
+  // A page whose OCR fails keeps whatever text layer it had.
+  async ocrPages(filePath, pages, options) {
+    // Rendered pages are upright and have a known resolution, so they start
+    // from their own default steps, with the request's steps on top
+    const ocrOptions = {
+      ...options,
+      preprocess: ['none', PREPROCESSING.PDF_DEFAULT_STEPS, options.preprocess].filter(Boolean).join(','),
+      dpi: OCR_LIMITS.RENDER_SCALE * 72
+    };
+
+    // hOCR and ALTO documents are built here from the layout of every page
+    if (isOcrDocumentFormat(options.output)) {
+      ocrOptions.output = 'structured';
+    }
+
+    fs.mkdirSync(this.tempDir, { recursive: true });
+    const workDir = fs.mkdtempSync(path.join(this.tempDir, 'pdf-ocr-'));
+
+    try {
+      for (const [index, page] of pages.entries()) {
+        throwIfCancelled(options.signal);
+
+        try {
+          const [image] = await pdfToPng(filePath, {
+            viewportScale: OCR_LIMITS.RENDER_SCALE,
+            pagesToProcess: [page.page],
+            // The converter joins this folder onto the working directory
+            outputFolder: path.relative(process.cwd(), workDir),
+            outputFileMaskFunc: pageNumber => `page-${pageNumber}.png`
+          });
+
+          const result = await ocrService.extractText(image.path, {
+            ...ocrOptions,
+            onProgress: partProgress(options.onProgress, index, pages.length)
+          });
+          fs.rmSync(image.path, { force: true });
+
+          if (result.text || options.mode === 'ocr') {
+            page.text = result.text;
+            page.source = 'ocr';
+            page.confidence = result.metadata.confidence;
+            page.belowMinConfidence = result.metadata.belowMinConfidence;
+            page.preprocessing = result.metadata.preprocessing.applied;
+
+            // Preprocessing may have rotated or scaled the page image
+            const { width = image.width, height = image.height } = result.metadata.preprocessing;
+            page.layout = result.structured
+              ? { width, height, blocks: result.structured.blocks }
+              : null;
+          }
+        } catch (error) {
+          console.error(`PDF page ${page.page} OCR error:`, error.message);
+          page.error = `OCR failed: ${error.message}`;
+        }
+      }
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  }
+
   // Health check for PDF service
   isHealthy() {
     return {
       service: 'pdf',
       status: 'healthy',
-      capabilities: ['text extraction', 'metadata parsing']
+      capabilities: ['text extraction', 'metadata parsing', 'ocr fallback for scanned pages', 'table detection']
     };
   }
 }
 
-module.exports = new PDFService();
\ No newline at end of file
+module.exports = new PDFService();
@@ -0,0 +1,251 @@
+const path = require('path');
+const { DOMParser } = require('@xmldom/xmldom');
+const { readZipEntries } = require('../utils/zip-reader');
+const { needsHtml, slidesToHtml } = require('../utils/document-format');
+const { isPropertiesPart, readOoxmlProperties } = require('../utils/ooxml-properties');
+
+const NS = {
+  a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  p: 'http://schemas.openxmlformats.org/presentationml/2006/main',
+  r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  rels: 'http://schemas.openxmlformats.org/package/2006/relationships',
+  dc: 'http://purl.org/dc/elements/1.1/'
+};
+
+const TITLE_PLACEHOLDERS = ['title', 'ctrTitle'];
+
+// Slide furniture repeated on every slide
+const IGNORED_PLACEHOLDERS = ['sldNum', 'dt', 'ftr', 'hdr', 'sldImg'];
+
+class PPTXService {
+  async extractText(filePath, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { output = 'text' } = options;
+      const parts = await readZipEntries(filePath, name => name.endsWith('.xml') || name.endsWith('.rels'));
+
+      if (!parts.has('ppt/presentation.xml')) {
+        throw new Error('File is not a valid PowerPoint presentation');
+      }
+
+      const slides = this.getSlidePaths(parts).map((slidePath, index) => this.readSlide(parts, slidePath, index + 1));
+      const properties = this.readCoreProperties(parts);
+      const processingTime = Date.now() - startTime;
+
+      const text = slides.map(slide => this.formatSlide(slide)).join('\n\n');
+
+      console.log(`Presentation processed successfully: ${slides.length} slides, ${text.length} characters`);
+
+      const result = {
+        text,
+        metadata: {
+          ...properties,
+          fileType: '.pptx',
+          slideCount: slides.length,
+          slideTitles: slides.map(slide => slide.title),
+          slidesWithNotes: slides.filter(slide => slide.notes).length
+        },
+        processingTime: `${processingTime}ms`
+      };
+
+      if (needsHtml(options)) {
+        result.html = slidesToHtml(slides);
+      }
+
+      if (output === 'structured') {
+        result.structured = { slides };
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Presentation extraction error:', error);
+      throw new Error(`Presentation extraction failed: ${error.message}`);
+    }
+  }
+
+  // Document properties, with the number of slides as the page count
+  async extractMetadata(filePath) {
+    const parts = await readZipEntries(filePath, name =>
+      isPropertiesPart(name) || name === 'ppt/presentation.xml' || name === 'ppt/_rels/presentation.xml.rels');
+
+    if (!parts.has('ppt/presentation.xml')) {
+      throw new Error('File is not a valid PowerPoint presentation');
+    }
+
+    const properties = readOoxmlProperties(parts);
+    const presentation = this.parseXml(parts.get('ppt/presentation.xml'));
+
+    return {
+      ...properties,
+      pageCount: presentation.getElementsByTagNameNS(NS.p, 'sldId').length
+    };
+  }
+
+  // Slide part paths in presentation order, from the slide id list
+  getSlidePaths(parts) {
+    const presentation = this.parseXml(parts.get('ppt/presentation.xml'));
+    const relationships = this.readRelationships(parts, 'ppt/presentation.xml');
+
+    return Array.from(presentation.getElementsByTagNameNS(NS.p, 'sldId'))
+      .map(slideId => relationships.get(slideId.getAttributeNS(NS.r, 'id')))
+      .filter(rel => rel && parts.has(rel.target))
+      .map(rel => rel.target);
+  }
+
+  readSlide(parts, slidePath, number) {
+    const slide = this.parseXml(parts.get(slidePath));
+    const shapes = this.readShapes(slide);
+    const titleShape = shapes.find(shape => TITLE_PLACEHOLDERS.includes(shape.placeholder));
+
+    const body = shapes
+      .filter(shape => shape !== titleShape && !IGNORED_PLACEHOLDERS.includes(shape.placeholder))
+      .map(shape => shape.text)
+      .filter(Boolean)
+      .join('\n');
+
+    // Speaker notes live in a separate part linked from the slide
+    const notesRel = Array.from(this.readRelationships(parts, slidePath).values())
+      .find(rel => rel.type.endsWith('/notesSlide'));
+    let notes = null;
+
+    if (notesRel && parts.has(notesRel.target)) {
+      notes = this.readShapes(this.parseXml(parts.get(notesRel.target)))
+        .filter(shape => shape.placeholder === 'body')
+        .map(shape => shape.text)
+        .filter(Boolean)
+        .join('\n') || null;
+    }
+
+    return {
+      slide: number,
+      title: titleShape ? titleShape.text.replace(/\s*\n\s*/g, ' ') || null : null,
+      text: body,
+      notes
+    };
+  }
+
+  // Text of every shape, group and table on a slide, in drawing order
+  readShapes(document) {
+    const shapes = [];
+    const spTree = document.getElementsByTagNameNS(NS.p, 'spTree')[0];
+
+    const walk = (node) => {
+      for (const child of Array.from(node.childNodes)) {
+        if (child.namespaceURI !== NS.p) continue;
+
+        if (child.localName === 'sp') {
+          const placeholder = child.getElementsByTagNameNS(NS.p, 'ph')[0];
+          shapes.push({
+            placeholder: placeholder ? placeholder.getAttribute('type') || 'body' : null,
+            text: this.readParagraphs(child)
+          });
+        } else if (child.localName === 'graphicFrame') {
+          shapes.push({ placeholder: null, text: this.readTables(child) });
+        } else if (child.localName === 'grpSp') {
+          walk(child);
+        }
+      }
+    };
+
+    if (spTree) walk(spTree);
+    return shapes;
+  }
+
+  readParagraphs(node) {
+    return Array.from(node.getElementsByTagNameNS(NS.a, 'p'))
+      .map(paragraph => this.readParagraph(paragraph))
+      .join('\n')
+      .trim();
+  }
+
+  readParagraph(paragraph) {
+    let text = '';
+
+    for (const child of Array.from(paragraph.childNodes)) {
+      if (child.namespaceURI !== NS.a) continue;
+
+      if (child.localName === 'r' || child.localName === 'fld') {
+        text += Array.from(child.getElementsByTagNameNS(NS.a, 't')).map(t => t.textContent).join('');
+      } else if (child.localName === 'br') {
+        text += '\n';
+      }
+    }
+
+    return text;
+  }
+
+  // Tables become one line per row with tab-separated cells
+  readTables(node) {
+    return Array.from(node.getElementsByTagNameNS(NS.a, 'tr'))
+      .map(row => Array.from(row.getElementsByTagNameNS(NS.a, 'tc'))
+        .map(cell => this.readParagraphs(cell).replace(/\s*\n\s*/g, ' '))
+        .join('\t'))
+      .join('\n')
+      .trim();
+  }
+
+  // Map relationship ids of a part to their type and resolved target path
+  readRelationships(parts, partPath) {
+    const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+    const relationships = new Map();
+
+    if (!parts.has(relsPath)) {
+      return relationships;
+    }
+
+    for (const rel of Array.from(this.parseXml(parts.get(relsPath)).getElementsByTagNameNS(NS.rels, 'Relationship'))) {
+      const target = rel.getAttribute('Target');
+      const resolved = target.startsWith('/')
+        ? target.slice(1)
+        : path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target));
+
+      relationships.set(rel.getAttribute('Id'), {
+        type: rel.getAttribute('Type'),
+        target: resolved
+      });
+    }
+
+    return relationships;
+  }
+
+  readCoreProperties(parts) {
+    if (!parts.has('docProps/core.xml')) {
+      return {};
+    }
+
+    const core = this.parseXml(parts.get('docProps/core.xml'));
+    const field = (name) => {
+      const element = core.getElementsByTagNameNS(NS.dc, name)[0];
+      return element ? element.textContent.trim() || null : null;
+    };
+
+    return {
+      title: field('title'),
+      author: field('creator'),
+      subject: field('subject')
+    };
+  }
+
+  formatSlide(slide) {
+    const lines = [`Slide ${slide.slide}${slide.title ? `: ${slide.title}` : ''}`];
+    if (slide.text) lines.push(slide.text);
+    if (slide.notes) lines.push(`Notes:\n${slide.notes}`);
+    return lines.join('\n');
+  }
+
+  parseXml(buffer) {
+    return new DOMParser().parseFromString(buffer.toString('utf8'), 'text/xml');
+  }
+
+  // Health check for PPTX service
+  isHealthy() {
+    return {
+      service: 'pptx',
+      status: 'healthy',
+      capabilities: ['slide text', 'slide titles', 'speaker notes', 'tables']
+    };
+  }
+}
+
+module.exports = new PPTXService();
@@ -0,0 +1,24 @@
+const { EventEmitter } = require('events');
+
+// Live progress of the extraction jobs running in this process. Events are
+// not stored: listeners only receive what happens after they subscribe, and
+// the job row holds the lasting state.
+class ProgressService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open event stream
+    this.emitter.setMaxListeners(0);
+  }
+
+  publish(id, event) {
+    this.emitter.emit(id, { ...event, timestamp: new Date().toISOString() });
+  }
+
+  // Listen to the events of one job. Returns a function that stops listening.
+  subscribe(id, listener) {
+    this.emitter.on(id, listener);
+    return () => this.emitter.off(id, listener);
+  }
+}
+
+module.exports = new ProgressService();
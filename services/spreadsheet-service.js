@@ -0,0 +1,267 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const constants = require('../config/constants');
+const { decodeBuffer } = require('../utils/text-decoder');
+const { needsHtml, escapeHtml } = require('../utils/document-format');
+
+const SHEET_LIMITS = constants.FILES.SPREADSHEET;
+
+class SpreadsheetService {
+  async extractText(filePath, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const { output = 'text' } = options;
+      const fileExtension = path.extname(filePath).toLowerCase();
+      const workbook = await this.readWorkbook(filePath, fileExtension);
+
+      const sheets = workbook.SheetNames.map(name => this.readSheet(name, workbook.Sheets[name]));
+      const processingTime = Date.now() - startTime;
+
+      const text = sheets
+        .map(sheet => `Sheet: ${sheet.name}${sheet.range ? ` (${sheet.range})` : ''}\n${sheet.text}`.trim())
+        .join('\n\n');
+
+      console.log(`Spreadsheet processed successfully: ${sheets.length} sheets, ${text.length} characters`);
+
+      const result = {
+        text,
+        metadata: {
+          fileType: fileExtension,
+          sheetCount: sheets.length,
+          sheets: sheets.map(({ name, range, rowCount, columnCount, formulaCount, mergedRanges, truncated }) => ({
+            name,
+            range,
+            rowCount,
+            columnCount,
+            formulaCount,
+            mergedRanges: mergedRanges.length,
+            truncated
+          }))
+        },
+        processingTime: `${processingTime}ms`
+      };
+
+      if (needsHtml(options)) {
+        result.html = sheets.map(sheet => this.sheetToHtml(sheet)).join('\n');
+      }
+
+      if (output === 'structured') {
+        result.structured = {
+          sheets: sheets.map(({ name, range, rows, mergedRanges, truncated }) => ({
+            name,
+            range,
+            mergedRanges,
+            truncated,
+            rows
+          }))
+        };
+      }
+
+      return result;
+    } catch (error) {
+      console.error('Spreadsheet extraction error:', error);
+      throw new Error(`Spreadsheet extraction failed: ${error.message}`);
+    }
+  }
+
+  // Workbook properties of XLSX, XLS and ODS files; CSV has none
+  async extractMetadata(filePath) {
+    const fileExtension = path.extname(filePath).toLowerCase();
+    if (fileExtension === '.csv') {
+      return {};
+    }
+
+    const workbook = XLSX.read(await fs.promises.readFile(filePath), { type: 'buffer', bookProps: true });
+    const props = workbook.Props || {};
+
+    return {
+      title: props.Title,
+      author: props.Author,
+      subject: props.Subject,
+      keywords: props.Keywords,
+      created: props.CreatedDate,
+      modified: props.ModifiedDate,
+      language: props.Language,
+      application: props.Application
+    };
+  }
+
+  async readWorkbook(filePath, fileExtension) {
+    const buffer = await fs.promises.readFile(filePath);
+    const readOptions = { cellFormula: true, cellDates: true, cellStyles: false };
+
+    // CSV has no encoding marker of its own, so decode it before parsing
+    if (fileExtension === '.csv') {
+      const { text } = decodeBuffer(buffer);
+      return XLSX.read(text, { ...readOptions, type: 'string' });
+    }
+
+    return XLSX.read(buffer, { ...readOptions, type: 'buffer' });
+  }
+
+  // Read one sheet into text and a 2D array of cell values. The used range is
+  // computed from the cells that exist, since `!ref` often spans formatted but
+  // empty rows and columns.
+  readSheet(name, sheet) {
+    const cellAddresses = Object.keys(sheet).filter(key => !key.startsWith('!'));
+    const empty = {
+      name,
+      range: null,
+      rowCount: 0,
+      columnCount: 0,
+      formulaCount: 0,
+      mergedRanges: [],
+      truncated: false,
+      rows: [],
+      text: ''
+    };
+
+    if (cellAddresses.length === 0) {
+      return empty;
+    }
+
+    const bounds = { s: { r: Infinity, c: Infinity }, e: { r: -1, c: -1 } };
+    let formulaCount = 0;
+
+    for (const address of cellAddresses) {
+      const cell = sheet[address];
+      if (cell.f) formulaCount++;
+      if (this.cellValue(cell) === null) continue;
+
+      const { r, c } = XLSX.utils.decode_cell(address);
+      bounds.s.r = Math.min(bounds.s.r, r);
+      bounds.s.c = Math.min(bounds.s.c, c);
+      bounds.e.r = Math.max(bounds.e.r, r);
+      bounds.e.c = Math.max(bounds.e.c, c);
+    }
+
+    if (bounds.e.r < 0) {
+      return { ...empty, formulaCount };
+    }
+
+    // Cap very large or very wide sheets
+    const lastRow = Math.min(bounds.e.r, bounds.s.r + SHEET_LIMITS.MAX_ROWS - 1);
+    const lastColumn = Math.min(bounds.e.c, bounds.s.c + SHEET_LIMITS.MAX_COLUMNS - 1);
+    const truncated = lastRow < bounds.e.r || lastColumn < bounds.e.c;
+    const range = XLSX.utils.encode_range({ s: bounds.s, e: { r: lastRow, c: lastColumn } });
+
+    const mergedRanges = (sheet['!merges'] || []).map(merge => XLSX.utils.encode_range(merge));
+    const mergeOrigins = this.mapMergedCells(sheet['!merges'] || []);
+
+    const rows = [];
+    const textLines = [];
+
+    for (let r = bounds.s.r; r <= lastRow; r++) {
+      const row = [];
+      const textCells = [];
+
+      for (let c = bounds.s.c; c <= lastColumn; c++) {
+        const address = XLSX.utils.encode_cell({ r, c });
+        const origin = mergeOrigins.get(address);
+
+        // Merged areas repeat the top-left value in the structured rows but
+        // only show it once in the text
+        row.push(this.cellValue(sheet[origin || address]));
+        textCells.push(origin ? '' : this.cellText(sheet[address]));
+      }
+
+      rows.push(row);
+      textLines.push(this.trimTrailingEmpty(textCells).join('\t'));
+    }
+
+    return {
+      name,
+      range,
+      rowCount: lastRow - bounds.s.r + 1,
+      columnCount: lastColumn - bounds.s.c + 1,
+      formulaCount,
+      mergedRanges,
+      truncated,
+      rows,
+      text: textLines.join('\n').replace(/\n+$/, '')
+    };
+  }
+
+  // A heading with the sheet name and a table of the displayed values, with
+  // the first row as the header row
+  sheetToHtml(sheet) {
+    const heading = `<h2>${escapeHtml(sheet.name)}</h2>`;
+    if (!sheet.text) {
+      return heading;
+    }
+
+    const rows = sheet.text.split('\n').map((line) => {
+      const cells = line.split('\t');
+      return Array.from({ length: sheet.columnCount }, (_, index) => escapeHtml(cells[index] || ''));
+    });
+    const [header, ...body] = rows;
+
+    return [
+      heading,
+      '<table>',
+      `<thead><tr>${header.map(cell => `<th>${cell}</th>`).join('')}</tr></thead>`,
+      `<tbody>${body.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>`,
+      '</table>'
+    ].join('\n');
+  }
+
+  // Map every non-origin cell of a merged range to its top-left cell
+  mapMergedCells(merges) {
+    const origins = new Map();
+
+    for (const merge of merges) {
+      const origin = XLSX.utils.encode_cell(merge.s);
+      const lastRow = Math.min(merge.e.r, merge.s.r + SHEET_LIMITS.MAX_ROWS - 1);
+      const lastColumn = Math.min(merge.e.c, merge.s.c + SHEET_LIMITS.MAX_COLUMNS - 1);
+
+      for (let r = merge.s.r; r <= lastRow; r++) {
+        for (let c = merge.s.c; c <= lastColumn; c++) {
+          if (r !== merge.s.r || c !== merge.s.c) {
+            origins.set(XLSX.utils.encode_cell({ r, c }), origin);
+          }
+        }
+      }
+    }
+
+    return origins;
+  }
+
+  // Cached value of a cell; formulas are not recalculated
+  cellValue(cell) {
+    if (!cell || cell.v === undefined || cell.v === null || cell.v === '') {
+      return null;
+    }
+    if (cell.t === 'e') {
+      return cell.w || null;
+    }
+    return cell.v instanceof Date ? cell.v.toISOString() : cell.v;
+  }
+
+  // Value as displayed in the spreadsheet application
+  cellText(cell) {
+    if (!cell || cell.v === undefined || cell.v === null) {
+      return '';
+    }
+    const text = cell.w !== undefined ? cell.w : String(cell.v);
+    return text.replace(/[\t\r\n]+/g, ' ');
+  }
+
+  trimTrailingEmpty(cells) {
+    let end = cells.length;
+    while (end > 0 && cells[end - 1] === '') end--;
+    return cells.slice(0, end);
+  }
+
+  // Health check for spreadsheet service
+  isHealthy() {
+    return {
+      service: 'spreadsheet',
+      status: 'healthy',
+      capabilities: ['xlsx', 'xls', 'ods', 'csv', 'structured rows', 'merged cells', 'cached formula values']
+    };
+  }
+}
+
+module.exports = new SpreadsheetService();
@@ -1,4 +1,5 @@
 const supabase = require('../config/supabase');
+const fileValidator = require('../utils/file-validator');
 const fs = require('fs');
 const path = require('path');
 
@@ -7,7 +8,18 @@ class StorageService {
     this.bucketName = 'documents';
   }
 
-  // Initialize storage bucket if it doesn't exist
+  // Bucket settings: every file type the API accepts, up to the largest
+  // per-type size limit, which also bounds each file of a batch
+  getBucketOptions() {
+    return {
+      public: false,
+      allowedMimeTypes: Object.values(fileValidator.getAllSupportedTypes()).flat(),
+      fileSizeLimit: Math.max(...Object.values(fileValidator.getMaxFileSizes()))
+    };
+  }
+
+  // Create the storage bucket if it doesn't exist, or bring the settings of
+  // an existing bucket up to date so it accepts newly supported file types
   async initializeBucket() {
     try {
       const { data: buckets, error } = await supabase.storage.listBuckets();
@@ -18,23 +30,10 @@ class StorageService {
       }
 
       const bucketExists = buckets.some(bucket => bucket.name === this.bucketName);
+      const bucketOptions = this.getBucketOptions();
       
       if (!bucketExists) {
-        const { data, error: createError } = await supabase.storage.createBucket(this.bucketName, {
-          public: false,
-          allowedMimeTypes: [
-            'application/pdf',
-            'application/msword',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'image/png',
-            'image/jpeg',
-            'image/jpg',
-            'image/gif',
-            'image/bmp',
-            'image/tiff'
-          ],
-          fileSizeLimit: 10485760 // 10MB
-        });
+        const { error: createError } = await supabase.storage.createBucket(this.bucketName, bucketOptions);
 
         if (createError) {
           console.error('Error creating bucket:', createError);
@@ -42,6 +41,15 @@ class StorageService {
         }
 
         console.log(`✅ Created storage bucket: ${this.bucketName}`);
+      } else {
+        const { error: updateError } = await supabase.storage.updateBucket(this.bucketName, bucketOptions);
+
+        if (updateError) {
+          console.error('Error updating bucket:', updateError);
+          return false;
+        }
+
+        console.log(`✅ Updated storage bucket settings: ${this.bucketName}`);
       }
 
       return true;
@@ -88,6 +96,62 @@ class StorageService {
     }
   }
 
+  // Store a file under its SHA-256 content hash. Uploading the same content
+  // again reuses the object that is already stored.
+  async storeFileByHash(filePath, contentHash, originalName, mimetype) {
+    try {
+      const fileName = `${contentHash}${path.extname(originalName).toLowerCase()}`;
+
+      if (await this.fileExists(fileName)) {
+        console.log(`♻️ Reusing file in Supabase Storage: ${fileName}`);
+        return { path: fileName, fileName, reused: true };
+      }
+
+      const fileBuffer = fs.readFileSync(filePath);
+
+      const { data, error } = await supabase.storage
+        .from(this.bucketName)
+        .upload(fileName, fileBuffer, {
+          contentType: mimetype,
+          duplex: 'half'
+        });
+
+      if (error) {
+        // Another request stored the same content in the meantime
+        if (/already exists/i.test(error.message)) {
+          return { path: fileName, fileName, reused: true };
+        }
+        throw new Error(`Upload failed: ${error.message}`);
+      }
+
+      console.log(`✅ File uploaded to Supabase Storage: ${fileName}`);
+
+      return {
+        path: data.path,
+        fileName,
+        fullPath: data.fullPath,
+        reused: false
+      };
+    } catch (error) {
+      console.error('Storage upload error:', error);
+      throw error;
+    }
+  }
+
+  // Check whether an object exists at the top level of the bucket
+  async fileExists(fileName) {
+    const { data, error } = await supabase.storage
+      .from(this.bucketName)
+      .list('', { search: fileName, limit: 10 });
+
+    if (error) {
+      console.error('Error checking for stored file:', error);
+      return false;
+    }
+
+    return data.some(file => file.name === fileName);
+  }
+
   // Download file from Supabase Storage to temporary location
   async downloadFile(storagePath) {
     try {
@@ -0,0 +1,32 @@
+-- Asynchronous extraction jobs (services/job-service.js)
+create table if not exists public.extraction_jobs (
+  id uuid primary key,
+  status text not null check (status in ('queued', 'running', 'completed', 'failed', 'cancelled')),
+  stage text,
+  progress integer not null default 0 check (progress between 0 and 100),
+  storage_path text not null,
+  file_name text not null,
+  original_name text not null,
+  mimetype text not null,
+  size bigint not null,
+  options jsonb not null default '{}'::jsonb,
+  request_id text,
+  user_id uuid references auth.users (id) on delete cascade,
+  result jsonb,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  started_at timestamptz,
+  completed_at timestamptz
+);
+
+-- Queued and running jobs are picked up again in creation order on startup
+create index if not exists extraction_jobs_status_created_at_idx
+  on public.extraction_jobs (status, created_at);
+
+create index if not exists extraction_jobs_user_id_idx
+  on public.extraction_jobs (user_id);
+
+-- Only the service role, which bypasses row level security, reads and writes
+-- jobs; results may hold the full extracted text
+alter table public.extraction_jobs enable row level security;
@@ -0,0 +1,23 @@
+-- Extraction results cached by file content (services/cache-service.js)
+create table if not exists public.extraction_cache (
+  cache_key text primary key,
+  content_hash text not null,
+  cache_version integer not null,
+  mimetype text not null,
+  options jsonb not null default '{}'::jsonb,
+  storage_path text not null,
+  result jsonb not null,
+  created_at timestamptz not null default now()
+);
+
+-- Lets the cleanup of stored objects find the entries that use an object
+create index if not exists extraction_cache_storage_path_idx
+  on public.extraction_cache (storage_path);
+
+-- Entries from older cache versions are never read and can be deleted
+create index if not exists extraction_cache_cache_version_idx
+  on public.extraction_cache (cache_version);
+
+-- Only the service role, which bypasses row level security, reads and writes
+-- the cache; results may hold the full extracted text
+alter table public.extraction_cache enable row level security;
@@ -0,0 +1,344 @@
+jest.mock('../config/supabase', () => require('./helpers/supabase').createSupabase());
+// The chat and document routes are not part of this service's tests
+jest.mock('../routes/chat', () => require('express').Router());
+jest.mock('../routes/documents', () => require('express').Router());
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const supabase = require('../config/supabase');
+const app = require('../app');
+const progressService = require('../services/progress-service');
+const constants = require('../config/constants');
+
+const JOB_STATUS = constants.JOBS.STATUS;
+
+const jobRow = id => supabase.tables.extraction_jobs.find(job => job.id === id);
+
+// Wait until a job's row has a status, polling while its run goes on
+const waitForStatus = async (id, status) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (jobRow(id).status === status) return jobRow(id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${id} is ${jobRow(id).status}, not ${status}`);
+};
+
+// Read an event stream to its end and split it into its events
+const readEvents = (response, callback) => {
+  let text = '';
+  response.setEncoding('utf8');
+  response.on('data', (chunk) => {
+    text += chunk;
+  });
+  response.on('end', () => callback(null, text.split('\n\n').filter(Boolean).map((block) => {
+    const [event, data] = block.split('\n').map(line => line.slice(line.indexOf(':') + 2));
+    return { event, data: JSON.parse(data) };
+  })));
+};
+
+describe('app', () => {
+  beforeAll(() => {
+    supabase.users.set('token-1', { id: 'user-1' });
+  });
+
+  beforeEach(() => {
+    supabase.tables.extraction_jobs = [];
+    supabase.tables.extraction_cache = [];
+  });
+
+  describe('POST /extract?async=true', () => {
+    it('queues a job and serves its result once it has run', async () => {
+      const response = await request(app)
+        .post('/extract?async=true')
+        .attach('file', Buffer.from('Quarterly report for the board.'), 'report.txt')
+        .expect(202);
+
+      const { jobId } = response.body;
+      expect(response.body).toMatchObject({ success: true, status: JOB_STATUS.QUEUED, filename: 'report.txt' });
+      expect(response.body.links.result).toBe(`/jobs/${jobId}/result`);
+
+      await waitForStatus(jobId, JOB_STATUS.COMPLETED);
+
+      const result = await request(app).get(`/jobs/${jobId}/result`).expect(200);
+      expect(result.body).toMatchObject({ jobId, success: true, extractedText: 'Quarterly report for the board.' });
+    });
+
+    it('ties the job to the user of a bearer token', async () => {
+      const response = await request(app)
+        .post('/extract?async=true')
+        .set('Authorization', 'Bearer token-1')
+        .attach('file', Buffer.from('Private notes.'), 'notes.txt')
+        .expect(202);
+
+      expect(jobRow(response.body.jobId).user_id).toBe('user-1');
+      await waitForStatus(response.body.jobId, JOB_STATUS.COMPLETED);
+
+      await request(app).get(`/jobs/${response.body.jobId}/result`).expect(404);
+      await request(app).get(`/jobs/${response.body.jobId}/result`).set('Authorization', 'Bearer token-1').expect(200);
+    });
+  });
+
+  describe('GET /extract/:id/events', () => {
+    const JOB_ID = '0b9d7c4e-3f2a-4e1b-8c6d-5a4f3e2d1c0b';
+
+    const streamEvents = id => request(app).get(`/extract/${id}/events`).buffer(true).parse(readEvents);
+
+    it('sends the outcome of a job that has already finished', async () => {
+      const queued = await request(app)
+        .post('/extract?async=true')
+        .attach('file', Buffer.from('Signed contract.'), 'contract.txt')
+        .expect(202);
+      await waitForStatus(queued.body.jobId, JOB_STATUS.COMPLETED);
+
+      const response = await streamEvents(queued.body.jobId)
+        .expect('Content-Type', /text\/event-stream/)
+        .expect(200);
+
+      expect(response.body.map(({ event }) => event)).toEqual(['progress', 'result']);
+      expect(response.body[0].data).toMatchObject({ status: JOB_STATUS.COMPLETED, progress: 100 });
+      expect(response.body[1].data).toMatchObject({ jobId: queued.body.jobId, extractedText: 'Signed contract.' });
+    });
+
+    it('streams the progress of a running job until it fails', async () => {
+      supabase.tables.extraction_jobs.push({
+        id: JOB_ID,
+        status: JOB_STATUS.RUNNING,
+        stage: 'downloading',
+        progress: 10,
+        user_id: null,
+      });
+
+      const stream = streamEvents(JOB_ID).then(response => response);
+      while (progressService.emitter.listenerCount(JOB_ID) === 0) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      progressService.publish(JOB_ID, { status: JOB_STATUS.RUNNING, stage: 'recognizing', progress: 30 });
+      // Out of order, so dropped
+      progressService.publish(JOB_ID, { status: JOB_STATUS.RUNNING, stage: 'downloading', progress: 10 });
+      Object.assign(jobRow(JOB_ID), { status: JOB_STATUS.FAILED, stage: 'failed', error: 'Corrupt file' });
+      progressService.publish(JOB_ID, { status: JOB_STATUS.FAILED, stage: 'failed', progress: 30 });
+
+      const response = await stream;
+
+      expect(response.body.map(({ event, data }) => [event, data.stage || data.error])).toEqual([
+        ['progress', 'downloading'],
+        ['progress', 'recognizing'],
+        ['progress', 'failed'],
+        ['error', 'Extraction failed'],
+      ]);
+      expect(response.body[3].data.message).toBe('Corrupt file');
+      expect(progressService.emitter.listenerCount(JOB_ID)).toBe(0);
+    });
+
+    it('returns 404 for unknown jobs', async () => {
+      await request(app).get(`/extract/${JOB_ID}/events`).expect(404);
+    });
+  });
+
+  describe('response formats', () => {
+    const MARKDOWN = '# Minutes\n\n- Budget approved\n- Next meeting in May\n';
+
+    it('returns the JSON envelope by default', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .attach('file', Buffer.from(MARKDOWN), 'minutes.md')
+        .expect('Content-Type', /application\/json/)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    it('picks the format from the Accept header', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .set('Accept', 'text/html;q=0.9, text/markdown')
+        .attach('file', Buffer.from(MARKDOWN), 'minutes.md')
+        .expect('Content-Type', /text\/markdown/)
+        .expect(200);
+
+      expect(response.text).toBe(MARKDOWN.trim());
+    });
+
+    it('lets the format parameter win over the Accept header', async () => {
+      const response = await request(app)
+        .post('/extract?format=html')
+        .set('Accept', 'text/plain')
+        .attach('file', Buffer.from(MARKDOWN), 'minutes.md')
+        .expect('Content-Type', /text\/html/)
+        .expect(200);
+
+      expect(response.text).toContain('<h1>Minutes</h1>');
+      expect(response.text).toContain('<li>Budget approved</li>');
+    });
+
+    it('refuses clients that accept none of the formats', async () => {
+      await request(app)
+        .post('/extract')
+        .set('Accept', 'application/pdf')
+        .attach('file', Buffer.from(MARKDOWN), 'minutes.md')
+        .expect(406);
+    });
+
+    it('renders redacted HTML from the redacted text', async () => {
+      const html = '<p>Write to <b>jane</b>&#64;example.com today.</p>';
+
+      const response = await request(app)
+        .post('/extract?format=html&redact=placeholder')
+        .attach('file', Buffer.from(html), 'letter.html')
+        .expect(200);
+
+      expect(response.text).toBe('<p>Write to [EMAIL] today.</p>');
+    });
+
+    it('renders normalized Markdown from the normalized text', async () => {
+      const response = await request(app)
+        .post('/extract?format=markdown&normalize=ligatures')
+        .attach('file', Buffer.from('# The \uFB01nal o\uFB00er\n'), 'offer.md')
+        .expect(200);
+
+      expect(response.text).toBe('The final offer');
+    });
+  });
+
+  describe('text normalization', () => {
+    const TEXT = 'Total:\u00A0 42\n\n\n\nSigned';
+
+    it('returns the text as extracted by default', async () => {
+      const response = await request(app)
+        .post('/extract')
+        .attach('file', Buffer.from(TEXT), 'totals.txt')
+        .expect(200);
+
+      expect(response.body.extractedText).toBe(TEXT);
+      expect(response.body.metadata.normalization).toEqual({ applied: [], steps: [] });
+    });
+
+    it('runs the steps a request asks for', async () => {
+      const response = await request(app)
+        .post('/extract?normalize=whitespace')
+        .attach('file', Buffer.from(TEXT), 'totals.txt')
+        .expect(200);
+
+      expect(response.body.extractedText).toBe('Total: 42\n\nSigned');
+      expect(response.body.metadata.normalization.applied).toEqual(['whitespace']);
+    });
+  });
+
+  describe('hOCR and ALTO output', () => {
+    it('rejects files that are not OCRed', async () => {
+      const response = await request(app)
+        .post('/extract?output=hocr')
+        .attach('file', Buffer.from('Plain text.'), 'notes.txt')
+        .expect(400);
+
+      expect(response.body.message).toBe('output=hocr is only available for images and PDF files');
+    });
+
+    it('rejects mode=text, which turns OCR off', async () => {
+      const response = await request(app)
+        .post('/extract?output=alto&mode=text')
+        .attach('file', Buffer.from('%PDF-1.4'), 'scan.pdf')
+        .expect(400);
+
+      expect(response.body.details[0].message).toBe('"mode" must be ocr or auto with output=hocr or output=alto');
+    });
+
+    it('fails the files of a batch that are not OCRed', async () => {
+      const response = await request(app)
+        .post('/extract/batch?output=alto')
+        .attach('files', Buffer.from('Plain text.'), 'notes.txt')
+        .expect(200);
+
+      expect(response.body.results[0]).toMatchObject({
+        filename: 'notes.txt',
+        success: false,
+        error: 'output=alto is only available for images and PDF files',
+      });
+    });
+  });
+
+  describe('POST /metadata', () => {
+    it('returns the same fields for every format', async () => {
+      const rtf = '{\\rtf1\\ansi{\\info{\\title Site survey}{\\author Jo Park}}Findings.}';
+
+      const response = await request(app)
+        .post('/metadata')
+        .attach('file', Buffer.from(rtf), { filename: 'survey.rtf', contentType: 'application/rtf' })
+        .expect(200);
+
+      expect(response.body.metadata).toMatchObject({
+        title: 'Site survey',
+        author: 'Jo Park',
+        subject: null,
+        created: null,
+        pageCount: null,
+        image: null,
+      });
+    });
+
+    it('returns null fields for formats without metadata', async () => {
+      const response = await request(app)
+        .post('/metadata')
+        .attach('file', Buffer.from('Plain text.'), 'notes.txt')
+        .expect(200);
+
+      expect(Object.values(response.body.metadata).filter(value => value !== null)).toEqual([]);
+    });
+  });
+
+  describe('POST /extract/batch', () => {
+    const tempFiles = () => fs.readdirSync(path.join(__dirname, '../temp'));
+
+    it('fails bad files on their own and keeps the upload order', async () => {
+      const before = tempFiles();
+
+      const response = await request(app)
+        .post('/extract/batch')
+        .attach('files', Buffer.from('First file.'), 'first.txt')
+        .attach('files', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/octet-stream' })
+        .attach('files', Buffer.alloc(6 * 1024 * 1024, 'a'), 'huge.txt')
+        .attach('files', Buffer.from('Last file.'), 'last.txt')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, total: 4, succeeded: 2, failed: 2 });
+      expect(response.body.results.map(result => [result.filename, result.success])).toEqual([
+        ['first.txt', true],
+        ['setup.exe', false],
+        ['huge.txt', false],
+        ['last.txt', true],
+      ]);
+      expect(response.body.results[0].extractedText).toBe('First file.');
+      expect(response.body.results[1].error).toBe('Unsupported file type: application/octet-stream; File extension .exe doesn\'t match the file type');
+      expect(response.body.results[2].error).toBe('File exceeds the 5 MB size limit for its type');
+
+      // Nothing is left behind in the temp directory
+      expect(tempFiles()).toEqual(before);
+    });
+
+    it('reports a batch of only rejected files', async () => {
+      const response = await request(app)
+        .post('/extract/batch')
+        .attach('files', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/octet-stream' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: false, total: 1, succeeded: 0, failed: 1 });
+    });
+
+    it('rejects too many files with 400', async () => {
+      let upload = request(app).post('/extract/batch');
+      for (let index = 0; index <= constants.FILES.BATCH.MAX_FILES; index++) {
+        upload = upload.attach('files', Buffer.from(`File ${index}.`), `file-${index}.txt`);
+      }
+
+      const response = await upload.expect(400);
+
+      expect(response.body.message).toBe('Too many files');
+    });
+
+    it('returns 400 without files', async () => {
+      await request(app).post('/extract/batch').field('note', 'empty').expect(400);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+// Recognition data in the shape tesseract.js returns, for one block with one
+// paragraph. `lines` lists the words of each line as [text, confidence];
+// words are 50 pixels wide with 10 pixel gaps, and lines 20 pixels high
+// with 10 pixel gaps.
+const createOcrData = (lines) => {
+  const element = (text, confidence, bbox, extra = {}) => ({ text, confidence, bbox, ...extra });
+  const around = boxes => ({
+    x0: Math.min(...boxes.map(box => box.x0)),
+    y0: Math.min(...boxes.map(box => box.y0)),
+    x1: Math.max(...boxes.map(box => box.x1)),
+    y1: Math.max(...boxes.map(box => box.y1)),
+  });
+  const average = items => items.reduce((sum, item) => sum + item.confidence, 0) / items.length;
+
+  const lineElements = lines.map((words, row) => {
+    const y0 = 10 + row * 30;
+    const wordElements = words.map(([text, confidence], column) =>
+      element(text, confidence, { x0: 10 + column * 60, y0, x1: 60 + column * 60, y1: y0 + 20 }));
+    const bbox = around(wordElements.map(word => word.bbox));
+
+    return element(`${words.map(([text]) => text).join(' ')}\n`, average(wordElements), bbox, {
+      words: wordElements,
+      baseline: { x0: bbox.x0, y0: bbox.y1 - 4, x1: bbox.x1, y1: bbox.y1 - 4, has_baseline: true },
+    });
+  });
+
+  const text = lineElements.map(line => line.text).join('');
+  const bbox = around(lineElements.map(line => line.bbox));
+  const confidence = average(lineElements);
+  const paragraph = element(text, confidence, bbox, { lines: lineElements });
+  const block = element(text, confidence, bbox, { blocktype: 'FLOWING_TEXT', paragraphs: [paragraph] });
+  const words = lineElements.flatMap(line => line.words);
+
+  return {
+    text,
+    confidence,
+    blocks: [block],
+    paragraphs: [paragraph],
+    lines: lineElements,
+    words,
+    symbols: words.flatMap(word => [...word.text]),
+  };
+};
+
+module.exports = {
+  createOcrData,
+};
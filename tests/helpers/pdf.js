@@ -0,0 +1,56 @@
+// Build a small PDF in memory. Every page is a list of text items drawn in
+// Helvetica, with `x` and `y` in points from the bottom left corner; a page
+// without items has no text layer, like a scanned page.
+const escapeText = text => text.replace(/[\\()]/g, match => `\\${match}`);
+
+// pdf-parse ignores the offset of a buffer into Node's shared pool, which
+// small files are read into, so every PDF is padded past the pool's reach
+const MIN_FILE_SIZE = 4096;
+
+const createPdf = (pages, { width = 612, height = 792 } = {}) => {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+  const pageIds = pages.map((items) => {
+    const content = items
+      .map(({ text, x, y, size = 10 }) => `BT /F1 ${size} Tf ${x} ${y} Td (${escapeText(text)}) Tj ET`)
+      .join('\n');
+    const stream = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+
+    return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${width} ${height}] `
+      + `/Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${stream} 0 R >>`);
+  });
+
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = `%PDF-1.4\n%${' '.repeat(MIN_FILE_SIZE)}\n`;
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xref = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+// Lines of running text, one item per line, from the top of the page down
+const textLines = (lines, { x = 72, top = 720, size = 10, leading = 14 } = {}) =>
+  lines.map((text, index) => ({ text, x, y: top - index * leading, size }));
+
+module.exports = {
+  createPdf,
+  textLines,
+};
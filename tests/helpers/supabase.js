@@ -0,0 +1,107 @@
+// In-memory stand-in for the Supabase client, covering the table queries,
+// storage calls and token checks the services make. Tables and stored
+// objects live on the client, so tests can look at them directly.
+const createQuery = (rows) => {
+  const filters = [];
+  let changes = null;
+  let single = false;
+
+  const run = () => {
+    const matches = rows.filter(row => filters.every(filter => filter(row)));
+    if (changes) matches.forEach(row => Object.assign(row, changes));
+    const data = single
+      ? (matches[0] ? { ...matches[0] } : null)
+      : matches.map(row => ({ ...row }));
+    return { data, error: null };
+  };
+
+  const query = {
+    select: () => query,
+    update: (values) => {
+      changes = values;
+      return query;
+    },
+    eq: (column, value) => {
+      filters.push(row => row[column] === value);
+      return query;
+    },
+    in: (column, values) => {
+      filters.push(row => values.includes(row[column]));
+      return query;
+    },
+    order: () => query,
+    maybeSingle: () => {
+      single = true;
+      return query;
+    },
+    then: (resolve, reject) => Promise.resolve(run()).then(resolve, reject),
+  };
+
+  return query;
+};
+
+const respond = value => Promise.resolve(value);
+
+const createSupabase = () => {
+  const tables = {};
+  const objects = new Map();
+  const users = new Map();
+
+  const rowsOf = name => tables[name] || (tables[name] = []);
+
+  return {
+    tables,
+    objects,
+    users,
+
+    from: (name) => ({
+      ...createQuery(rowsOf(name)),
+      insert: (rows) => {
+        rowsOf(name).push(...[].concat(rows).map(row => ({ ...row })));
+        return respond({ error: null });
+      },
+      upsert: (row, { onConflict } = {}) => {
+        const rows = rowsOf(name);
+        const index = rows.findIndex(existing => existing[onConflict] === row[onConflict]);
+        if (index >= 0) rows[index] = { ...row };
+        else rows.push({ ...row });
+        return respond({ error: null });
+      },
+    }),
+
+    storage: {
+      listBuckets: () => respond({ data: [], error: null }),
+      createBucket: () => respond({ data: {}, error: null }),
+      updateBucket: () => respond({ data: {}, error: null }),
+      from: () => ({
+        list: (folder, { search } = {}) => respond({
+          data: [...objects.keys()].filter(name => !search || name.includes(search)).map(name => ({ name })),
+          error: null,
+        }),
+        upload: (name, buffer) => {
+          if (objects.has(name)) return respond({ data: null, error: { message: 'The resource already exists' } });
+          objects.set(name, Buffer.from(buffer));
+          return respond({ data: { path: name, fullPath: name }, error: null });
+        },
+        download: name => respond(objects.has(name)
+          ? { data: new Blob([objects.get(name)]), error: null }
+          : { data: null, error: { message: 'Object not found' } }),
+        remove: (names) => {
+          names.forEach(name => objects.delete(name));
+          return respond({ error: null });
+        },
+      }),
+    },
+
+    // `users` maps bearer tokens to users
+    auth: {
+      getUser: token => respond(users.has(token)
+        ? { data: { user: users.get(token) }, error: null }
+        : { data: { user: null }, error: { message: 'Invalid token' } }),
+    },
+  };
+};
+
+module.exports = {
+  createSupabase,
+};
@@ -0,0 +1,140 @@
+jest.mock('../../config/supabase', () => require('../helpers/supabase').createSupabase());
+jest.mock('../../services/extraction-service', () => ({ extractFromStorage: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const supabase = require('../../config/supabase');
+const jobsRouter = require('../../routes/jobs');
+const constants = require('../../config/constants');
+
+const JOB_STATUS = constants.JOBS.STATUS;
+const JOB_ID = '6f1c2f0e-8a3b-4c1d-9a7e-2b5d4f3c1a90';
+
+const app = express().use('/jobs', jobsRouter);
+
+const storeJob = (changes = {}) => {
+  const job = {
+    id: JOB_ID,
+    status: JOB_STATUS.COMPLETED,
+    stage: 'completed',
+    progress: 100,
+    storage_path: 'abc.txt',
+    file_name: 'abc.txt',
+    original_name: 'notes.txt',
+    mimetype: 'text/plain',
+    size: 11,
+    options: { format: 'json' },
+    user_id: null,
+    result: { text: 'Hello world', wordCount: 2, metadata: {}, processingTime: '3ms' },
+    error: null,
+    ...changes,
+  };
+  supabase.tables.extraction_jobs = [job];
+  return job;
+};
+
+const jobRow = () => supabase.tables.extraction_jobs[0];
+
+describe('jobs routes', () => {
+  beforeAll(() => {
+    supabase.users.set('token-1', { id: 'user-1' });
+    supabase.users.set('token-2', { id: 'user-2' });
+  });
+
+  describe('GET /jobs/:id', () => {
+    it('returns the status of a job', async () => {
+      storeJob({ status: JOB_STATUS.RUNNING, stage: 'recognizing', progress: 57, result: null });
+
+      const response = await request(app).get(`/jobs/${JOB_ID}`).expect(200);
+
+      expect(response.body.job).toMatchObject({
+        id: JOB_ID,
+        status: JOB_STATUS.RUNNING,
+        stage: 'recognizing',
+        progress: 57,
+        filename: 'notes.txt',
+        links: { result: `/jobs/${JOB_ID}/result` },
+      });
+    });
+
+    it('returns 404 for unknown jobs and 400 for malformed ids', async () => {
+      supabase.tables.extraction_jobs = [];
+
+      await request(app).get(`/jobs/${JOB_ID}`).expect(404);
+      await request(app).get('/jobs/not-a-uuid').expect(400);
+    });
+  });
+
+  describe('GET /jobs/:id/result', () => {
+    it('returns the extraction result of a completed job', async () => {
+      storeJob();
+
+      const response = await request(app).get(`/jobs/${JOB_ID}/result`).expect(200);
+
+      expect(response.body).toMatchObject({ jobId: JOB_ID, success: true, extractedText: 'Hello world' });
+    });
+
+    it('renders the result in another format', async () => {
+      storeJob();
+
+      const response = await request(app).get(`/jobs/${JOB_ID}/result?format=text`).expect(200);
+
+      expect(response.type).toBe('text/plain');
+      expect(response.text).toBe('Hello world');
+    });
+
+    it('returns 409 until the job has completed', async () => {
+      storeJob({ status: JOB_STATUS.RUNNING, result: null });
+
+      const response = await request(app).get(`/jobs/${JOB_ID}/result`).expect(409);
+
+      expect(response.body.message).toBe('Job is running');
+    });
+  });
+
+  describe('jobs of a user', () => {
+    it('are only visible with a token of the same user', async () => {
+      storeJob({ user_id: 'user-1' });
+
+      await request(app).get(`/jobs/${JOB_ID}/result`).expect(404);
+      await request(app).get(`/jobs/${JOB_ID}/result`).set('Authorization', 'Bearer token-2').expect(404);
+      await request(app).get(`/jobs/${JOB_ID}`).set('Authorization', 'Bearer token-2').expect(404);
+      await request(app).get(`/jobs/${JOB_ID}/result`).set('Authorization', 'Bearer token-1').expect(200);
+    });
+
+    it('can only be cancelled by the same user', async () => {
+      storeJob({ user_id: 'user-1', status: JOB_STATUS.QUEUED, stage: 'uploaded', progress: 0, result: null });
+
+      await request(app).delete(`/jobs/${JOB_ID}`).set('Authorization', 'Bearer token-2').expect(404);
+      expect(jobRow().status).toBe(JOB_STATUS.QUEUED);
+
+      const response = await request(app).delete(`/jobs/${JOB_ID}`).set('Authorization', 'Bearer token-1').expect(200);
+      expect(response.body.job.status).toBe(JOB_STATUS.CANCELLED);
+    });
+
+    it('reject invalid tokens', async () => {
+      storeJob();
+
+      await request(app).get(`/jobs/${JOB_ID}`).set('Authorization', 'Bearer expired').expect(401);
+    });
+  });
+
+  describe('DELETE /jobs/:id', () => {
+    it('cancels a queued job', async () => {
+      storeJob({ status: JOB_STATUS.QUEUED, stage: 'uploaded', progress: 0, result: null });
+
+      const response = await request(app).delete(`/jobs/${JOB_ID}`).expect(200);
+
+      expect(response.body.job).toMatchObject({ status: JOB_STATUS.CANCELLED, stage: 'cancelled' });
+      expect(jobRow().status).toBe(JOB_STATUS.CANCELLED);
+    });
+
+    it('returns 409 for finished jobs', async () => {
+      storeJob();
+
+      const response = await request(app).delete(`/jobs/${JOB_ID}`).expect(409);
+
+      expect(response.body.message).toBe('Job is already completed');
+    });
+  });
+});
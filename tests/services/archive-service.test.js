@@ -0,0 +1,155 @@
+jest.mock('../../config/supabase', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const archiveService = require('../../services/archive-service');
+const constants = require('../../config/constants');
+const { createZip } = require('../helpers/zip');
+
+const MAX_NESTING_DEPTH = constants.FILES.MAX_NESTING_DEPTH;
+
+// A ZIP holding `levels` more ZIPs inside one another, with a text file in the innermost
+const nestedZip = (levels) => {
+  let zip = createZip({ 'deep.txt': 'Found at the bottom.' });
+  for (let level = levels; level > 0; level--) {
+    zip = createZip({ [`level-${level}.zip`]: zip });
+  }
+  return zip;
+};
+
+const emailWith = (name, content) => [
+  'From: a@example.com',
+  'To: b@example.com',
+  'Subject: Forwarded',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="part"',
+  '',
+  '--part',
+  'Content-Type: text/plain',
+  '',
+  'See attached.',
+  '--part',
+  `Content-Type: application/octet-stream; name="${name}"`,
+  'Content-Transfer-Encoding: base64',
+  `Content-Disposition: attachment; filename="${name}"`,
+  '',
+  content.toString('base64'),
+  '--part--',
+  '',
+].join('\r\n');
+
+// Entries of an archive tree from the outside in, following the only child
+const chain = (entries) => {
+  const nodes = [];
+  let level = entries;
+  while (level && level.length > 0) {
+    nodes.push(level[0]);
+    level = level[0].children;
+  }
+  return nodes;
+};
+
+describe('archive-service', () => {
+  let workDir;
+
+  const writeZip = (name, buffer) => {
+    const filePath = path.join(workDir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('extracts the files of an archive into a tree', async () => {
+    const filePath = writeZip('plain.zip', createZip({ 'a.txt': 'Alpha text.', 'docs/b.txt': 'Beta text.' }));
+    const result = await archiveService.extractText(filePath);
+
+    expect(result.metadata).toMatchObject({ entries: 2, extracted: 2, failed: 0, skipped: 0, nestingDepth: 0 });
+    expect(result.entries.map(entry => entry.name)).toEqual(['a.txt', 'docs']);
+    expect(result.entries[1].children[0]).toMatchObject({ path: 'docs/b.txt', success: true, text: 'Beta text.' });
+    expect(result.text).toBe('--- a.txt ---\nAlpha text.\n\n--- docs/b.txt ---\nBeta text.');
+  });
+
+  describe('entry paths', () => {
+    it.each([
+      ['a parent directory', '../escaped.txt'],
+      ['an absolute path', '/tmp/escaped.txt'],
+    ])('refuses archives with entries in %s', async (_, name) => {
+      const filePath = writeZip('slip.zip', createZip({ 'ok.txt': 'Fine.', [name]: 'Written outside.' }));
+
+      await expect(archiveService.extractText(filePath)).rejects.toThrow(/^Archive extraction failed: /);
+      expect(fs.existsSync(path.join(archiveService.tempDir, 'escaped.txt'))).toBe(false);
+    });
+  });
+
+  describe('limits', () => {
+    it('unpacks nested archives up to the maximum depth', async () => {
+      const filePath = writeZip('nested.zip', nestedZip(MAX_NESTING_DEPTH));
+      const result = await archiveService.extractText(filePath);
+      const nodes = chain(result.entries);
+
+      expect(result.metadata.nestingDepth).toBe(MAX_NESTING_DEPTH);
+      expect(nodes[nodes.length - 1]).toMatchObject({ name: 'deep.txt', success: true, text: 'Found at the bottom.' });
+    });
+
+    it('skips archives nested deeper than the maximum depth', async () => {
+      const filePath = writeZip('nested.zip', nestedZip(MAX_NESTING_DEPTH + 1));
+      const result = await archiveService.extractText(filePath);
+      const nodes = chain(result.entries);
+
+      expect(result.metadata.skipped).toBe(1);
+      expect(nodes[nodes.length - 1]).toMatchObject({
+        name: `level-${MAX_NESTING_DEPTH + 1}.zip`,
+        type: 'archive',
+        success: false,
+        error: `Nested archive exceeds the maximum depth of ${MAX_NESTING_DEPTH}`,
+      });
+    });
+
+    it('counts the depth the archive itself is nested at', async () => {
+      const filePath = writeZip('nested.zip', nestedZip(MAX_NESTING_DEPTH));
+      const result = await archiveService.extractText(filePath, { depth: 1 });
+      const nodes = chain(result.entries);
+
+      expect(result.metadata.nestingDepth).toBe(MAX_NESTING_DEPTH);
+      expect(nodes[nodes.length - 1]).toMatchObject({
+        name: `level-${MAX_NESTING_DEPTH}.zip`,
+        type: 'archive',
+        success: false,
+        error: `Nested archive exceeds the maximum depth of ${MAX_NESTING_DEPTH}`,
+      });
+    });
+
+    it('does not reset the depth when an email holds another archive', async () => {
+      const email = emailWith('inner.zip', createZip({ 'inner.txt': 'Inner text.' }));
+      const filePath = writeZip('outer.zip', createZip({ 'message.eml': email }));
+      const result = await archiveService.extractText(filePath, { depth: MAX_NESTING_DEPTH - 1 });
+      const [message] = result.entries;
+
+      expect(message.success).toBe(true);
+      expect(message.attachments[0]).toMatchObject({
+        filename: 'inner.zip',
+        success: false,
+        error: `Nested archive exceeds the maximum depth of ${MAX_NESTING_DEPTH}`,
+      });
+    });
+
+    it('refuses archives with too many files', async () => {
+      const files = Object.fromEntries(Array.from(
+        { length: constants.FILES.ARCHIVE.MAX_ENTRIES + 1 },
+        (_, index) => [`file-${index}.txt`, 'x']
+      ));
+      const filePath = writeZip('many.zip', createZip(files));
+
+      await expect(archiveService.extractText(filePath))
+        .rejects.toThrow(`Archive contains more than ${constants.FILES.ARCHIVE.MAX_ENTRIES} files`);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+jest.mock('../../config/supabase', () => ({}));
+
+const cacheService = require('../../services/cache-service');
+const constants = require('../../config/constants');
+
+const HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+
+describe('cache-service', () => {
+  describe('buildKey', () => {
+    it('returns a SHA-256 hex key', () => {
+      expect(cacheService.buildKey(HASH, 'application/pdf')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    it('does not depend on option order or undefined options', () => {
+      const key = cacheService.buildKey(HASH, 'application/pdf', { mode: 'ocr', pages: '1-3' });
+
+      expect(cacheService.buildKey(HASH, 'application/pdf', { pages: '1-3', mode: 'ocr' })).toBe(key);
+      expect(cacheService.buildKey(HASH, 'application/pdf', { mode: 'ocr', pages: '1-3', tables: undefined })).toBe(key);
+    });
+
+    it('changes with the content, file type and options', () => {
+      const key = cacheService.buildKey(HASH, 'application/pdf', { mode: 'ocr' });
+
+      expect(cacheService.buildKey(HASH.replace(/^e/, 'f'), 'application/pdf', { mode: 'ocr' })).not.toBe(key);
+      expect(cacheService.buildKey(HASH, 'image/png', { mode: 'ocr' })).not.toBe(key);
+      expect(cacheService.buildKey(HASH, 'application/pdf', { mode: 'text' })).not.toBe(key);
+      expect(cacheService.buildKey(HASH, 'application/pdf', {})).not.toBe(key);
+    });
+
+    it('changes with the cache version', () => {
+      const key = cacheService.buildKey(HASH, 'application/pdf');
+      expect(cacheService.version).toBe(constants.CACHE.VERSION);
+
+      cacheService.version = constants.CACHE.VERSION + 1;
+      try {
+        expect(cacheService.buildKey(HASH, 'application/pdf')).not.toBe(key);
+      } finally {
+        cacheService.version = constants.CACHE.VERSION;
+      }
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const mockDocument = {};
+
+// word-extractor reads the stories of a binary document; the tests set
+// what each story holds
+jest.mock('word-extractor', () => jest.fn().mockImplementation(() => ({
+  extract: () => Promise.resolve({
+    getBody: () => mockDocument.body || '',
+    getHeaders: () => mockDocument.headers || '',
+    getFooters: () => mockDocument.footers || '',
+    getFootnotes: () => mockDocument.footnotes || '',
+    getEndnotes: () => mockDocument.endnotes || '',
+  }),
+})));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const docService = require('../../services/doc-service');
+
+// An OLE compound document signature followed by nothing readable
+const LEGACY_DOCUMENT = Buffer.concat([Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]), Buffer.alloc(504)]);
+
+describe('doc-service', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'doc-service-'));
+    filePath = path.join(directory, 'letter.doc');
+    fs.writeFileSync(filePath, LEGACY_DOCUMENT);
+    Object.keys(mockDocument).forEach(key => delete mockDocument[key]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('legacy documents', () => {
+    it('follows the body with headers, footers, footnotes and endnotes', async () => {
+      Object.assign(mockDocument, {
+        body: 'Dear Sam,\r\rThe contract is attached.\r',
+        headers: 'Acme Ltd\r\r\r\r',
+        footers: 'Confidential  \r',
+        footnotes: '1 Signed on 3 May.\r',
+        endnotes: '',
+      });
+
+      const result = await docService.extractText(filePath);
+
+      expect(result.text).toBe([
+        'Dear Sam,\n\nThe contract is attached.',
+        'Headers:\nAcme Ltd',
+        'Footers:\nConfidential',
+        'Footnotes:\n1 Signed on 3 May.',
+      ].join('\n\n'));
+      expect(result.metadata).toMatchObject({
+        fileType: '.doc',
+        format: 'Word 97-2003',
+        hasHeaders: true,
+        hasFooters: true,
+        footnotes: true,
+      });
+    });
+
+    it('leaves out empty parts', async () => {
+      mockDocument.body = 'Only a body.';
+
+      const result = await docService.extractText(filePath);
+
+      expect(result.text).toBe('Only a body.');
+      expect(result.metadata).toMatchObject({ hasHeaders: false, hasFooters: false, footnotes: false });
+    });
+
+    it('returns every part separately as structured output', async () => {
+      Object.assign(mockDocument, { body: 'Body.', endnotes: 'i Source.' });
+
+      const result = await docService.extractText(filePath, { output: 'structured' });
+
+      expect(result.structured.parts).toEqual({ body: 'Body.', headers: '', footers: '', footnotes: '', endnotes: 'i Source.' });
+      expect(result.metadata.footnotes).toBe(true);
+    });
+
+    it('warns that tables cannot be extracted', async () => {
+      mockDocument.body = 'Body.';
+
+      const result = await docService.extractText(filePath, { tables: 'json' });
+
+      expect(result.tables).toBeUndefined();
+      expect(result.metadata.warnings).toEqual([{ type: 'warning', message: 'Tables cannot be extracted from Word 97-2003 documents' }]);
+    });
+
+    it('only warns when tables are asked for', async () => {
+      const result = await docService.extractText(filePath);
+
+      expect(result.metadata.warnings).toBeUndefined();
+    });
+  });
+});
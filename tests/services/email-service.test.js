@@ -0,0 +1,157 @@
+jest.mock('../../config/supabase', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const emailService = require('../../services/email-service');
+const constants = require('../../config/constants');
+const { createZip } = require('../helpers/zip');
+
+const MAX_NESTING_DEPTH = constants.FILES.MAX_NESTING_DEPTH;
+
+// A MIME message with a plain text body and base64 attachments given as
+// `[filename, contentType, content]`
+const createEmail = ({ subject = 'Report', body = 'See attached.', attachments = [] } = {}) => [
+  'From: Ana Lima <ana@example.com>',
+  'To: ben@example.com, Cy <cy@example.com>',
+  `Subject: ${subject}`,
+  'Date: Mon, 05 Oct 2026 09:30:00 +0000',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="part"',
+  '',
+  '--part',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  body,
+  ...attachments.flatMap(([filename, contentType, content]) => [
+    '--part',
+    `Content-Type: ${contentType}; name="${filename}"`,
+    'Content-Transfer-Encoding: base64',
+    `Content-Disposition: attachment; filename="${filename}"`,
+    '',
+    Buffer.from(content).toString('base64'),
+  ]),
+  '--part--',
+  '',
+].join('\r\n');
+
+// A message forwarding another, `levels` deep, with a text file in the innermost
+const nestedEmail = (levels) => {
+  let email = createEmail({ subject: 'Level 0', attachments: [['deep.txt', 'text/plain', 'Found at the bottom.']] });
+  for (let level = 1; level <= levels; level++) {
+    email = createEmail({ subject: `Level ${level}`, attachments: [[`level-${level - 1}.eml`, 'message/rfc822', email]] });
+  }
+  return email;
+};
+
+// Attachments from the outside in, following the first one
+const chain = (attachments) => {
+  const nodes = [];
+  let level = attachments;
+  while (level && level.length > 0) {
+    nodes.push(level[0]);
+    level = level[0].attachments;
+  }
+  return nodes;
+};
+
+describe('email-service', () => {
+  let workDir;
+
+  const writeEmail = (content) => {
+    const filePath = path.join(workDir, 'message.eml');
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('combines the headers, body and attachment texts', async () => {
+    const filePath = writeEmail(createEmail({
+      attachments: [['notes.txt', 'application/octet-stream', 'Attached notes.']],
+    }));
+
+    const result = await emailService.extractText(filePath);
+
+    expect(result.email).toEqual({
+      from: 'Ana Lima <ana@example.com>',
+      to: ['ben@example.com', 'Cy <cy@example.com>'],
+      cc: [],
+      subject: 'Report',
+      date: '2026-10-05T09:30:00.000Z',
+    });
+    expect(result.text).toBe([
+      'From: Ana Lima <ana@example.com>\nTo: ben@example.com, Cy <cy@example.com>\nSubject: Report\nDate: 2026-10-05T09:30:00.000Z',
+      'See attached.',
+      '--- Attachment: notes.txt ---\nAttached notes.',
+    ].join('\n\n'));
+    expect(result.attachments[0]).toMatchObject({ filename: 'notes.txt', fileType: 'text/plain', success: true, wordCount: 2 });
+    expect(result.metadata).toMatchObject({ bodyFormat: 'text', attachmentCount: 1, extracted: 1, failed: 0, skipped: 0 });
+  });
+
+  it('extracts archives and emails attached to the message', async () => {
+    const filePath = writeEmail(createEmail({
+      attachments: [
+        ['bundle.zip', 'application/zip', createZip({ 'inside.txt': 'Zipped text.' })],
+        ['forwarded.eml', 'message/rfc822', createEmail({ subject: 'Original', body: 'Original body.' })],
+      ],
+    }));
+
+    const result = await emailService.extractText(filePath);
+    const [bundle, forwarded] = result.attachments;
+
+    expect(bundle).toMatchObject({ filename: 'bundle.zip', success: true });
+    expect(bundle.entries[0]).toMatchObject({ name: 'inside.txt', text: 'Zipped text.' });
+    expect(forwarded).toMatchObject({ filename: 'forwarded.eml', success: true });
+    expect(forwarded.email.subject).toBe('Original');
+    expect(forwarded.text).toContain('Original body.');
+  });
+
+  it('follows forwarded emails up to the maximum depth', async () => {
+    const result = await emailService.extractText(writeEmail(nestedEmail(MAX_NESTING_DEPTH)));
+    const nodes = chain(result.attachments);
+
+    expect(nodes.map(node => node.success)).toEqual(Array(MAX_NESTING_DEPTH + 1).fill(true));
+    expect(nodes[nodes.length - 1]).toMatchObject({ filename: 'deep.txt', text: 'Found at the bottom.' });
+  });
+
+  it('skips emails nested deeper than the maximum depth', async () => {
+    const result = await emailService.extractText(writeEmail(nestedEmail(MAX_NESTING_DEPTH + 1)));
+    const nodes = chain(result.attachments);
+
+    expect(nodes).toHaveLength(MAX_NESTING_DEPTH + 1);
+    expect(nodes[nodes.length - 1]).toMatchObject({
+      filename: 'level-0.eml',
+      success: false,
+      error: `Nested email exceeds the maximum depth of ${MAX_NESTING_DEPTH}`,
+    });
+    expect(nodes[nodes.length - 2].metadata.skipped).toBe(1);
+  });
+
+  it('reports attachments it cannot extract without failing the message', async () => {
+    const filePath = writeEmail(createEmail({
+      attachments: [['setup.exe', 'application/x-msdownload', 'MZ']],
+    }));
+
+    const result = await emailService.extractText(filePath);
+
+    expect(result.attachments[0]).toMatchObject({ filename: 'setup.exe', success: false, error: 'Unsupported file type' });
+    expect(result.metadata.skipped).toBe(1);
+  });
+
+  it('leaves no attachment files behind', async () => {
+    const before = fs.readdirSync(emailService.tempDir);
+
+    await emailService.extractText(writeEmail(createEmail({
+      attachments: [['notes.txt', 'text/plain', 'Attached notes.']],
+    })));
+
+    expect(fs.readdirSync(emailService.tempDir)).toEqual(before);
+  });
+});
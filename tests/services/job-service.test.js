@@ -0,0 +1,179 @@
+jest.mock('../../config/supabase', () => require('../helpers/supabase').createSupabase());
+jest.mock('../../services/extraction-service', () => ({ extractFromStorage: jest.fn() }));
+
+const supabase = require('../../config/supabase');
+const extractionService = require('../../services/extraction-service');
+const jobService = require('../../services/job-service');
+const progressService = require('../../services/progress-service');
+const constants = require('../../config/constants');
+
+const JOB_STATUS = constants.JOBS.STATUS;
+
+const submit = (options = {}) => jobService.createJob({
+  storagePath: 'abc.txt',
+  fileName: 'abc.txt',
+  originalName: 'notes.txt',
+  mimetype: 'text/plain',
+  size: 12,
+  requestId: 'request-1',
+  ...options,
+});
+
+const jobRow = id => supabase.tables.extraction_jobs.find(job => job.id === id);
+
+// Wait until a job's row has a status, polling while its run goes on
+const waitForStatus = async (id, status) => {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    if (jobRow(id).status === status) return jobRow(id);
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${id} is ${jobRow(id).status}, not ${status}`);
+};
+
+// An extraction that only ends when its signal is aborted
+const extractUntilAborted = () => extractionService.extractFromStorage.mockImplementation(
+  (storagePath, mimetype, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Extraction cancelled')));
+  })
+);
+
+describe('job-service', () => {
+  beforeEach(() => {
+    supabase.tables.extraction_jobs = [];
+  });
+
+  describe('createJob', () => {
+    it('stores a queued job and runs it to completion', async () => {
+      extractionService.extractFromStorage.mockResolvedValue({ text: 'Hello world', metadata: {} });
+
+      const job = await submit({ options: { mode: 'ocr' } });
+
+      expect(job).toMatchObject({ status: JOB_STATUS.QUEUED, stage: 'uploaded', progress: 0, user_id: null });
+
+      const completed = await waitForStatus(job.id, JOB_STATUS.COMPLETED);
+      expect(completed).toMatchObject({ stage: 'completed', progress: 100, result: { text: 'Hello world' } });
+      expect(completed.started_at).not.toBeNull();
+      expect(completed.completed_at).not.toBeNull();
+      expect(extractionService.extractFromStorage).toHaveBeenCalledWith('abc.txt', 'text/plain', expect.objectContaining({
+        mode: 'ocr',
+        signal: expect.any(AbortSignal),
+        onStage: expect.any(Function),
+      }));
+    });
+
+    it('records the owner of a job', async () => {
+      extractionService.extractFromStorage.mockResolvedValue({ text: '', metadata: {} });
+
+      const job = await submit({ userId: 'user-1' });
+
+      expect(jobRow(job.id).user_id).toBe('user-1');
+      await waitForStatus(job.id, JOB_STATUS.COMPLETED);
+    });
+
+    it('marks a job failed with the extraction error', async () => {
+      extractionService.extractFromStorage.mockRejectedValue(new Error('PDF extraction failed: bad xref'));
+
+      const job = await submit();
+
+      const failed = await waitForStatus(job.id, JOB_STATUS.FAILED);
+      expect(failed).toMatchObject({ stage: 'failed', error: 'PDF extraction failed: bad xref', result: null });
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('aborts a running extraction and keeps the job cancelled', async () => {
+      extractUntilAborted();
+
+      const job = await submit();
+      await waitForStatus(job.id, JOB_STATUS.RUNNING);
+
+      const cancelled = await jobService.cancelJob(job.id);
+      expect(cancelled.status).toBe(JOB_STATUS.CANCELLED);
+
+      const { signal } = extractionService.extractFromStorage.mock.calls[0][2];
+      expect(signal.aborted).toBe(true);
+
+      // The aborted run must not turn the job into a failure afterwards
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(jobRow(job.id)).toMatchObject({ status: JOB_STATUS.CANCELLED, stage: 'cancelled', error: null });
+      expect(jobService.controllers.has(job.id)).toBe(false);
+    });
+
+    it('publishes the cancellation to event stream listeners', async () => {
+      extractUntilAborted();
+
+      const job = await submit();
+      await waitForStatus(job.id, JOB_STATUS.RUNNING);
+
+      const events = [];
+      const unsubscribe = progressService.subscribe(job.id, event => events.push(event));
+      await jobService.cancelJob(job.id);
+      unsubscribe();
+
+      expect(events).toContainEqual(expect.objectContaining({ status: JOB_STATUS.CANCELLED, stage: 'cancelled' }));
+    });
+
+    it('leaves finished jobs untouched', async () => {
+      extractionService.extractFromStorage.mockResolvedValue({ text: 'Done', metadata: {} });
+
+      const job = await submit();
+      await waitForStatus(job.id, JOB_STATUS.COMPLETED);
+
+      const result = await jobService.cancelJob(job.id);
+
+      expect(result.status).toBe(JOB_STATUS.COMPLETED);
+      expect(jobRow(job.id).result).toEqual({ text: 'Done', metadata: {} });
+    });
+
+    it('returns null for unknown jobs', async () => {
+      await expect(jobService.cancelJob('6f1c2f0e-8a3b-4c1d-9a7e-2b5d4f3c1a90')).resolves.toBeNull();
+    });
+  });
+
+  describe('createStageReporter', () => {
+    it('publishes stage changes and only moves progress forward', async () => {
+      supabase.tables.extraction_jobs = [{ id: 'job-1', status: JOB_STATUS.RUNNING }];
+      const events = [];
+      const unsubscribe = progressService.subscribe('job-1', event => events.push(event));
+
+      const report = jobService.createStageReporter('job-1');
+      await report('recognizing', 30);
+      await report('recognizing', 45);
+      await report('recognizing', 40);
+      await report('post-processing', 90);
+      unsubscribe();
+
+      expect(events.map(event => [event.stage, event.progress])).toEqual([
+        ['recognizing', 30],
+        ['recognizing', 45],
+        ['post-processing', 90],
+      ]);
+      expect(jobRow('job-1')).toMatchObject({ stage: 'post-processing', progress: 90 });
+    });
+  });
+
+  describe('canAccess', () => {
+    it('opens anonymous jobs to anyone and owned jobs to their owner only', () => {
+      expect(jobService.canAccess({ user_id: null }, undefined)).toBe(true);
+      expect(jobService.canAccess({ user_id: 'user-1' }, { id: 'user-1' })).toBe(true);
+      expect(jobService.canAccess({ user_id: 'user-1' }, { id: 'user-2' })).toBe(false);
+      expect(jobService.canAccess({ user_id: 'user-1' }, undefined)).toBe(false);
+    });
+  });
+
+  describe('resumePendingJobs', () => {
+    it('requeues jobs interrupted by a restart', async () => {
+      extractionService.extractFromStorage.mockResolvedValue({ text: 'Resumed', metadata: {} });
+      supabase.tables.extraction_jobs = [
+        { id: 'job-running', status: JOB_STATUS.RUNNING, stage: 'recognizing', progress: 50, storage_path: 'a.txt', mimetype: 'text/plain', options: {} },
+        { id: 'job-done', status: JOB_STATUS.COMPLETED, stage: 'completed', progress: 100 },
+      ];
+
+      await expect(jobService.resumePendingJobs()).resolves.toBe(1);
+
+      await waitForStatus('job-running', JOB_STATUS.COMPLETED);
+      expect(jobRow('job-running').result).toEqual({ text: 'Resumed', metadata: {} });
+      expect(jobRow('job-done').result).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,85 @@
+jest.mock('../../services/ocr-worker-pool', () => ({ recognize: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const ocrWorkerPool = require('../../services/ocr-worker-pool');
+const ocrService = require('../../services/ocr-service');
+const { createOcrData } = require('../helpers/ocr');
+
+describe('ocr-service', () => {
+  let directory;
+  let imagePath;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ocr-service-'));
+    imagePath = path.join(directory, 'scan.png');
+    await sharp({ create: { width: 300, height: 120, channels: 3, background: '#ffffff' } }).png().toFile(imagePath);
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    ocrWorkerPool.recognize.mockResolvedValue({
+      data: createOcrData([[['Invoice', 96.4], ['42', 91.2]], [['Total:', 88], ['€10', 12]]]),
+    });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('structured output', () => {
+    it('returns blocks, paragraphs, lines and words with their boxes', async () => {
+      const result = await ocrService.extractText(imagePath, { preprocess: 'none', output: 'structured' });
+      const [block] = result.structured.blocks;
+      const [paragraph] = block.paragraphs;
+      const [firstLine] = paragraph.lines;
+
+      expect(block).toMatchObject({ blockType: 'FLOWING_TEXT', bbox: { x0: 10, y0: 10, x1: 120, y1: 60 } });
+      expect(paragraph.lines.map(line => line.text)).toEqual(['Invoice 42', 'Total: €10']);
+      expect(firstLine).toMatchObject({
+        confidence: 94,
+        bbox: { x0: 10, y0: 10, x1: 120, y1: 30 },
+        baseline: { x0: 10, y0: 26, x1: 120, y1: 26 },
+      });
+      expect(firstLine.words).toEqual([
+        { text: 'Invoice', confidence: 96, bbox: { x0: 10, y0: 10, x1: 60, y1: 30 }, baseline: null },
+        { text: '42', confidence: 91, bbox: { x0: 70, y0: 10, x1: 120, y1: 30 }, baseline: null },
+      ]);
+    });
+
+    it('counts the layout elements in the metadata', async () => {
+      const result = await ocrService.extractText(imagePath, { preprocess: 'none' });
+
+      expect(result.metadata).toMatchObject({ blocks: 1, paragraphs: 1, lines: 2, words: 4 });
+      expect(result.structured).toBeUndefined();
+    });
+  });
+
+  describe('confidence filtering', () => {
+    it('leaves out words below the minimum confidence', async () => {
+      const result = await ocrService.extractText(imagePath, { preprocess: 'none' });
+
+      expect(result.text).toBe('Invoice 42 Total:');
+      expect(result.metadata).toMatchObject({ confidence: 72, minConfidence: 30 });
+      expect(result.metadata.belowMinConfidence).toBeUndefined();
+    });
+
+    it('keeps the unfiltered text when no word is confident enough', async () => {
+      const result = await ocrService.extractText(imagePath, { preprocess: 'none', minConfidence: 99 });
+
+      expect(result.text).toBe('Invoice 42\nTotal: €10');
+      expect(result.metadata.belowMinConfidence).toBe(true);
+    });
+  });
+
+  it('recognizes with the requested languages', async () => {
+    await ocrService.extractText(imagePath, { preprocess: 'none', languages: 'eng+deu' });
+
+    expect(ocrWorkerPool.recognize).toHaveBeenCalledWith(imagePath, 'eng+deu', expect.any(Object));
+  });
+});
@@ -0,0 +1,144 @@
+// Tesseract workers are replaced by fakes whose recognitions finish when
+// the test says so
+const mockWorkers = [];
+
+jest.mock('tesseract.js', () => ({
+  createWorker: jest.fn((languages, oem, { logger }) => {
+    const worker = {
+      logger,
+      languages: null,
+      pending: [],
+      unavailable: new Set(),
+      reinitialize: jest.fn((next) => {
+        if (worker.unavailable.has(next)) return Promise.reject(new Error('network error'));
+        worker.languages = next;
+        return Promise.resolve();
+      }),
+      recognize: jest.fn((image, options, output, jobId) => new Promise((resolve, reject) => {
+        worker.pending.push({ image, jobId, resolve, reject });
+      })),
+      terminate: jest.fn(async () => {}),
+    };
+    mockWorkers.push(worker);
+    return Promise.resolve(worker);
+  }),
+}));
+
+const { createWorker } = require('tesseract.js');
+
+// Let queued promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ocr-worker-pool', () => {
+  let pool;
+
+  beforeEach(() => {
+    mockWorkers.length = 0;
+    createWorker.mockClear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.isolateModules(() => {
+      pool = require('../../services/ocr-worker-pool');
+    });
+  });
+
+  afterEach(async () => {
+    await pool.terminate();
+    jest.restoreAllMocks();
+  });
+
+  it('starts every worker with the configured languages', async () => {
+    await expect(pool.start()).resolves.toBe(pool.size);
+
+    expect(mockWorkers.map(worker => worker.languages)).toEqual(Array(pool.size).fill(pool.languages));
+    expect(pool.getStats()).toMatchObject({ idle: pool.size, busy: 0, utilization: 0, queueDepth: 0 });
+  });
+
+  it('queues jobs while every worker is busy', async () => {
+    await pool.start();
+
+    const jobs = ['a.png', 'b.png', 'c.png'].map(image => pool.recognize(image, 'eng'));
+    await settle();
+
+    expect(pool.getStats()).toMatchObject({ busy: 2, utilization: 1, queueDepth: 1 });
+
+    mockWorkers[0].pending[0].resolve({ data: { text: 'A' } });
+    await expect(jobs[0]).resolves.toEqual({ data: { text: 'A' } });
+    await settle();
+
+    // The freed worker takes the queued job
+    expect(mockWorkers[0].pending[1].image).toBe('c.png');
+    expect(pool.getStats()).toMatchObject({ queueDepth: 0, completedJobs: 1 });
+  });
+
+  it('prefers a worker that has the languages of the job', async () => {
+    await pool.start();
+    pool.workers[1].languages = 'deu';
+
+    pool.recognize('scan.png', 'deu');
+    await settle();
+
+    expect(mockWorkers[0].pending).toHaveLength(0);
+    expect(mockWorkers[1].pending).toHaveLength(1);
+    expect(mockWorkers[1].reinitialize).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails the job and replaces the worker when languages cannot be loaded', async () => {
+    await pool.start();
+    mockWorkers.forEach(worker => worker.unavailable.add('xyz'));
+
+    await expect(pool.recognize('scan.png', 'xyz'))
+      .rejects.toThrow('Could not load OCR language data for xyz: network error');
+
+    expect(mockWorkers[0].terminate).toHaveBeenCalled();
+    expect(pool.getStats()).toMatchObject({ failedJobs: 1, lastError: { message: 'network error', languages: 'xyz' } });
+    expect(pool.workers).toHaveLength(pool.size - 1);
+
+    // The next job starts a new worker in its place
+    pool.recognize('next.png', 'eng');
+    pool.recognize('other.png', 'eng');
+    await settle();
+
+    expect(createWorker).toHaveBeenCalledTimes(pool.size + 1);
+    expect(pool.workers).toHaveLength(pool.size);
+  });
+
+  it('reports the progress of each job to its own caller', async () => {
+    await pool.start();
+    const onProgress = jest.fn();
+
+    pool.recognize('scan.png', 'eng', { onProgress });
+    await settle();
+
+    const { jobId } = mockWorkers[0].pending[0];
+    mockWorkers[0].logger({ userJobId: jobId, status: 'loading language traineddata', progress: 1 });
+    mockWorkers[0].logger({ userJobId: jobId, status: 'recognizing text', progress: 0.5 });
+    mockWorkers[0].logger({ userJobId: 'ocr-other', status: 'recognizing text', progress: 0.9 });
+
+    expect(onProgress.mock.calls).toEqual([[0.5]]);
+  });
+
+  it('counts failed recognitions against their worker', async () => {
+    await pool.start();
+
+    const job = pool.recognize('broken.png', 'eng');
+    await settle();
+    mockWorkers[0].pending[0].reject('Error attempting to read image.');
+
+    await expect(job).rejects.toThrow('Error attempting to read image.');
+    expect(pool.getStats().workers[0]).toMatchObject({ jobsFailed: 1, lastError: 'Error attempting to read image.' });
+  });
+
+  it('rejects queued jobs when it is shut down', async () => {
+    await pool.start();
+
+    pool.recognize('a.png', 'eng');
+    pool.recognize('b.png', 'eng');
+    const queued = pool.recognize('c.png', 'eng');
+
+    await pool.terminate();
+
+    await expect(queued).rejects.toThrow('OCR worker pool was shut down');
+    mockWorkers.forEach(worker => expect(worker.terminate).toHaveBeenCalled());
+  });
+});
@@ -0,0 +1,255 @@
+// Rendering and OCR are replaced: every rendered page is OCRed to the text
+// the test gives for it
+jest.mock('pdf-to-png-converter', () => ({ pdfToPng: jest.fn() }));
+jest.mock('../../services/ocr-service', () => ({ extractText: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pdfToPng } = require('pdf-to-png-converter');
+const ocrService = require('../../services/ocr-service');
+const pdfService = require('../../services/pdf-service');
+const { createPdf, textLines } = require('../helpers/pdf');
+
+const TEXT_PAGE = textLines(['Chapter one begins here.', 'It has a proper text layer.']);
+const SCANNED_PAGE = [];
+const PAGE_BOX = { x0: 0, y0: 0, x1: 1224, y1: 1584 };
+
+describe('pdf-service', () => {
+  let directory;
+  let ocrTexts;
+
+  const writePdf = (pages) => {
+    const filePath = path.join(directory, 'document.pdf');
+    fs.writeFileSync(filePath, createPdf(pages));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-service-'));
+    ocrTexts = {};
+
+    pdfToPng.mockImplementation((filePath, { pagesToProcess: [page], outputFolder }) => Promise.resolve([
+      { pageNumber: page, path: path.join(outputFolder, `page-${page}.png`), width: 1224, height: 1584 },
+    ]));
+    ocrService.extractText.mockImplementation((imagePath, { output }) => {
+      const page = Number(/page-(\d+)/.exec(imagePath)[1]);
+      if (ocrTexts[page] instanceof Error) return Promise.reject(ocrTexts[page]);
+
+      return Promise.resolve({
+        text: ocrTexts[page] || '',
+        metadata: { confidence: 80 + page, preprocessing: { applied: [] } },
+        ...(output === 'structured' && { structured: { blocks: [{ text: ocrTexts[page], bbox: PAGE_BOX, paragraphs: [] }] } }),
+      });
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  describe('OCR fallback', () => {
+    it('OCRs only the pages without a text layer', async () => {
+      ocrTexts[2] = 'Scanned page text.';
+      const filePath = writePdf([TEXT_PAGE, SCANNED_PAGE]);
+
+      const result = await pdfService.extractText(filePath);
+
+      expect(pdfToPng).toHaveBeenCalledTimes(1);
+      expect(pdfToPng.mock.calls[0][1]).toMatchObject({ pagesToProcess: [2], viewportScale: 2 });
+      expect(result.pages.map(page => [page.page, page.source, page.confidence])).toEqual([
+        [1, 'text', null],
+        [2, 'ocr', 82],
+      ]);
+      expect(result.text).toBe('Chapter one begins here.\nIt has a proper text layer.\n\nScanned page text.');
+      expect(result.metadata).toMatchObject({ mode: 'auto', ocrPages: [2], ocrConfidence: 82, ocrSkippedPages: 0 });
+    });
+
+    it('passes the rendering resolution and request options to OCR', async () => {
+      ocrTexts[1] = 'Scanned.';
+      const filePath = writePdf([SCANNED_PAGE]);
+
+      await pdfService.extractText(filePath, { languages: 'deu', preprocess: 'deskew' });
+
+      expect(ocrService.extractText.mock.calls[0][1]).toMatchObject({ languages: 'deu', preprocess: 'none,none,deskew', dpi: 144 });
+    });
+
+    it('keeps a page as text when OCR finds nothing on it', async () => {
+      const filePath = writePdf([TEXT_PAGE, SCANNED_PAGE]);
+
+      const result = await pdfService.extractText(filePath);
+
+      expect(result.pages[1]).toMatchObject({ source: 'text', text: '' });
+      expect(result.metadata.ocrPages).toEqual([]);
+    });
+
+    it('never OCRs in text mode', async () => {
+      const filePath = writePdf([TEXT_PAGE, SCANNED_PAGE]);
+
+      const result = await pdfService.extractText(filePath, { mode: 'text' });
+
+      expect(pdfToPng).not.toHaveBeenCalled();
+      expect(result.metadata.ocrPages).toEqual([]);
+    });
+
+    it('OCRs every page in OCR mode', async () => {
+      ocrTexts[1] = 'Chapter one, as OCRed.';
+      const filePath = writePdf([TEXT_PAGE, SCANNED_PAGE]);
+
+      const result = await pdfService.extractText(filePath, { mode: 'ocr' });
+
+      expect(result.pages.map(page => [page.source, page.text])).toEqual([
+        ['ocr', 'Chapter one, as OCRed.'],
+        ['ocr', ''],
+      ]);
+      expect(result.metadata.ocrPages).toEqual([1, 2]);
+    });
+
+    it('only OCRs pages of the requested range', async () => {
+      ocrTexts[3] = 'Third page.';
+      const filePath = writePdf([SCANNED_PAGE, TEXT_PAGE, SCANNED_PAGE]);
+
+      const result = await pdfService.extractText(filePath, { pages: '2-' });
+
+      expect(pdfToPng.mock.calls.map(([, options]) => options.pagesToProcess)).toEqual([[3]]);
+      expect(result.pages.map(page => page.page)).toEqual([2, 3]);
+      expect(result.metadata.ocrPages).toEqual([3]);
+    });
+
+    it('keeps going when OCR of a page fails', async () => {
+      ocrTexts[1] = new Error('Worker crashed');
+      ocrTexts[2] = 'Second scan.';
+      const filePath = writePdf([SCANNED_PAGE, SCANNED_PAGE]);
+
+      const result = await pdfService.extractText(filePath);
+
+      expect(result.pages[0]).toMatchObject({ source: 'text', error: 'OCR failed: Worker crashed' });
+      expect(result.pages[1]).toMatchObject({ source: 'ocr', text: 'Second scan.' });
+      expect(result.text).toBe('Second scan.');
+    });
+
+    it('removes the rendered pages afterwards', async () => {
+      ocrTexts[1] = 'Scanned.';
+      const before = fs.existsSync(pdfService.tempDir) ? fs.readdirSync(pdfService.tempDir) : [];
+
+      await pdfService.extractText(writePdf([SCANNED_PAGE]));
+
+      expect(fs.readdirSync(pdfService.tempDir)).toEqual(before);
+    });
+  });
+
+  describe('structured output', () => {
+    it('returns the OCR layout of every OCRed page in pixels of its image', async () => {
+      ocrTexts[2] = 'Scanned page text.';
+      const filePath = writePdf([TEXT_PAGE, SCANNED_PAGE]);
+
+      const result = await pdfService.extractText(filePath, { output: 'structured' });
+
+      expect(ocrService.extractText.mock.calls[0][1].output).toBe('structured');
+      expect(result.structured).toEqual({
+        pages: [{ page: 2, width: 1224, height: 1584, blocks: [{ text: 'Scanned page text.', bbox: PAGE_BOX, paragraphs: [] }] }],
+      });
+    });
+  });
+
+  describe('hOCR and ALTO', () => {
+    it('OCRs every page, including those with a text layer', async () => {
+      ocrTexts[1] = 'Chapter one, as OCRed.';
+      ocrTexts[2] = 'Scanned page text.';
+      const filePath = writePdf([TEXT_PAGE, SCANNED_PAGE]);
+
+      const result = await pdfService.extractText(filePath, { output: 'alto' });
+
+      expect(pdfToPng.mock.calls.map(([, options]) => options.pagesToProcess)).toEqual([[1], [2]]);
+      expect(ocrService.extractText.mock.calls[0][1].output).toBe('structured');
+      expect(result.metadata).toMatchObject({ mode: 'ocr', ocrPages: [1, 2] });
+      expect(result.ocrDocument).toMatchObject({ format: 'alto', mimeType: 'application/xml' });
+      expect(result.ocrDocument.content.match(/<Page /g)).toHaveLength(2);
+    });
+  });
+
+  describe('table detection', () => {
+    // Cells of each row placed at the x positions of their columns
+    const tableItems = (rows, columns, { top = 600, leading = 16 } = {}) => rows.flatMap((cells, row) =>
+      cells.map((text, column) => ({ text, x: columns[column], y: top - row * leading })).filter(item => item.text));
+
+    // Justified lines: every word drawn on its own, spread over the line width
+    const justifiedItems = (lines, { top = 700, leading = 14 } = {}) => lines.flatMap((line, row) => {
+      const words = line.split(' ');
+      const step = 468 / words.length;
+      return words.map((text, index) => ({ text, x: Math.round(72 + index * step), y: top - row * leading }));
+    });
+
+    const PROSE = [
+      'Regular exercise helps strengthen the heart and lungs',
+      'and improves the way the body uses oxygen during effort',
+      'which is why trained athletes recover faster after a race',
+      'than people who only exercise once in a while or never',
+    ];
+
+    it('finds a table whose columns line up', async () => {
+      const filePath = writePdf([tableItems([
+        ['Item', 'Quantity', 'Price'],
+        ['Apples', '12', '3.60'],
+        ['Pears', '', '2.10'],
+        ['Plums', '40', '8.00'],
+      ], [72, 220, 360])]);
+
+      const result = await pdfService.extractText(filePath, { tables: 'json' });
+
+      expect(result.tables).toHaveLength(1);
+      expect(result.tables[0].rows).toEqual([
+        ['Item', 'Quantity', 'Price'],
+        ['Apples', '12', '3.60'],
+        ['Pears', '', '2.10'],
+        ['Plums', '40', '8.00'],
+      ]);
+      expect(result.tables[0].position.page).toBe(1);
+    });
+
+    it('does not take justified running text for a table', async () => {
+      const filePath = writePdf([justifiedItems(PROSE)]);
+
+      const result = await pdfService.extractText(filePath, { tables: 'json' });
+
+      expect(result.text).toContain('Regular');
+      expect(result.tables).toEqual([]);
+    });
+
+    it('does not take a numbered list for a table', async () => {
+      const filePath = writePdf([tableItems([
+        ['1.', 'Sevim Y. Antrenman Bilgisi. Nobel Yayin Dagitim, Ankara,'],
+        ['', '2007.'],
+        ['2.', 'Gunay M., Tamer K., Cicioglu I. Spor Fizyolojisi ve'],
+        ['', 'Performans Olcumu. Gazi Kitabevi, Ankara, 2005.'],
+      ], [72, 100], { leading: 12 })]);
+
+      const result = await pdfService.extractText(filePath, { tables: 'json' });
+
+      expect(result.tables).toEqual([]);
+    });
+
+    it('does not take two-line running headers for a table', async () => {
+      const filePath = writePdf([tableItems([
+        ['Effect of exercise in footballers', 'June 2009'],
+        ['Vol: 39', 'No: 3'],
+      ], [72, 400])]);
+
+      const result = await pdfService.extractText(filePath, { tables: 'json' });
+
+      expect(result.tables).toEqual([]);
+    });
+
+    it('only finds the real tables of an article', async () => {
+      const filePath = require.resolve('pdf-parse/test/data/04-valid.pdf');
+
+      const result = await pdfService.extractText(filePath, { mode: 'text', tables: 'json' });
+
+      expect(result.tables.map(table => [table.position.page, table.rows.length, table.rows[0].length])).toEqual([
+        [3, 4, 5],
+        [3, 3, 6],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createZip } = require('../helpers/zip');
+const pptxService = require('../../services/pptx-service');
+
+const NAMESPACES = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+  + 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+const RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+const shape = (text, placeholder) => `<p:sp><p:nvSpPr><p:nvPr>${placeholder ? `<p:ph type="${placeholder}"/>` : ''}</p:nvPr></p:nvSpPr>`
+  + `<p:txBody><a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp>`;
+
+const shapeTree = shapes => `<p:cSld><p:spTree>${shapes.join('')}</p:spTree></p:cSld>`;
+
+const relationships = rels => '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+  + rels.map(([id, type, target]) => `<Relationship Id="${id}" Type="${RELATIONSHIP_TYPE}/${type}" Target="${target}"/>`).join('')
+  + '</Relationships>';
+
+// Build a presentation whose slide parts are numbered by `files` but ordered
+// by `order`, the way PowerPoint leaves them after slides are moved
+const createPresentation = (slides, order) => {
+  const files = {
+    'ppt/presentation.xml': `<p:presentation ${NAMESPACES}><p:sldIdLst>`
+      + order.map((number, index) => `<p:sldId id="${256 + index}" r:id="rId${number}"/>`).join('')
+      + '</p:sldIdLst></p:presentation>',
+    'ppt/_rels/presentation.xml.rels': relationships(slides.map((slide, index) => [`rId${index + 1}`, 'slide', `slides/slide${index + 1}.xml`])),
+  };
+
+  slides.forEach((slide, index) => {
+    const number = index + 1;
+    files[`ppt/slides/slide${number}.xml`] = `<p:sld ${NAMESPACES}>${shapeTree(slide.shapes)}</p:sld>`;
+
+    if (slide.notes) {
+      files[`ppt/slides/_rels/slide${number}.xml.rels`] = relationships([['rId1', 'notesSlide', `../notesSlides/notesSlide${number}.xml`]]);
+      files[`ppt/notesSlides/notesSlide${number}.xml`] = `<p:notes ${NAMESPACES}>`
+        + shapeTree([shape('', 'sldImg'), shape(slide.notes, 'body'), shape(String(number), 'sldNum')])
+        + '</p:notes>';
+    }
+  });
+
+  return createZip(files);
+};
+
+describe('pptx-service', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pptx-service-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const writePresentation = (slides, order) => {
+    const filePath = path.join(directory, 'deck.pptx');
+    fs.writeFileSync(filePath, createPresentation(slides, order));
+    return filePath;
+  };
+
+  it('reads slides in presentation order, not part order', async () => {
+    const filePath = writePresentation([
+      { shapes: [shape('Closing', 'title'), shape('Thanks')] },
+      { shapes: [shape('Welcome', 'ctrTitle'), shape('Agenda')] },
+    ], [2, 1]);
+
+    const result = await pptxService.extractText(filePath);
+
+    expect(result.text).toBe('Slide 1: Welcome\nAgenda\n\nSlide 2: Closing\nThanks');
+    expect(result.metadata).toMatchObject({ slideCount: 2, slideTitles: ['Welcome', 'Closing'], slidesWithNotes: 0 });
+  });
+
+  it('adds speaker notes without the notes page furniture', async () => {
+    const filePath = writePresentation([
+      { shapes: [shape('Results', 'title'), shape('Revenue grew'), shape('3', 'sldNum')], notes: 'Mention the new region' },
+    ], [1]);
+
+    const result = await pptxService.extractText(filePath, { output: 'structured' });
+
+    expect(result.text).toBe('Slide 1: Results\nRevenue grew\nNotes:\nMention the new region');
+    expect(result.metadata.slidesWithNotes).toBe(1);
+    expect(result.structured.slides).toEqual([
+      { slide: 1, title: 'Results', text: 'Revenue grew', notes: 'Mention the new region' },
+    ]);
+  });
+
+  it('skips slides the presentation does not list', async () => {
+    const filePath = writePresentation([
+      { shapes: [shape('Kept', 'title')] },
+      { shapes: [shape('Hidden draft', 'title')] },
+    ], [1]);
+
+    const result = await pptxService.extractText(filePath);
+
+    expect(result.text).toBe('Slide 1: Kept');
+  });
+
+  it('rejects an archive without a presentation', async () => {
+    const filePath = path.join(directory, 'other.pptx');
+    fs.writeFileSync(filePath, createZip({ 'word/document.xml': '<w:document/>' }));
+
+    await expect(pptxService.extractText(filePath)).rejects.toThrow('Presentation extraction failed: File is not a valid PowerPoint presentation');
+  });
+});
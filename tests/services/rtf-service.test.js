@@ -0,0 +1,67 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rtfService = require('../../services/rtf-service');
+
+describe('rtf-service', () => {
+  describe('parse', () => {
+    it('keeps body text and paragraph breaks', () => {
+      const { text } = rtfService.parse('{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\colortbl;\\red0\\green0\\blue0;}\\f0 First \\b paragraph\\b0.\\par Second\\tab line.}');
+      expect(text).toBe('First paragraph.\nSecond\tline.');
+    });
+
+    it('skips headers, footers, footnotes and ignorable destinations', () => {
+      const { text } = rtfService.parse('{\\rtf1{\\header Page header}{\\footer Page footer}Body{\\footnote A note} text.{\\*\\generator Writer;}}');
+      expect(text).toBe('Body text.');
+    });
+
+    it('reads the document properties from the info group', () => {
+      const { text, info } = rtfService.parse('{\\rtf1{\\info{\\title Annual Report}{\\author Jo Smith}}Body.}');
+      expect(info).toEqual({ title: 'Annual Report', author: 'Jo Smith' });
+      expect(text).toBe('Body.');
+    });
+
+    it('decodes hex escapes in the declared code page', () => {
+      expect(rtfService.parse('{\\rtf1\\ansi\\ansicpg1252 Caf\\\'e9}')).toMatchObject({ text: 'Café', codepage: 'windows-1252' });
+      expect(rtfService.parse('{\\rtf1\\ansi\\ansicpg1251 \\\'cf\\\'f0\\\'e8\\\'e2\\\'e5\\\'f2}')).toMatchObject({ text: 'Привет', codepage: 'windows-1251' });
+    });
+
+    it('decodes Unicode escapes and skips their fallback characters', () => {
+      expect(rtfService.parse('{\\rtf1\\uc1 \\u8364?5 and \\u-3913?}').text).toBe('€5 and ');
+      expect(rtfService.parse('{\\rtf1\\uc2 \\u8212\\\'97\\\'97 end}').text).toBe('— end');
+    });
+
+    it('maps typographic control words', () => {
+      expect(rtfService.parse('{\\rtf1 \\ldblquote Hi\\rdblquote  \\emdash  ok}').text).toBe('“Hi” — ok');
+    });
+  });
+
+  describe('extractText', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rtf-service-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('returns the text with the code page as its encoding', async () => {
+      const filePath = path.join(directory, 'letter.rtf');
+      fs.writeFileSync(filePath, '{\\rtf1\\ansi\\ansicpg1252{\\info{\\title Letter}}Dear Ren\\\'e9e,\\par Thanks.}', 'latin1');
+
+      const result = await rtfService.extractText(filePath);
+
+      expect(result.text).toBe('Dear Renée,\nThanks.');
+      expect(result.metadata).toEqual({ title: 'Letter', encoding: 'windows-1252' });
+    });
+
+    it('rejects a file that is not RTF', async () => {
+      const filePath = path.join(directory, 'fake.rtf');
+      fs.writeFileSync(filePath, 'Plain text');
+
+      await expect(rtfService.extractText(filePath)).rejects.toThrow('RTF extraction failed: File is not a valid RTF document');
+    });
+  });
+});
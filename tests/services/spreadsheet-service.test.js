@@ -0,0 +1,102 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const XLSX = require('xlsx');
+const spreadsheetService = require('../../services/spreadsheet-service');
+
+// Write a workbook of `{ name: sheet }` to an .xlsx file
+const writeWorkbook = (filePath, sheets) => {
+  const workbook = XLSX.utils.book_new();
+  for (const [name, sheet] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(workbook, sheet, name);
+  }
+  fs.writeFileSync(filePath, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+};
+
+describe('spreadsheet-service', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'spreadsheet-service-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('readSheet', () => {
+    it('limits the range to the cells with values', () => {
+      const sheet = XLSX.utils.aoa_to_sheet([
+        [null, null, null],
+        [null, 'Name', 'Score'],
+        [null, 'Ada', 10],
+      ]);
+      // Formatted but empty cells stretch the stored range
+      sheet.E9 = { t: 's', v: '' };
+      sheet['!ref'] = 'A1:E9';
+
+      const result = spreadsheetService.readSheet('Scores', sheet);
+
+      expect(result).toMatchObject({ range: 'B2:C3', rowCount: 2, columnCount: 2 });
+      expect(result.rows).toEqual([['Name', 'Score'], ['Ada', 10]]);
+      expect(result.text).toBe('Name\tScore\nAda\t10');
+    });
+
+    it('shows a merged value once in the text and in every cell of the rows', () => {
+      const sheet = XLSX.utils.aoa_to_sheet([
+        ['Region', null, 'Total'],
+        ['North', 'South', 30],
+      ]);
+      sheet['!merges'] = [XLSX.utils.decode_range('A1:B1')];
+
+      const result = spreadsheetService.readSheet('Sales', sheet);
+
+      expect(result.mergedRanges).toEqual(['A1:B1']);
+      expect(result.rows[0]).toEqual(['Region', 'Region', 'Total']);
+      expect(result.text.split('\n')[0]).toBe('Region\t\tTotal');
+    });
+
+    it('counts formulas and keeps their cached values', () => {
+      const sheet = XLSX.utils.aoa_to_sheet([[1, 2, { t: 'n', v: 3, f: 'A1+B1' }]]);
+
+      const result = spreadsheetService.readSheet('Sums', sheet);
+
+      expect(result.formulaCount).toBe(1);
+      expect(result.rows).toEqual([[1, 2, 3]]);
+    });
+
+    it('returns an empty sheet without a range', () => {
+      expect(spreadsheetService.readSheet('Blank', {})).toMatchObject({ range: null, rowCount: 0, text: '' });
+    });
+  });
+
+  describe('extractText', () => {
+    it('reads every sheet in order with its used range', async () => {
+      const filePath = path.join(directory, 'book.xlsx');
+      const merged = XLSX.utils.aoa_to_sheet([['Quarter', null], ['Q1', 'Q2']]);
+      merged['!merges'] = [XLSX.utils.decode_range('A1:B1')];
+      writeWorkbook(filePath, {
+        Summary: XLSX.utils.aoa_to_sheet([['Total', 42]]),
+        Quarters: merged,
+      });
+
+      const result = await spreadsheetService.extractText(filePath, { output: 'structured' });
+
+      expect(result.text).toBe('Sheet: Summary (A1:B1)\nTotal\t42\n\nSheet: Quarters (A1:B2)\nQuarter\nQ1\tQ2');
+      expect(result.metadata.sheets.map(sheet => [sheet.name, sheet.range, sheet.mergedRanges])).toEqual([
+        ['Summary', 'A1:B1', 0],
+        ['Quarters', 'A1:B2', 1],
+      ]);
+      expect(result.structured.sheets[1].rows).toEqual([['Quarter', 'Quarter'], ['Q1', 'Q2']]);
+    });
+
+    it('decodes a CSV file before parsing it', async () => {
+      const filePath = path.join(directory, 'names.csv');
+      fs.writeFileSync(filePath, Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Name,City\nZoë,Kraków\n', 'utf16le')]));
+
+      const result = await spreadsheetService.extractText(filePath);
+
+      expect(result.text).toBe('Sheet: Sheet1 (A1:B2)\nName\tCity\nZoë\tKraków');
+    });
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock('../../config/supabase', () => require('../helpers/supabase').createSupabase());
+
+const supabase = require('../../config/supabase');
+const storageService = require('../../services/storage-service');
+
+describe('storage-service', () => {
+  describe('initializeBucket', () => {
+    beforeEach(() => {
+      jest.spyOn(supabase.storage, 'createBucket');
+      jest.spyOn(supabase.storage, 'updateBucket');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('creates a missing bucket for every supported file type', async () => {
+      jest.spyOn(supabase.storage, 'listBuckets').mockResolvedValue({ data: [], error: null });
+
+      await expect(storageService.initializeBucket()).resolves.toBe(true);
+
+      const [name, options] = supabase.storage.createBucket.mock.calls[0];
+      expect(name).toBe(storageService.bucketName);
+      expect(options.public).toBe(false);
+      expect(options.allowedMimeTypes).toEqual(expect.arrayContaining([
+        'application/pdf',
+        'text/markdown',
+        'application/rtf',
+        'text/csv',
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/zip',
+        'message/rfc822',
+        'application/vnd.ms-outlook',
+      ]));
+      expect(options.fileSizeLimit).toBe(10 * 1024 * 1024);
+      expect(supabase.storage.updateBucket).not.toHaveBeenCalled();
+    });
+
+    it('updates the settings of an existing bucket', async () => {
+      jest.spyOn(supabase.storage, 'listBuckets').mockResolvedValue({ data: [{ name: storageService.bucketName }], error: null });
+
+      await expect(storageService.initializeBucket()).resolves.toBe(true);
+
+      expect(supabase.storage.createBucket).not.toHaveBeenCalled();
+      expect(supabase.storage.updateBucket).toHaveBeenCalledWith(storageService.bucketName, storageService.getBucketOptions());
+    });
+
+    it('reports a bucket that cannot be updated', async () => {
+      jest.spyOn(supabase.storage, 'listBuckets').mockResolvedValue({ data: [{ name: storageService.bucketName }], error: null });
+      supabase.storage.updateBucket.mockResolvedValue({ data: null, error: { message: 'permission denied' } });
+
+      await expect(storageService.initializeBucket()).resolves.toBe(false);
+    });
+  });
+});
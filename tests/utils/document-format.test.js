@@ -0,0 +1,55 @@
+const {
+  needsHtml,
+  textToHtml,
+  sanitizeDocumentHtml,
+  htmlToMarkdown,
+  renderDocument,
+} = require('../../utils/document-format');
+
+describe('document-format', () => {
+  it('only asks extractors for HTML when markup is wanted', () => {
+    expect(needsHtml({ format: 'html' })).toBe(true);
+    expect(needsHtml({ format: 'markdown' })).toBe(true);
+    expect(needsHtml({ format: 'json' })).toBe(false);
+    expect(needsHtml()).toBe(false);
+  });
+
+  it('turns text into escaped paragraphs with line breaks', () => {
+    expect(textToHtml('First <line>\nsecond line\n\n\nNext & last')).toBe('<p>First &lt;line&gt;<br>second line</p>\n<p>Next &amp; last</p>');
+  });
+
+  it('removes scripts, images, handlers and unsafe links from HTML', () => {
+    const html = '<h1 onclick="steal()">Title</h1><script>alert(1)</script><img src="data:image/png;base64,AAAA">'
+      + '<a href="javascript:alert(1)">bad</a> <a href="https://example.com" target="_blank">good</a>';
+
+    expect(sanitizeDocumentHtml(html)).toBe('<h1>Title</h1><a>bad</a> <a href="https://example.com">good</a>');
+  });
+
+  it('converts HTML to Markdown without letting text become markup', () => {
+    expect(htmlToMarkdown('<h2>Totals</h2><ul><li>a &lt;b&gt; c</li></ul><table><tr><th>A</th></tr><tr><td>1</td></tr></table>'))
+      .toBe('## Totals\n\n-   a \\<b> c\n\n| A |\n| --- |\n| 1 |');
+  });
+
+  describe('renderDocument', () => {
+    const result = { text: 'Plain text.', html: '<h1>Heading</h1><p>Body</p>' };
+
+    it('renders each format with its content type', () => {
+      expect(renderDocument(result, 'text')).toEqual({ contentType: 'text/plain', content: 'Plain text.' });
+      expect(renderDocument(result, 'html')).toEqual({ contentType: 'text/html', content: '<h1>Heading</h1><p>Body</p>' });
+      expect(renderDocument(result, 'markdown')).toEqual({ contentType: 'text/markdown', content: '# Heading\n\nBody' });
+    });
+
+    it('prefers the Markdown of the source', () => {
+      expect(renderDocument({ ...result, markdown: '# Source' }, 'markdown').content).toBe('# Source');
+    });
+
+    it('falls back to the text without markup of the result', () => {
+      expect(renderDocument({ text: 'One\n\nTwo' }, 'html').content).toBe('<p>One</p>\n<p>Two</p>');
+      expect(renderDocument({ text: 'One\n\nTwo' }, 'markdown').content).toBe('One\n\nTwo');
+    });
+
+    it('rejects unknown formats', () => {
+      expect(() => renderDocument(result, 'pdf')).toThrow('Unknown document format: pdf');
+    });
+  });
+});
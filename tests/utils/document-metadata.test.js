@@ -0,0 +1,83 @@
+const { toIsoDate, normalizeMetadata } = require('../../utils/document-metadata');
+
+const EMPTY = {
+  title: null,
+  author: null,
+  subject: null,
+  keywords: null,
+  created: null,
+  modified: null,
+  pageCount: null,
+  language: null,
+  producer: null,
+  application: null,
+  image: null,
+};
+
+describe('document-metadata', () => {
+  describe('toIsoDate', () => {
+    it('accepts dates and parseable strings', () => {
+      expect(toIsoDate(new Date(Date.UTC(2026, 0, 31, 15, 45)))).toBe('2026-01-31T15:45:00.000Z');
+      expect(toIsoDate('2026-01-31T16:45:00+01:00')).toBe('2026-01-31T15:45:00.000Z');
+    });
+
+    it('returns null for missing and invalid dates', () => {
+      expect(toIsoDate(undefined)).toBeNull();
+      expect(toIsoDate('')).toBeNull();
+      expect(toIsoDate('not a date')).toBeNull();
+    });
+  });
+
+  describe('normalizeMetadata', () => {
+    it('has every field, null when the format does not have it', () => {
+      expect(normalizeMetadata()).toEqual(EMPTY);
+    });
+
+    it('cleans the values services report', () => {
+      expect(normalizeMetadata({
+        title: '  Annual report\0 ',
+        author: '',
+        keywords: 'finance, 2026',
+        created: '2026-03-01T08:00:00Z',
+        modified: 'yesterday',
+        pageCount: '12',
+        producer: 42,
+        unknownField: 'dropped',
+      })).toEqual({
+        ...EMPTY,
+        title: 'Annual report',
+        keywords: 'finance, 2026',
+        created: '2026-03-01T08:00:00.000Z',
+        pageCount: 12,
+        producer: '42',
+      });
+    });
+
+    it('only counts whole non-negative numbers as page counts', () => {
+      expect(normalizeMetadata({ pageCount: -1 }).pageCount).toBeNull();
+      expect(normalizeMetadata({ pageCount: 'many' }).pageCount).toBeNull();
+      expect(normalizeMetadata({ pageCount: 0 }).pageCount).toBe(0);
+    });
+
+    it('normalizes the image fields', () => {
+      const { image } = normalizeMetadata({
+        image: { width: 4000, height: '3000', dpi: { x: 72, y: 72 }, camera: { make: 'Acme', model: null }, takenAt: '2026:13:99' },
+      });
+
+      expect(image).toEqual({
+        width: 4000,
+        height: 3000,
+        dpi: { x: 72, y: 72 },
+        orientation: null,
+        camera: { make: 'Acme', model: null },
+        gps: null,
+        takenAt: null,
+      });
+    });
+
+    it('keeps the format-specific metadata under details', () => {
+      expect(normalizeMetadata({}, { sheetCount: 2 }).details).toEqual({ sheetCount: 2 });
+      expect(normalizeMetadata({})).not.toHaveProperty('details');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const request = require('supertest');
+const { limitedDiskStorage } = require('../../utils/limited-disk-storage');
+
+describe('limited-disk-storage', () => {
+  let directory;
+  let app;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'limited-storage-'));
+
+    const upload = multer({
+      storage: limitedDiskStorage({
+        destination: directory,
+        filename: file => file.originalname,
+        maxFileSize: file => (file.mimetype === 'text/plain' ? 10 : 100),
+        maxTotalSize: 25,
+      }),
+    });
+
+    app = express().post('/upload', upload.array('files'), (req, res) => {
+      res.json(req.files.map(file => ({
+        name: file.originalname,
+        size: file.size,
+        stored: Boolean(file.path) && fs.existsSync(file.path),
+        error: file.error,
+      })));
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('stores files within their limits', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('files', Buffer.from('0123456789'), 'a.txt')
+      .expect(200);
+
+    expect(response.body).toEqual([{ name: 'a.txt', size: 10, stored: true }]);
+    expect(fs.readFileSync(path.join(directory, 'a.txt'), 'utf8')).toBe('0123456789');
+  });
+
+  it('fails a file past the limit of its type without keeping it', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('files', Buffer.from('01234567890'), 'a.txt')
+      .attach('files', Buffer.from('01234567890'), { filename: 'b.csv', contentType: 'text/csv' })
+      .expect(200);
+
+    expect(response.body).toEqual([
+      { name: 'a.txt', size: 11, stored: false, error: 'File exceeds the 10 Bytes size limit for its type' },
+      { name: 'b.csv', size: 11, stored: true },
+    ]);
+    expect(fs.readdirSync(directory)).toEqual(['b.csv']);
+  });
+
+  it('fails the files that take the request past its total', async () => {
+    const response = await request(app)
+      .post('/upload')
+      .attach('files', Buffer.alloc(20, 'a'), { filename: 'a.csv', contentType: 'text/csv' })
+      .attach('files', Buffer.alloc(20, 'b'), { filename: 'b.csv', contentType: 'text/csv' })
+      .attach('files', Buffer.alloc(5, 'c'), { filename: 'c.csv', contentType: 'text/csv' })
+      .expect(200);
+
+    expect(response.body).toEqual([
+      { name: 'a.csv', size: 20, stored: true },
+      { name: 'b.csv', size: 20, stored: false, error: 'Batch exceeds the 25 Bytes total size limit' },
+      { name: 'c.csv', size: 5, stored: true },
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+const { DOMParser } = require('@xmldom/xmldom');
+const { isOcrDocumentFormat, createOcrDocument } = require('../../utils/ocr-document');
+
+const word = (text, confidence, x0, x1) => ({ text, confidence, bbox: { x0, y0: 10, x1, y1: 30 }, baseline: null });
+
+const PAGES = [{
+  page: 1,
+  width: 200,
+  height: 100,
+  blocks: [{
+    text: 'Fish & <Chips>',
+    confidence: 90,
+    bbox: { x0: 10, y0: 10, x1: 150, y1: 30 },
+    baseline: null,
+    blockType: 'FLOWING_TEXT',
+    paragraphs: [{
+      text: 'Fish & <Chips>',
+      confidence: 90,
+      bbox: { x0: 10, y0: 10, x1: 150, y1: 30 },
+      baseline: null,
+      lines: [{
+        text: 'Fish & <Chips>',
+        confidence: 90,
+        bbox: { x0: 10, y0: 10, x1: 150, y1: 30 },
+        baseline: { x0: 10, y0: 26, x1: 150, y1: 26 },
+        words: [word('Fish', 95, 10, 50), word('&', 88, 60, 70), word('<Chips>', 87, 80, 150)],
+      }],
+    }],
+  }],
+}];
+
+const parse = content => new DOMParser().parseFromString(content, 'text/xml');
+
+describe('ocr-document', () => {
+  it('knows the hOCR and ALTO formats', () => {
+    expect(isOcrDocumentFormat('hocr')).toBe(true);
+    expect(isOcrDocumentFormat('alto')).toBe(true);
+    expect(isOcrDocumentFormat('structured')).toBe(false);
+    expect(isOcrDocumentFormat('toString')).toBe(false);
+  });
+
+  describe('hOCR', () => {
+    const document = createOcrDocument('hocr', PAGES, { fileName: 'scan.png' });
+    const spans = className => Array.from(parse(document.content).getElementsByTagName('span'))
+      .filter(span => span.getAttribute('class') === className);
+
+    it('is an XHTML document', () => {
+      expect(document).toMatchObject({ format: 'hocr', mimeType: 'application/xhtml+xml' });
+      expect(parse(document.content).documentElement.localName).toBe('html');
+    });
+
+    it('describes the page with its image and size', () => {
+      expect(document.content).toContain('<div class="ocr_page" id="page_1" title="image &quot;scan.png&quot;; bbox 0 0 200 100; ppageno 0">');
+    });
+
+    it('gives every word its box and confidence, escaped', () => {
+      expect(spans('ocrx_word').map(span => [span.textContent, span.getAttribute('title')])).toEqual([
+        ['Fish', 'bbox 10 10 50 30; x_wconf 95'],
+        ['&', 'bbox 60 10 70 30; x_wconf 88'],
+        ['<Chips>', 'bbox 80 10 150 30; x_wconf 87'],
+      ]);
+    });
+
+    it('gives lines their baseline relative to the bottom left corner', () => {
+      expect(spans('ocr_line')[0].getAttribute('title')).toBe('bbox 10 10 150 30; baseline 0 -4');
+    });
+  });
+
+  describe('ALTO', () => {
+    const document = createOcrDocument('alto', PAGES, { fileName: 'scan.png' });
+    const elements = name => Array.from(parse(document.content).getElementsByTagName(name));
+
+    it('is an ALTO v4 document', () => {
+      expect(document).toMatchObject({ format: 'alto', mimeType: 'application/xml' });
+      expect(parse(document.content).documentElement.namespaceURI).toBe('http://www.loc.gov/standards/alto/ns-v4#');
+      expect(elements('fileName')[0].textContent).toBe('scan.png');
+    });
+
+    it('sizes the page and places blocks, lines and strings on it', () => {
+      expect(elements('Page')[0].getAttribute('WIDTH')).toBe('200');
+      expect(elements('ComposedBlock')).toHaveLength(1);
+      expect(elements('TextBlock')).toHaveLength(1);
+      expect(elements('TextLine')[0].getAttribute('BASELINE')).toBe('10,26 150,26');
+      expect(elements('String').map(string => [
+        string.getAttribute('CONTENT'),
+        string.getAttribute('HPOS'),
+        string.getAttribute('WIDTH'),
+        string.getAttribute('WC'),
+      ])).toEqual([
+        ['Fish', '10', '40', '0.95'],
+        ['&', '60', '10', '0.88'],
+        ['<Chips>', '80', '70', '0.87'],
+      ]);
+    });
+
+    it('puts a space between the words of a line', () => {
+      expect(elements('SP').map(space => [space.getAttribute('HPOS'), space.getAttribute('WIDTH')])).toEqual([
+        ['50', '10'],
+        ['70', '10'],
+      ]);
+    });
+  });
+});
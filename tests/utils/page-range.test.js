@@ -0,0 +1,47 @@
+const { validatePageRange, createPageFilter, getLastPage } = require('../../utils/page-range');
+
+describe('page-range', () => {
+  describe('validatePageRange', () => {
+    it('accepts pages, ranges and open-ended ranges', () => {
+      expect(validatePageRange('1')).toBeNull();
+      expect(validatePageRange('1-3,7')).toBeNull();
+      expect(validatePageRange('2,5-')).toBeNull();
+    });
+
+    it('rejects malformed ranges', () => {
+      expect(validatePageRange('1-3,')).toBe('must be a list of page numbers and ranges such as 1-3,7');
+      expect(validatePageRange('a-b')).toBe('must be a list of page numbers and ranges such as 1-3,7');
+      expect(validatePageRange('1 - 3')).toBe('must be a list of page numbers and ranges such as 1-3,7');
+    });
+
+    it('rejects page 0 and ranges that end before they start', () => {
+      expect(validatePageRange('0-2')).toBe('page numbers start at 1');
+      expect(validatePageRange('5-3')).toBe('range 5-3 ends before it starts');
+    });
+  });
+
+  describe('createPageFilter', () => {
+    it('matches the pages of every range', () => {
+      const includes = createPageFilter('1-3,7');
+      expect([1, 2, 3, 4, 6, 7, 8].filter(includes)).toEqual([1, 2, 3, 7]);
+    });
+
+    it('runs an open-ended range to any page', () => {
+      const includes = createPageFilter('5-');
+      expect(includes(4)).toBe(false);
+      expect(includes(5)).toBe(true);
+      expect(includes(500)).toBe(true);
+    });
+  });
+
+  describe('getLastPage', () => {
+    it('returns the highest page asked for', () => {
+      expect(getLastPage('4,1-2')).toBe(4);
+      expect(getLastPage('9')).toBe(9);
+    });
+
+    it('returns Infinity for an open-ended range', () => {
+      expect(getLastPage('1,3-')).toBe(Infinity);
+    });
+  });
+});
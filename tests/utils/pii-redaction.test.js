@@ -0,0 +1,131 @@
+const {
+  PII_TYPES,
+  validateRedactTypes,
+  resolveRedactTypes,
+  findPii,
+  redactText,
+  redactResult,
+} = require('../../utils/pii-redaction');
+
+const typesIn = text => findPii(text, PII_TYPES).map(finding => finding.type);
+const valuesIn = text => findPii(text, PII_TYPES).map(finding => text.slice(finding.start, finding.end));
+
+describe('pii-redaction', () => {
+  describe('type selection', () => {
+    it('covers every type by default', () => {
+      expect(resolveRedactTypes()).toEqual(PII_TYPES);
+      expect(resolveRedactTypes('-dob,-phone')).toEqual(['email', 'iban', 'creditcard', 'nationalid']);
+      expect(resolveRedactTypes('none,email')).toEqual(['email']);
+    });
+
+    it('names unknown types as types', () => {
+      expect(validateRedactTypes('email,phone')).toBeNull();
+      expect(validateRedactTypes('passport')).toBe(`has unknown type passport; types are ${PII_TYPES.join(', ')}`);
+    });
+  });
+
+  describe('findPii', () => {
+    it('finds email addresses', () => {
+      expect(valuesIn('Write to jane.doe@mail.example.com today.')).toEqual(['jane.doe@mail.example.com']);
+    });
+
+    it('finds IBANs that pass the check digits, with or without spaces', () => {
+      expect(valuesIn('Pay to DE89 3704 0044 0532 0130 00 please')).toEqual(['DE89 3704 0044 0532 0130 00']);
+      expect(valuesIn('IBAN GB82WEST12345698765432')).toEqual(['GB82WEST12345698765432']);
+      expect(typesIn('Pay to DE88 3704 0044 0532 0130 00')).not.toContain('iban');
+    });
+
+    it('keeps a following word in capitals out of an IBAN', () => {
+      expect(valuesIn('DE89 3704 0044 0532 0130 00 BIC COBADEFF')).toEqual(['DE89 3704 0044 0532 0130 00']);
+    });
+
+    it('finds card numbers that pass the Luhn check', () => {
+      expect(valuesIn('Card 4111 1111 1111 1111 expires soon')).toEqual(['4111 1111 1111 1111']);
+      expect(valuesIn('Card 4111-1111-1111-1111')).toEqual(['4111-1111-1111-1111']);
+      expect(typesIn('Order 4111 1111 1111 1112')).not.toContain('creditcard');
+    });
+
+    it('finds US social security and UK national insurance numbers', () => {
+      expect(findPii('SSN 123-45-6789', PII_TYPES)).toEqual([{ type: 'nationalid', start: 4, end: 15 }]);
+      expect(typesIn('SSN 000-12-3456')).not.toContain('nationalid');
+      expect(valuesIn('NI number AB 12 34 56 C')).toEqual(['AB 12 34 56 C']);
+    });
+
+    it('only takes dates as dates of birth after a label', () => {
+      expect(findPii('Date of birth: 12.03.1985', PII_TYPES)).toEqual([{ type: 'dob', start: 15, end: 25 }]);
+      expect(valuesIn('born on March 4, 1990 in Leeds')).toEqual(['March 4, 1990']);
+      expect(valuesIn('geb. 1985-03-12')).toEqual(['1985-03-12']);
+      expect(valuesIn('Meeting on 12.03.1985')).toEqual([]);
+    });
+
+    it('finds international, trunk-prefixed and North American phone numbers', () => {
+      expect(valuesIn('Call +49 30 1234567 now')).toEqual(['+49 30 1234567']);
+      expect(valuesIn('Call 030 1234567')).toEqual(['030 1234567']);
+      expect(valuesIn('Call (555) 123-4567')).toEqual(['(555) 123-4567']);
+      expect(valuesIn('Call 555-123-4567')).toEqual(['555-123-4567']);
+    });
+
+    it('does not take other numbers for phone numbers', () => {
+      expect(valuesIn('Invoice 2023 4711 total 1234567')).toEqual([]);
+      expect(valuesIn('Due 01.02.2024')).toEqual([]);
+    });
+
+    it('reports each span once, under the first type that finds it', () => {
+      expect(typesIn('Card 4111 1111 1111 1111 or DOB: 01/02/1980')).toEqual(['creditcard', 'dob']);
+    });
+
+    it('only looks for the selected types', () => {
+      expect(findPii('jane@example.com, +49 30 1234567', ['phone']).map(finding => finding.type)).toEqual(['phone']);
+    });
+  });
+
+  describe('redactText', () => {
+    const text = 'Mail jane@example.com or call +49 30 1234567.';
+
+    it('replaces findings with typed placeholders', () => {
+      const result = redactText(text, PII_TYPES, 'placeholder');
+
+      expect(result.text).toBe('Mail [EMAIL] or call [PHONE].');
+      expect(result.findings).toEqual([
+        { type: 'email', start: 5, end: 12, originalStart: 5, originalEnd: 21 },
+        { type: 'phone', start: 21, end: 28, originalStart: 30, originalEnd: 44 },
+      ]);
+    });
+
+    it('masks letters and digits and keeps separators', () => {
+      expect(redactText(text, PII_TYPES, 'mask').text).toBe('Mail ****@*******.*** or call +** ** *******.');
+    });
+
+    it('leaves text without personal data unchanged', () => {
+      expect(redactText('Nothing to see here.', PII_TYPES, 'mask')).toEqual({ text: 'Nothing to see here.', findings: [] });
+    });
+  });
+
+  describe('redactResult', () => {
+    it('redacts every string of a result and counts findings by type', () => {
+      const created = new Date('2024-01-01T00:00:00Z');
+      const result = redactResult({
+        text: 'Contact jane@example.com',
+        pages: [{ page: 1, text: 'Contact jane@example.com' }],
+        metadata: { author: 'jane@example.com', created, pages: 1 },
+      }, 'placeholder', PII_TYPES);
+
+      expect(result.text).toBe('Contact [EMAIL]');
+      expect(result.pages).toEqual([{ page: 1, text: 'Contact [EMAIL]' }]);
+      expect(result.metadata).toEqual({ author: '[EMAIL]', created, pages: 1 });
+      expect(result.redaction).toEqual({
+        mode: 'placeholder',
+        types: PII_TYPES,
+        findings: [{ type: 'email', start: 8, end: 15, originalStart: 8, originalEnd: 24 }],
+        counts: { email: 1 },
+        otherMatches: 2,
+      });
+    });
+
+    it('handles results without text', () => {
+      const result = redactResult({ metadata: {} }, 'mask', ['email']);
+      expect(result.text).toBe('');
+      expect(result.redaction.counts).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const { validateStepSpec, resolveSteps } = require('../../utils/step-spec');
+
+const STEPS = ['rotate', 'grayscale', 'upscale', 'deskew'];
+const EXAMPLE = 'steps such as none,deskew';
+
+describe('step-spec', () => {
+  describe('validateStepSpec', () => {
+    it('accepts known steps, turned on or off, and all or none', () => {
+      expect(validateStepSpec('deskew', STEPS, EXAMPLE)).toBeNull();
+      expect(validateStepSpec('none,deskew,-rotate', STEPS, EXAMPLE)).toBeNull();
+      expect(validateStepSpec('all,-upscale', STEPS, EXAMPLE)).toBeNull();
+    });
+
+    it('rejects values that are not a list of steps', () => {
+      expect(validateStepSpec('deskew,', STEPS, EXAMPLE)).toBe('must be a comma-separated list of steps such as none,deskew');
+      expect(validateStepSpec('Deskew', STEPS, EXAMPLE)).toBe('must be a comma-separated list of steps such as none,deskew');
+      expect(validateStepSpec('--deskew', STEPS, EXAMPLE)).toBe('must be a comma-separated list of steps such as none,deskew');
+    });
+
+    it('rejects turning all or none off', () => {
+      expect(validateStepSpec('-all', STEPS, EXAMPLE)).toBe('all cannot be turned off');
+      expect(validateStepSpec('deskew,-none', STEPS, EXAMPLE)).toBe('none cannot be turned off');
+    });
+
+    it('names unknown steps with the given noun', () => {
+      expect(validateStepSpec('sharpen', STEPS, EXAMPLE))
+        .toBe('has unknown step sharpen; steps are rotate, grayscale, upscale, deskew');
+      expect(validateStepSpec('-fax', ['email', 'phone'], 'types such as email', 'type'))
+        .toBe('has unknown type fax; types are email, phone');
+    });
+  });
+
+  describe('resolveSteps', () => {
+    it('returns the default steps without a selection', () => {
+      expect(resolveSteps(undefined, STEPS, 'rotate,deskew')).toEqual(['rotate', 'deskew']);
+      expect(resolveSteps('', STEPS, 'none')).toEqual([]);
+    });
+
+    it('applies the selection left to right on top of the defaults', () => {
+      expect(resolveSteps('-rotate,upscale', STEPS, 'rotate,deskew')).toEqual(['upscale', 'deskew']);
+      expect(resolveSteps('none,grayscale', STEPS, 'rotate,deskew')).toEqual(['grayscale']);
+      expect(resolveSteps('grayscale,none', STEPS, 'rotate,deskew')).toEqual([]);
+      expect(resolveSteps('all,-deskew', STEPS, 'none')).toEqual(['rotate', 'grayscale', 'upscale']);
+    });
+
+    it('returns the steps in pipeline order', () => {
+      expect(resolveSteps('deskew,rotate', STEPS, 'none')).toEqual(['rotate', 'deskew']);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const constants = require('../../config/constants');
+const {
+  chunkSettings,
+  joinedPageSpans,
+  formFeedPageSpans,
+  chunkText,
+} = require('../../utils/text-chunking');
+
+const wholeText = text => [{ page: null, start: 0, end: text.length }];
+
+// Sentences of five tokens each: four words and a full stop
+const sentences = count => Array.from({ length: count }, (_, index) => `Sentence number ${index + 1} here.`).join(' ');
+
+describe('text-chunking', () => {
+  describe('chunkSettings', () => {
+    it('defaults to the configured size and a quarter of it as overlap, capped', () => {
+      expect(chunkSettings()).toEqual({ size: constants.CHUNKING.DEFAULT_SIZE, overlap: constants.CHUNKING.DEFAULT_OVERLAP });
+      expect(chunkSettings({ chunkSize: 100 })).toEqual({ size: 100, overlap: 25 });
+    });
+
+    it('keeps an explicit overlap, including none', () => {
+      expect(chunkSettings({ chunkSize: 100, chunkOverlap: 0 })).toEqual({ size: 100, overlap: 0 });
+      expect(chunkSettings({ chunkSize: 100, chunkOverlap: 40 })).toEqual({ size: 100, overlap: 40 });
+    });
+  });
+
+  describe('page spans', () => {
+    it('maps pages joined with blank lines, skipping empty pages', () => {
+      const pages = [{ page: 1, text: 'One' }, { page: 2, text: '' }, { page: 3, text: 'Three' }];
+      const text = 'One\n\nThree';
+      const spans = joinedPageSpans(pages);
+
+      expect(spans).toEqual([{ page: 1, start: 0, end: 3 }, { page: 3, start: 5, end: 10 }]);
+      expect(spans.map(span => text.slice(span.start, span.end))).toEqual(['One', 'Three']);
+    });
+
+    it('splits text at form feeds', () => {
+      expect(formFeedPageSpans('ab\fcd\f')).toEqual([
+        { page: 1, start: 0, end: 2 },
+        { page: 2, start: 3, end: 5 },
+        { page: 3, start: 6, end: 6 },
+      ]);
+      expect(formFeedPageSpans('no pages')).toEqual([{ page: null, start: 0, end: 8 }]);
+    });
+  });
+
+  describe('chunkText', () => {
+    it('returns one chunk for a short text, with its offsets and token count', () => {
+      const text = '  Hello, world.  ';
+      expect(chunkText(text, wholeText(text), { size: 16, overlap: 0 })).toEqual([
+        { index: 0, text: 'Hello, world.', start: 2, end: 15, tokens: 4, page: null, heading: null },
+      ]);
+    });
+
+    it('returns no chunks for empty text', () => {
+      expect(chunkText('  \n ', wholeText('  \n '), { size: 16, overlap: 0 })).toEqual([]);
+    });
+
+    it('keeps chunks within the size and their text at their offsets', () => {
+      const text = sentences(40);
+      const chunks = chunkText(text, wholeText(text), { size: 32, overlap: 8 });
+
+      expect(chunks.length).toBeGreaterThan(1);
+      for (const chunk of chunks) {
+        expect(chunk.tokens).toBeLessThanOrEqual(32);
+        expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+      }
+      expect(chunks[chunks.length - 1].end).toBe(text.length);
+    });
+
+    it('ends chunks at sentence ends and starts overlaps at a sentence', () => {
+      const text = sentences(10);
+      const chunks = chunkText(text, wholeText(text), { size: 12, overlap: 6 });
+
+      expect(chunks.map(chunk => chunk.text)).toEqual([
+        'Sentence number 1 here. Sentence number 2 here.',
+        'Sentence number 2 here. Sentence number 3 here.',
+        'Sentence number 3 here. Sentence number 4 here.',
+        'Sentence number 4 here. Sentence number 5 here.',
+        'Sentence number 5 here. Sentence number 6 here.',
+        'Sentence number 6 here. Sentence number 7 here.',
+        'Sentence number 7 here. Sentence number 8 here.',
+        'Sentence number 8 here. Sentence number 9 here.',
+        'Sentence number 9 here. Sentence number 10 here.',
+      ]);
+    });
+
+    it('does not overlap without an overlap', () => {
+      const text = sentences(10);
+      const chunks = chunkText(text, wholeText(text), { size: 12, overlap: 0 });
+
+      expect(chunks).toHaveLength(5);
+      chunks.slice(1).forEach((chunk, index) => expect(chunk.start).toBeGreaterThan(chunks[index].end));
+    });
+
+    it('cuts long sentences at the size limit', () => {
+      const text = Array.from({ length: 50 }, (_, index) => `w${index}`).join(' ');
+      const chunks = chunkText(text, wholeText(text), { size: 20, overlap: 0 });
+
+      expect(chunks.map(chunk => chunk.tokens)).toEqual([20, 20, 10]);
+    });
+
+    it('starts a chunk on every page and reports its page', () => {
+      const text = 'First page text.\fSecond page text.';
+      const chunks = chunkText(text, formFeedPageSpans(text), { size: 64, overlap: 8 });
+
+      expect(chunks.map(({ text: chunkText, page }) => ({ chunkText, page }))).toEqual([
+        { chunkText: 'First page text.', page: 1 },
+        { chunkText: 'Second page text.', page: 2 },
+      ]);
+    });
+
+    it('starts a chunk at every heading and keeps headings with their text', () => {
+      const text = [
+        '1. Scope',
+        'This agreement covers the delivery of goods.',
+        '## Payment',
+        '### Terms',
+        'Invoices are due within thirty days.',
+      ].join('\n\n');
+      const chunks = chunkText(text, wholeText(text), { size: 64, overlap: 8 });
+
+      expect(chunks.map(chunk => [chunk.heading, chunk.text])).toEqual([
+        ['1. Scope', '1. Scope\n\nThis agreement covers the delivery of goods.'],
+        ['Terms', '## Payment\n\n### Terms\n\nInvoices are due within thirty days.'],
+      ]);
+    });
+
+    it('does not take short sentences for headings', () => {
+      const text = 'Hello world. Mail me.\n\nAnother paragraph follows here.';
+      const chunks = chunkText(text, wholeText(text), { size: 64, overlap: 8 });
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].heading).toBeNull();
+    });
+  });
+});
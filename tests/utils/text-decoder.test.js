@@ -0,0 +1,39 @@
+const iconv = require('iconv-lite');
+const { detectEncoding, decodeBuffer } = require('../../utils/text-decoder');
+
+describe('text-decoder', () => {
+  describe('detectEncoding', () => {
+    it('trusts a byte order mark first', () => {
+      expect(detectEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x61]))).toEqual({ encoding: 'UTF-8', bomLength: 3, source: 'bom' });
+      expect(detectEncoding(Buffer.from([0xFF, 0xFE, 0x61, 0x00]))).toEqual({ encoding: 'UTF-16LE', bomLength: 2, source: 'bom' });
+      expect(detectEncoding(Buffer.from([0xFE, 0xFF, 0x00, 0x61]))).toEqual({ encoding: 'UTF-16BE', bomLength: 2, source: 'bom' });
+    });
+
+    it('takes valid UTF-8 without a mark as UTF-8', () => {
+      expect(detectEncoding(Buffer.from('Café crème', 'utf8'))).toMatchObject({ encoding: 'UTF-8', source: 'utf8-validation' });
+    });
+
+    it('prefers the declared encoding over detection', () => {
+      const buffer = iconv.encode('Café crème', 'windows-1252');
+      expect(detectEncoding(buffer, 'iso-8859-15')).toMatchObject({ encoding: 'iso-8859-15', source: 'declared' });
+    });
+
+    it('ignores a declared encoding it does not know', () => {
+      const buffer = iconv.encode('Café crème brûlée à la carte', 'windows-1252');
+      expect(detectEncoding(buffer, 'not-an-encoding').source).not.toBe('declared');
+    });
+  });
+
+  describe('decodeBuffer', () => {
+    it('drops the byte order mark from the text', () => {
+      const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Straße', 'utf16le')]);
+      expect(decodeBuffer(buffer)).toEqual({ text: 'Straße', encoding: 'UTF-16LE', source: 'bom' });
+    });
+
+    it('decodes a legacy single-byte file', () => {
+      const buffer = iconv.encode('Le café est très chaud, n’est-ce pas ? Déjà vu à l’été.', 'windows-1252');
+      expect(decodeBuffer(buffer, 'windows-1252').text).toBe('Le café est très chaud, n’est-ce pas ? Déjà vu à l’été.');
+      expect(decodeBuffer(buffer).text).toContain('café');
+    });
+  });
+});
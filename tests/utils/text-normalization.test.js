@@ -0,0 +1,106 @@
+const {
+  NORMALIZATION_STEPS,
+  validateNormalizeSpec,
+  resolveNormalizeSteps,
+  normalizeText,
+} = require('../../utils/text-normalization');
+
+const BODIES = [
+  'Revenue grew in every region.\nThe board proposes a dividend.',
+  'Costs fell for the second year.\nStaff numbers were stable.',
+  'Two new plants opened in spring.\nBoth run at full capacity.',
+  'The outlook remains positive.\nRisks are listed below.',
+];
+
+const pageOf = (header, body, pageNumber) => `${header}\n${body}\nPage ${pageNumber} of 4`;
+
+describe('text-normalization', () => {
+  describe('step selection', () => {
+    it('runs no step unless asked', () => {
+      expect(resolveNormalizeSteps()).toEqual([]);
+      expect(resolveNormalizeSteps('whitespace,unicode')).toEqual(['unicode', 'whitespace']);
+      expect(resolveNormalizeSteps('all,-reflow')).toEqual(['unicode', 'ligatures', 'headers', 'dehyphenate', 'whitespace']);
+    });
+
+    it('validates against the normalization steps', () => {
+      expect(validateNormalizeSpec('all,-headers')).toBeNull();
+      expect(validateNormalizeSpec('spelling')).toBe(`has unknown step spelling; steps are ${NORMALIZATION_STEPS.join(', ')}`);
+    });
+  });
+
+  describe('normalizeText', () => {
+    it('reports every step that ran and which of them changed the text', () => {
+      const result = normalizeText(['plain text'], ['unicode', 'whitespace']);
+
+      expect(result.pages).toEqual(['plain text']);
+      expect(result.applied).toEqual([]);
+      expect(result.steps).toEqual([
+        { step: 'unicode', applied: false },
+        { step: 'whitespace', applied: false },
+      ]);
+    });
+
+    it('composes characters and removes soft hyphens and invisible characters', () => {
+      const { pages } = normalizeText(['Cafe\u0301 co\u00ADoperate\u200B\u0007'], ['unicode']);
+      expect(pages).toEqual(['Caf\u00E9 cooperate']);
+    });
+
+    it('expands ligatures and counts them', () => {
+      const result = normalizeText(['\uFB01nal o\uFB03ce'], ['ligatures']);
+
+      expect(result.pages).toEqual(['final office']);
+      expect(result.steps[0]).toEqual({ step: 'ligatures', applied: true, replaced: 2 });
+    });
+
+    it('removes lines repeated at the top and bottom of most pages', () => {
+      const pages = BODIES.map((body, index) => pageOf('ACME Annual Report', body, index + 1));
+      const result = normalizeText(pages, ['headers']);
+
+      expect(result.pages).toEqual(BODIES);
+      expect(result.steps[0].removedLines).toEqual(['ACME Annual Report', 'Page 1 of 4']);
+    });
+
+    it('keeps repeated lines in the body and documents with few pages', () => {
+      const repeatedBody = BODIES.map(body => `${body}\nSee the notes.\nSee the notes.\nSee the notes.\n${body}`);
+      expect(normalizeText(repeatedBody, ['headers']).applied).toEqual([]);
+
+      const twoPages = BODIES.slice(0, 2).map((body, index) => pageOf('Header', body, index + 1));
+      expect(normalizeText(twoPages, ['headers']).pages).toEqual(twoPages);
+    });
+
+    it('joins words hyphenated across lines', () => {
+      const result = normalizeText(['The exam-\nple shows it.\nWell-\nKnown stays.'], ['dehyphenate']);
+
+      expect(result.pages).toEqual(['The example\nshows it.\nWell-\nKnown stays.']);
+      expect(result.steps[0].joinedWords).toBe(1);
+    });
+
+    it('normalizes line endings, spaces and blank lines', () => {
+      const { pages } = normalizeText(['  one two   three \r\n\r\n\r\n\r\nfour\t\n'], ['whitespace']);
+      expect(pages).toEqual(['one two three\n\nfour']);
+    });
+
+    it('reflows lines broken to fit the page but keeps short lines and list items', () => {
+      const paragraph = [
+        'This paragraph was broken into several lines',
+        'to fit the width of the page it was on and',
+        'ends here.',
+        'Next sentence on its own line.',
+        '- a list item',
+      ].join('\n');
+      const result = normalizeText([paragraph], ['reflow']);
+
+      expect(result.pages).toEqual([[
+        'This paragraph was broken into several lines to fit the width of the page it was on and ends here.',
+        'Next sentence on its own line.',
+        '- a list item',
+      ].join('\n')]);
+      expect(result.steps[0].joinedLines).toBe(2);
+    });
+
+    it('leaves short paragraphs and tables alone when reflowing', () => {
+      const pages = ['Name\nAddress', 'Column one is here\twith a tab in between them\nand a second row of the table'];
+      expect(normalizeText(pages, ['reflow']).pages).toEqual(pages);
+    });
+  });
+});
@@ -130,6 +130,30 @@ class AuditLogger {
       },
     });
   }
+
+  // Record the redaction of personal data from an extraction result. Only
+  // the number of matches of each type is logged, never the values.
+  async logRedaction(redaction, { req, resource, ...details } = {}) {
+    const total = redaction.findings.length + redaction.otherMatches;
+
+    await this.log({
+      userId: req?.user?.id,
+      userEmail: req?.user?.email,
+      action: AUDIT_ACTIONS.PII_REDACTION,
+      resource,
+      details: `Redacted ${total} personal data match(es) by ${redaction.mode}`,
+      ipAddress: req?.ip,
+      severity: total > 0 ? AUDIT_SEVERITY.MEDIUM : AUDIT_SEVERITY.LOW,
+      metadata: {
+        mode: redaction.mode,
+        types: redaction.types,
+        counts: redaction.counts,
+        otherMatches: redaction.otherMatches,
+        requestId: req?.id,
+        ...details,
+      },
+    });
+  }
 }
 
 const auditLogger = new AuditLogger();
@@ -0,0 +1,12 @@
+// Extractions run for a job get its AbortSignal as `signal`. Services check
+// it between units of work, such as pages, frames, archive entries and
+// attachments, so a cancelled job stops at the next one.
+const throwIfCancelled = (signal) => {
+  if (signal && signal.aborted) {
+    throw new Error('Extraction cancelled');
+  }
+};
+
+module.exports = {
+  throwIfCancelled,
+};
@@ -0,0 +1,20 @@
+// Run `worker(item, index)` over `items` with at most `limit` calls in flight.
+// Results are returned in the same order as `items`.
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency,
+};
@@ -0,0 +1,107 @@
+const sanitizeHtml = require('sanitize-html');
+const TurndownService = require('turndown');
+const { gfm } = require('turndown-plugin-gfm');
+
+// Response formats a client can ask for, with their content types. The JSON
+// envelope comes first so that it wins for `Accept: */*`.
+const DOCUMENT_FORMATS = {
+  json: 'application/json',
+  text: 'text/plain',
+  markdown: 'text/markdown',
+  html: 'text/html'
+};
+
+// Tags and attributes kept in HTML output. Images are dropped since
+// converters inline them as data URIs.
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags,
+  allowedAttributes: {
+    a: ['href', 'title'],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan', 'scope'],
+    ol: ['start']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'title']
+};
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  bulletListMarker: '-',
+  codeBlockStyle: 'fenced'
+});
+turndown.use(gfm);
+
+// Text that looks like markup must not turn into raw HTML in the Markdown
+const escapeMarkdown = turndown.escape.bind(turndown);
+turndown.escape = text => escapeMarkdown(text).replace(/</g, '\\<');
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Extractors only build HTML when the client wants markup
+const needsHtml = (options = {}) => options.format === 'html' || options.format === 'markdown';
+
+// Pick a format from `?format=` or the Accept header. Returns null when the
+// client accepts none of them.
+const negotiateFormat = (req, defaultFormat = 'json') => {
+  if (req.query.format) {
+    return req.query.format;
+  }
+
+  const formats = [defaultFormat, ...Object.keys(DOCUMENT_FORMATS).filter(format => format !== defaultFormat)];
+  const type = req.accepts(formats.map(format => DOCUMENT_FORMATS[format]));
+  return type ? formats.find(format => DOCUMENT_FORMATS[format] === type) : null;
+};
+
+// Plain text as HTML paragraphs, keeping single line breaks
+const textToHtml = (text) => text
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean)
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// Presentation slides as sections headed by their number and title
+const slidesToHtml = (slides) => slides.map((slide) => {
+  const html = [`<h2>Slide ${slide.slide}${slide.title ? `: ${escapeHtml(slide.title)}` : ''}</h2>`];
+  if (slide.text) html.push(textToHtml(slide.text.replace(/\n/g, '\n\n')));
+  if (slide.notes) html.push('<h3>Notes</h3>', textToHtml(slide.notes));
+  return html.join('\n');
+}).join('\n');
+
+const sanitizeDocumentHtml = (html) => sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+
+const htmlToMarkdown = (html) => turndown.turndown(html).trim();
+
+// Render an extraction result as text, Markdown or HTML. Results without an
+// HTML rendering of their own are converted from their text.
+const renderDocument = (result, format) => {
+  const html = () => sanitizeDocumentHtml(result.html || textToHtml(result.text));
+
+  switch (format) {
+  case 'text':
+    return { contentType: DOCUMENT_FORMATS.text, content: result.text };
+  case 'markdown':
+    return { contentType: DOCUMENT_FORMATS.markdown, content: result.markdown || htmlToMarkdown(html()) };
+  case 'html':
+    return { contentType: DOCUMENT_FORMATS.html, content: html() };
+  default:
+    throw new Error(`Unknown document format: ${format}`);
+  }
+};
+
+module.exports = {
+  DOCUMENT_FORMATS,
+  escapeHtml,
+  needsHtml,
+  negotiateFormat,
+  textToHtml,
+  slidesToHtml,
+  sanitizeDocumentHtml,
+  htmlToMarkdown,
+  renderDocument,
+};
@@ -0,0 +1,56 @@
+// One metadata schema for every format. Services fill in the fields their
+// format has; everything else is null.
+
+const cleanString = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\0/g, '').trim();
+  return text || null;
+};
+
+// Dates may come as Date objects, ISO strings or other parseable strings
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const toCount = (value) => {
+  const number = typeof value === 'number' ? value : parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : null;
+};
+
+const normalizeImage = (image) => {
+  if (!image) return null;
+
+  return {
+    width: toCount(image.width),
+    height: toCount(image.height),
+    dpi: image.dpi || null,
+    orientation: image.orientation || null,
+    camera: image.camera || null,
+    gps: image.gps || null,
+    takenAt: toIsoDate(image.takenAt)
+  };
+};
+
+// Build the normalized metadata from the fields a service found, keeping the
+// format-specific metadata of the extraction under `details`
+const normalizeMetadata = (fields = {}, details = null) => ({
+  title: cleanString(fields.title),
+  author: cleanString(fields.author),
+  subject: cleanString(fields.subject),
+  keywords: cleanString(fields.keywords),
+  created: toIsoDate(fields.created),
+  modified: toIsoDate(fields.modified),
+  pageCount: toCount(fields.pageCount),
+  language: cleanString(fields.language),
+  producer: cleanString(fields.producer),
+  application: cleanString(fields.application),
+  image: normalizeImage(fields.image),
+  ...(details && { details })
+});
+
+module.exports = {
+  toIsoDate,
+  normalizeMetadata,
+};
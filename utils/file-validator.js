@@ -6,7 +6,26 @@ class FileValidator {
       pdf: ['application/pdf'],
       document: [
         'application/msword',
-        'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.oasis.opendocument.text'
+      ],
+      text: [
+        'text/plain',
+        'text/markdown',
+        'text/x-markdown',
+        'text/html',
+        'application/rtf',
+        'text/rtf'
+      ],
+      presentation: [
+        'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+        'application/vnd.oasis.opendocument.presentation'
+      ],
+      spreadsheet: [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel',
+        'application/vnd.oasis.opendocument.spreadsheet',
+        'text/csv'
       ],
       image: [
         'image/png',
@@ -15,13 +34,55 @@ class FileValidator {
         'image/gif',
         'image/bmp',
         'image/tiff'
+      ],
+      archive: [
+        'application/zip',
+        'application/x-zip-compressed'
+      ],
+      email: [
+        'message/rfc822',
+        'application/vnd.ms-outlook'
       ]
     };
 
     this.maxFileSizes = {
       pdf: 10 * 1024 * 1024,      // 10MB
       document: 5 * 1024 * 1024,  // 5MB
-      image: 8 * 1024 * 1024      // 8MB
+      text: 5 * 1024 * 1024,      // 5MB
+      presentation: 10 * 1024 * 1024, // 10MB
+      spreadsheet: 10 * 1024 * 1024, // 10MB
+      image: 8 * 1024 * 1024,     // 8MB
+      archive: 10 * 1024 * 1024,  // 10MB
+      email: 10 * 1024 * 1024     // 10MB
+    };
+
+    this.validExtensions = {
+      'application/pdf': ['.pdf'],
+      'application/msword': ['.doc'],
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'application/vnd.oasis.opendocument.text': ['.odt'],
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+      'application/vnd.oasis.opendocument.presentation': ['.odp'],
+      'text/plain': ['.txt'],
+      'text/markdown': ['.md', '.markdown'],
+      'text/x-markdown': ['.md', '.markdown'],
+      'text/html': ['.html', '.htm'],
+      'application/rtf': ['.rtf'],
+      'text/rtf': ['.rtf'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/vnd.ms-excel': ['.xls'],
+      'application/vnd.oasis.opendocument.spreadsheet': ['.ods'],
+      'text/csv': ['.csv'],
+      'image/png': ['.png'],
+      'image/jpeg': ['.jpg', '.jpeg'],
+      'image/jpg': ['.jpg', '.jpeg'],
+      'image/gif': ['.gif'],
+      'image/bmp': ['.bmp'],
+      'image/tiff': ['.tiff', '.tif'],
+      'application/zip': ['.zip'],
+      'application/x-zip-compressed': ['.zip'],
+      'message/rfc822': ['.eml'],
+      'application/vnd.ms-outlook': ['.msg']
     };
   }
 
@@ -34,29 +95,39 @@ class FileValidator {
       return { isValid: false, errors };
     }
 
-    // Check file type
-    const fileType = this.getFileType(file.mimetype);
-    if (!fileType) {
-      errors.push(`Unsupported file type: ${file.mimetype}`);
-    }
+    // Check file type and extension
+    errors.push(...this.validateType(file));
 
     // Check file size
+    const fileType = this.getFileType(file.mimetype);
     if (fileType && file.size > this.maxFileSizes[fileType]) {
       const maxSizeMB = (this.maxFileSizes[fileType] / (1024 * 1024)).toFixed(1);
       errors.push(`File too large. Maximum size for ${fileType} files is ${maxSizeMB}MB`);
     }
 
+    return {
+      isValid: errors.length === 0,
+      errors,
+      fileType
+    };
+  }
+
+  // Errors for the type and extension of a file, which are known before
+  // its content has been read
+  validateType(file) {
+    const errors = [];
+
+    if (!this.getFileType(file.mimetype)) {
+      errors.push(`Unsupported file type: ${file.mimetype}`);
+    }
+
     // Check file extension matches mimetype
     const extension = path.extname(file.originalname).toLowerCase();
     if (!this.isExtensionValid(extension, file.mimetype)) {
       errors.push(`File extension ${extension} doesn't match the file type`);
     }
 
-    return {
-      isValid: errors.length === 0,
-      errors,
-      fileType
-    };
+    return errors;
   }
 
   getFileType(mimetype) {
@@ -69,22 +140,21 @@ class FileValidator {
   }
 
   isExtensionValid(extension, mimetype) {
-    const validExtensions = {
-      'application/pdf': ['.pdf'],
-      'application/msword': ['.doc'],
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
-      'image/png': ['.png'],
-      'image/jpeg': ['.jpg', '.jpeg'],
-      'image/jpg': ['.jpg', '.jpeg'],
-      'image/gif': ['.gif'],
-      'image/bmp': ['.bmp'],
-      'image/tiff': ['.tiff', '.tif']
-    };
-
-    const allowedExtensions = validExtensions[mimetype] || [];
+    const allowedExtensions = this.validExtensions[mimetype] || [];
     return allowedExtensions.includes(extension);
   }
 
+  // Infer the MIME type of a file from its name, e.g. for archive entries
+  getMimeTypeFromFilename(filename) {
+    const extension = path.extname(filename).toLowerCase();
+    for (const [mimetype, extensions] of Object.entries(this.validExtensions)) {
+      if (extensions.includes(extension)) {
+        return mimetype;
+      }
+    }
+    return null;
+  }
+
   getAllSupportedTypes() {
     return this.supportedTypes;
   }
@@ -92,6 +162,11 @@ class FileValidator {
   getMaxFileSizes() {
     return this.maxFileSizes;
   }
+
+  // Size limit for a supported MIME type
+  getMaxFileSize(mimetype) {
+    return this.maxFileSizes[this.getFileType(mimetype)];
+  }
 }
 
 module.exports = new FileValidator();
\ No newline at end of file
@@ -0,0 +1,250 @@
+const sharp = require('sharp');
+const constants = require('../config/constants');
+const { validateStepSpec, resolveSteps } = require('./step-spec');
+
+const SETTINGS = constants.FILES.OCR_PREPROCESSING;
+
+// Preprocessing steps, in the order they run
+const PREPROCESSING_STEPS = ['rotate', 'grayscale', 'upscale', 'denoise', 'deskew', 'binarize'];
+
+// Largest side of the copy used to measure skew
+const SKEW_SAMPLE_SIZE = 1000;
+const MAX_SKEW_SAMPLE_PIXELS = 200000;
+
+// Check a step selection string, returning an error message or null
+const validatePreprocessSpec = spec => validateStepSpec(spec, PREPROCESSING_STEPS, 'preprocessing steps such as none,deskew');
+
+// Steps to run for a request, in pipeline order
+const resolvePreprocessSteps = spec => resolveSteps(spec, PREPROCESSING_STEPS, SETTINGS.DEFAULT_STEPS);
+
+// Threshold between ink and paper that best separates the grey levels
+const otsuThreshold = (pixels) => {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) histogram[value]++;
+
+  const total = pixels.length;
+  const sum = histogram.reduce((acc, count, level) => acc + level * count, 0);
+  let backgroundSum = 0;
+  let backgroundCount = 0;
+  let bestVariance = -1;
+  let threshold = 128;
+
+  for (let level = 0; level < 256; level++) {
+    backgroundCount += histogram[level];
+    if (backgroundCount === 0) continue;
+    const foregroundCount = total - backgroundCount;
+    if (foregroundCount === 0) break;
+
+    backgroundSum += level * histogram[level];
+    const backgroundMean = backgroundSum / backgroundCount;
+    const foregroundMean = (sum - backgroundSum) / foregroundCount;
+    const variance = backgroundCount * foregroundCount * (backgroundMean - foregroundMean) ** 2;
+
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = level + 1;
+    }
+  }
+
+  return threshold;
+};
+
+// Skew of the text lines in degrees, clockwise. Dark pixels are projected
+// onto rows at each candidate angle; the angle at which the rows are most
+// sharply separated lines the text up.
+const estimateSkew = (pixels, width, height) => {
+  const threshold = otsuThreshold(pixels);
+  let darkCount = 0;
+  for (const value of pixels) if (value < threshold) darkCount++;
+
+  // Blank pages and mostly dark photos have no text lines to measure
+  if (darkCount === 0 || darkCount > pixels.length / 2) {
+    return 0;
+  }
+
+  const stride = Math.ceil(darkCount / MAX_SKEW_SAMPLE_PIXELS);
+  const xs = new Int32Array(Math.ceil(darkCount / stride));
+  const ys = new Int32Array(xs.length);
+  let count = 0;
+  let seen = 0;
+
+  for (let index = 0; index < pixels.length; index++) {
+    if (pixels[index] < threshold && seen++ % stride === 0) {
+      xs[count] = index % width;
+      ys[count] = Math.floor(index / width);
+      count++;
+    }
+  }
+
+  const score = (angle) => {
+    const slope = Math.tan(angle * Math.PI / 180);
+    const shift = Math.ceil(width * Math.abs(slope));
+    const rows = new Float64Array(height + 2 * shift + 1);
+
+    for (let i = 0; i < count; i++) {
+      rows[Math.round(ys[i] - xs[i] * slope) + shift]++;
+    }
+
+    return rows.reduce((acc, value) => acc + value * value, 0);
+  };
+
+  const search = (from, to, step) => {
+    let best = { angle: 0, score: -1 };
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const value = score(angle);
+      if (value > best.score) best = { angle, score: value };
+    }
+    return best.angle;
+  };
+
+  const coarse = search(-SETTINGS.MAX_SKEW_ANGLE, SETTINGS.MAX_SKEW_ANGLE, 0.5);
+  const fine = search(coarse - 0.5, coarse + 0.5, 0.1);
+  return Math.round(fine * 10) / 10;
+};
+
+const loadRaw = image => sharp(image.data, {
+  raw: { width: image.info.width, height: image.info.height, channels: image.info.channels }
+});
+
+const toRaw = pipeline => pipeline.raw().toBuffer({ resolveWithObject: true });
+
+const readGrayPixels = (image, maxSize) => {
+  let pipeline = loadRaw(image).grayscale();
+  if (maxSize) {
+    pipeline = pipeline.resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true });
+  }
+  return toRaw(pipeline);
+};
+
+// Run the selected steps over an image. `options.dpi` is the resolution the
+// image records, if any. Returns the image to OCR (a PNG buffer, or the
+// original path when no step changed it), its size and a report of every
+// step with whether it was applied.
+const preprocessImage = async (filePath, steps, options = {}) => {
+  const report = [];
+  let density = options.dpi || null;
+  const unchanged = { image: filePath, width: null, height: null, applied: [], steps: report };
+
+  if (steps.length === 0) {
+    return unchanged;
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch (error) {
+    // Formats the image library cannot read, such as BMP, are OCRed as they are
+    steps.forEach(step => report.push({ step, applied: false, reason: 'unsupported image format' }));
+    return unchanged;
+  }
+
+  let pipeline = sharp(filePath);
+  if (metadata.hasAlpha) {
+    pipeline = pipeline.flatten({ background: '#ffffff' });
+  }
+
+  if (steps.includes('rotate')) {
+    const orientation = metadata.orientation || 1;
+    if (orientation > 1) {
+      pipeline = pipeline.rotate();
+      report.push({ step: 'rotate', applied: true, orientation });
+    } else {
+      report.push({ step: 'rotate', applied: false, reason: 'no EXIF rotation' });
+    }
+  }
+
+  let image = await toRaw(pipeline);
+
+  for (const step of steps) {
+    switch (step) {
+    case 'grayscale':
+      if (metadata.space !== 'b-w') {
+        image = await toRaw(loadRaw(image).grayscale());
+        report.push({ step, applied: true });
+      } else {
+        report.push({ step, applied: false, reason: 'already grayscale' });
+      }
+      break;
+
+    case 'upscale': {
+      const { dpi } = options;
+      const { width, height } = image.info;
+      const scale = Math.min(
+        SETTINGS.TARGET_DPI / dpi,
+        SETTINGS.MAX_UPSCALE,
+        SETTINGS.MAX_DIMENSION / Math.max(width, height)
+      );
+
+      if (!dpi) {
+        report.push({ step, applied: false, reason: 'resolution unknown' });
+      } else if (dpi >= SETTINGS.UPSCALE_BELOW_DPI) {
+        report.push({ step, applied: false, dpi, reason: 'resolution high enough' });
+      } else if (scale < 1.1) {
+        report.push({ step, applied: false, dpi, reason: 'image too large to upscale' });
+      } else {
+        image = await toRaw(loadRaw(image).resize(Math.round(width * scale), Math.round(height * scale), {
+          kernel: sharp.kernel.lanczos3
+        }));
+        density = dpi * scale;
+        report.push({ step, applied: true, dpi, scale: Math.round(scale * 100) / 100 });
+      }
+      break;
+    }
+
+    case 'denoise':
+      image = await toRaw(loadRaw(image).median(3));
+      report.push({ step, applied: true });
+      break;
+
+    case 'deskew': {
+      const sample = await readGrayPixels(image, SKEW_SAMPLE_SIZE);
+      const angle = estimateSkew(sample.data, sample.info.width, sample.info.height);
+
+      if (Math.abs(angle) >= SETTINGS.MIN_SKEW_ANGLE) {
+        image = await toRaw(loadRaw(image).rotate(-angle, { background: '#ffffff' }));
+        report.push({ step, applied: true, angle });
+      } else {
+        report.push({ step, applied: false, angle, reason: 'no skew found' });
+      }
+      break;
+    }
+
+    case 'binarize': {
+      const gray = await readGrayPixels(image);
+      const threshold = otsuThreshold(gray.data);
+      image = await toRaw(loadRaw(gray).threshold(threshold));
+      report.push({ step, applied: true, threshold });
+      break;
+    }
+
+    default:
+      break;
+    }
+  }
+
+  const applied = report.filter(entry => entry.applied).map(entry => entry.step);
+  if (applied.length === 0) {
+    return { ...unchanged, applied };
+  }
+
+  return {
+    // Tesseract sizes its expectations of the text by the resolution
+    image: await loadRaw(image)
+      .withMetadata(density ? { density } : {})
+      .png({ compressionLevel: 1 })
+      .toBuffer(),
+    width: image.info.width,
+    height: image.info.height,
+    applied,
+    steps: report
+  };
+};
+
+module.exports = {
+  PREPROCESSING_STEPS,
+  validatePreprocessSpec,
+  resolvePreprocessSteps,
+  otsuThreshold,
+  estimateSkew,
+  preprocessImage,
+};
@@ -0,0 +1,124 @@
+const franc = require('franc-min');
+
+// Languages the trigram model knows, by ISO 639-3 code, with their ISO 639-1
+// code where there is one and the Tesseract traineddata that reads them
+const LANGUAGES = {
+  amh: { iso6391: 'am', tesseract: 'amh' },
+  arb: { iso6391: 'ar', tesseract: 'ara' },
+  azj: { iso6391: 'az', tesseract: 'aze' },
+  bel: { iso6391: 'be', tesseract: 'bel' },
+  ben: { iso6391: 'bn', tesseract: 'ben' },
+  bho: { iso6391: null, tesseract: null },
+  bos: { iso6391: 'bs', tesseract: 'bos' },
+  bul: { iso6391: 'bg', tesseract: 'bul' },
+  ceb: { iso6391: null, tesseract: 'ceb' },
+  ces: { iso6391: 'cs', tesseract: 'ces' },
+  ckb: { iso6391: 'ku', tesseract: null },
+  cmn: { iso6391: 'zh', tesseract: 'chi_sim' },
+  deu: { iso6391: 'de', tesseract: 'deu' },
+  ell: { iso6391: 'el', tesseract: 'ell' },
+  eng: { iso6391: 'en', tesseract: 'eng' },
+  fas: { iso6391: 'fa', tesseract: 'fas' },
+  fra: { iso6391: 'fr', tesseract: 'fra' },
+  fuv: { iso6391: 'ff', tesseract: null },
+  gax: { iso6391: 'om', tesseract: null },
+  guj: { iso6391: 'gu', tesseract: 'guj' },
+  hau: { iso6391: 'ha', tesseract: null },
+  hin: { iso6391: 'hi', tesseract: 'hin' },
+  hms: { iso6391: null, tesseract: null },
+  hnj: { iso6391: null, tesseract: null },
+  hrv: { iso6391: 'hr', tesseract: 'hrv' },
+  hun: { iso6391: 'hu', tesseract: 'hun' },
+  ibo: { iso6391: 'ig', tesseract: null },
+  ilo: { iso6391: null, tesseract: null },
+  ind: { iso6391: 'id', tesseract: 'ind' },
+  ita: { iso6391: 'it', tesseract: 'ita' },
+  jav: { iso6391: 'jv', tesseract: 'jav' },
+  jpn: { iso6391: 'ja', tesseract: 'jpn' },
+  kan: { iso6391: 'kn', tesseract: 'kan' },
+  kaz: { iso6391: 'kk', tesseract: 'kaz' },
+  kin: { iso6391: 'rw', tesseract: null },
+  koi: { iso6391: null, tesseract: null },
+  kor: { iso6391: 'ko', tesseract: 'kor' },
+  lin: { iso6391: 'ln', tesseract: null },
+  mad: { iso6391: null, tesseract: null },
+  mai: { iso6391: null, tesseract: null },
+  mal: { iso6391: 'ml', tesseract: 'mal' },
+  mar: { iso6391: 'mr', tesseract: 'mar' },
+  mya: { iso6391: 'my', tesseract: 'mya' },
+  nep: { iso6391: 'ne', tesseract: 'nep' },
+  nld: { iso6391: 'nl', tesseract: 'nld' },
+  nya: { iso6391: 'ny', tesseract: null },
+  ori: { iso6391: 'or', tesseract: 'ori' },
+  pan: { iso6391: 'pa', tesseract: 'pan' },
+  pbu: { iso6391: 'ps', tesseract: 'pus' },
+  plt: { iso6391: 'mg', tesseract: null },
+  pol: { iso6391: 'pl', tesseract: 'pol' },
+  por: { iso6391: 'pt', tesseract: 'por' },
+  qug: { iso6391: 'qu', tesseract: 'que' },
+  ron: { iso6391: 'ro', tesseract: 'ron' },
+  run: { iso6391: 'rn', tesseract: null },
+  rus: { iso6391: 'ru', tesseract: 'rus' },
+  sin: { iso6391: 'si', tesseract: 'sin' },
+  skr: { iso6391: null, tesseract: null },
+  som: { iso6391: 'so', tesseract: null },
+  spa: { iso6391: 'es', tesseract: 'spa' },
+  srp: { iso6391: 'sr', tesseract: 'srp' },
+  sun: { iso6391: 'su', tesseract: 'sun' },
+  swe: { iso6391: 'sv', tesseract: 'swe' },
+  swh: { iso6391: 'sw', tesseract: 'swa' },
+  tam: { iso6391: 'ta', tesseract: 'tam' },
+  tel: { iso6391: 'te', tesseract: 'tel' },
+  tgl: { iso6391: 'tl', tesseract: 'tgl' },
+  tha: { iso6391: 'th', tesseract: 'tha' },
+  tur: { iso6391: 'tr', tesseract: 'tur' },
+  ukr: { iso6391: 'uk', tesseract: 'ukr' },
+  urd: { iso6391: 'ur', tesseract: 'urd' },
+  uzn: { iso6391: 'uz', tesseract: 'uzb' },
+  vie: { iso6391: 'vi', tesseract: 'vie' },
+  yor: { iso6391: 'yo', tesseract: 'yor' },
+  zlm: { iso6391: 'ms', tesseract: 'msa' },
+  zul: { iso6391: 'zu', tesseract: null },
+  zyb: { iso6391: 'za', tesseract: null }
+};
+
+// Samples with fewer letters are too unreliable to name a language
+const MIN_SAMPLE_LETTERS = 40;
+
+const OCR_LANGUAGES = Object.keys(LANGUAGES).filter(code => LANGUAGES[code].tesseract);
+
+// Identify the language of a text with the trigram model. Returns the ISO
+// 639-1 code (ISO 639-3 where there is none), the ISO 639-3 code and the
+// matching Tesseract language, or null when the text is too short or
+// matches nothing. `ocrOnly` limits candidates to languages Tesseract reads,
+// and `tesseractLanguages` further to the given Tesseract languages.
+const identifyLanguage = (text, { ocrOnly = false, tesseractLanguages = null } = {}) => {
+  const sample = (text || '').replace(/\s+/g, ' ').trim();
+  if ((sample.match(/\p{L}/gu) || []).length < MIN_SAMPLE_LETTERS) {
+    return null;
+  }
+
+  const candidates = ocrOnly
+    ? OCR_LANGUAGES.filter(code => !tesseractLanguages || tesseractLanguages.includes(LANGUAGES[code].tesseract))
+    : null;
+  if (candidates && candidates.length === 0) {
+    return null;
+  }
+
+  const iso6393 = franc(sample, candidates ? { only: candidates } : {});
+  const language = LANGUAGES[iso6393];
+
+  if (!language) {
+    return null;
+  }
+
+  return {
+    code: language.iso6391 || iso6393,
+    iso6393,
+    tesseract: language.tesseract
+  };
+};
+
+module.exports = {
+  identifyLanguage,
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const ResponseFormatter = require('./response-formatter');
+
+// Multer storage engine that writes uploads to disk while counting their
+// bytes against a per-file limit and a total limit for the request. A file
+// that passes either limit stops being written: its partial copy is removed,
+// the rest of its upload is read and dropped, and it is handed on with an
+// `error` instead of a `path`, so that only that file fails.
+class LimitedDiskStorage {
+  // `filename(file)` names the file in `destination`; `maxFileSize(file)`
+  // is the most bytes it may have
+  constructor({ destination, filename, maxFileSize, maxTotalSize }) {
+    this.destination = destination;
+    this.filename = filename;
+    this.maxFileSize = maxFileSize;
+    this.maxTotalSize = maxTotalSize;
+  }
+
+  _handleFile(req, file, cb) {
+    const filename = this.filename(file);
+    const filePath = path.join(this.destination, filename);
+    const maxFileSize = this.maxFileSize(file);
+    const output = fs.createWriteStream(filePath);
+    let size = 0;
+    let error = null;
+    let drained = null;
+
+    req.uploadedSize = req.uploadedSize || 0;
+
+    // Stop writing, but read the rest of the upload so the next file can follow
+    const reject = (message) => {
+      error = message;
+      req.uploadedSize -= size;
+      file.stream.off('data', countBytes);
+      file.stream.unpipe(output);
+      drained = new Promise(resolve => file.stream.on('end', resolve));
+      file.stream.resume();
+      output.end();
+    };
+
+    const countBytes = (chunk) => {
+      size += chunk.length;
+      req.uploadedSize += chunk.length;
+
+      if (size > maxFileSize) {
+        reject(`File exceeds the ${ResponseFormatter.formatBytes(maxFileSize)} size limit for its type`);
+      } else if (req.uploadedSize > this.maxTotalSize) {
+        reject(`Batch exceeds the ${ResponseFormatter.formatBytes(this.maxTotalSize)} total size limit`);
+      }
+    };
+
+    // Piped first, so a chunk that passes a limit is still written before
+    // the output is ended
+    file.stream.pipe(output);
+    file.stream.on('data', countBytes);
+    file.stream.on('error', cb);
+    output.on('error', cb);
+    output.on('finish', () => {
+      if (error) {
+        return fs.unlink(filePath, () => drained.then(() => cb(null, { size, error })));
+      }
+
+      cb(null, {
+        destination: this.destination,
+        filename,
+        path: filePath,
+        size,
+      });
+    });
+  }
+
+  // Files that failed a limit were never kept and no longer count
+  _removeFile(req, file, cb) {
+    if (!file.path) {
+      return cb(null);
+    }
+
+    req.uploadedSize -= file.size;
+    fs.unlink(file.path, () => cb(null));
+  }
+}
+
+const limitedDiskStorage = options => new LimitedDiskStorage(options);
+
+module.exports = {
+  limitedDiskStorage,
+};
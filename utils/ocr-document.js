@@ -0,0 +1,156 @@
+const { version: tesseractVersion } = require('tesseract.js/package.json');
+
+// Export OCR layouts as hOCR or ALTO XML. Both take a list of pages of the
+// form { page, width, height, blocks }, where `blocks` is the layout built by
+// OCRService#buildLayout and all coordinates are image pixels.
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const bboxTitle = ({ x0, y0, x1, y1 }) => `bbox ${x0} ${y0} ${x1} ${y1}`;
+
+// hOCR baselines are a slope and the offset from the bottom left corner of the line box
+const hocrBaseline = (line) => {
+  const { baseline, bbox } = line;
+  if (!baseline) return '';
+
+  const slope = baseline.x1 === baseline.x0 ? 0 : (baseline.y1 - baseline.y0) / (baseline.x1 - baseline.x0);
+  const yAtLineStart = baseline.y0 + slope * (bbox.x0 - baseline.x0);
+  return `; baseline ${Number(slope.toFixed(3))} ${Math.round(yAtLineStart - bbox.y1)}`;
+};
+
+const buildHocr = (pages, { fileName = '' } = {}) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+    ' <head>',
+    `  <title>${escapeXml(fileName)}</title>`,
+    '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    `  <meta name="ocr-system" content="tesseract.js ${tesseractVersion}"/>`,
+    '  <meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>',
+    `  <meta name="ocr-number-of-pages" content="${pages.length}"/>`,
+    ' </head>',
+    ' <body>'
+  ];
+
+  for (const page of pages) {
+    const p = page.page;
+    const image = fileName ? `image "${fileName}"; ` : '';
+    lines.push(`  <div class="ocr_page" id="page_${p}" title="${escapeXml(`${image}bbox 0 0 ${page.width} ${page.height}; ppageno ${p - 1}`)}">`);
+
+    page.blocks.forEach((block, b) => {
+      lines.push(`   <div class="ocr_carea" id="block_${p}_${b + 1}" title="${bboxTitle(block.bbox)}">`);
+
+      block.paragraphs.forEach((paragraph, pa) => {
+        lines.push(`    <p class="ocr_par" id="par_${p}_${b + 1}_${pa + 1}" title="${bboxTitle(paragraph.bbox)}">`);
+
+        paragraph.lines.forEach((line, l) => {
+          const lineId = `${p}_${b + 1}_${pa + 1}_${l + 1}`;
+          const words = line.words.map((word, w) =>
+            `<span class="ocrx_word" id="word_${lineId}_${w + 1}" title="${bboxTitle(word.bbox)}; x_wconf ${word.confidence}">${escapeXml(word.text)}</span>`);
+
+          lines.push(`     <span class="ocr_line" id="line_${lineId}" title="${bboxTitle(line.bbox)}${hocrBaseline(line)}">${words.join(' ')}</span>`);
+        });
+
+        lines.push('    </p>');
+      });
+
+      lines.push('   </div>');
+    });
+
+    lines.push('  </div>');
+  }
+
+  lines.push(' </body>', '</html>', '');
+  return lines.join('\n');
+};
+
+const altoPosition = ({ x0, y0, x1, y1 }) =>
+  `HPOS="${x0}" VPOS="${y0}" WIDTH="${x1 - x0}" HEIGHT="${y1 - y0}"`;
+
+const buildAlto = (pages, { fileName = '' } = {}) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/standards/alto/v4/alto-4-2.xsd">',
+    ' <Description>',
+    '  <MeasurementUnit>pixel</MeasurementUnit>',
+    '  <sourceImageInformation>',
+    `   <fileName>${escapeXml(fileName)}</fileName>`,
+    '  </sourceImageInformation>',
+    '  <OCRProcessing ID="OCR_0">',
+    '   <ocrProcessingStep>',
+    '    <processingSoftware>',
+    '     <softwareName>tesseract.js</softwareName>',
+    `     <softwareVersion>${tesseractVersion}</softwareVersion>`,
+    '    </processingSoftware>',
+    '   </ocrProcessingStep>',
+    '  </OCRProcessing>',
+    ' </Description>',
+    ' <Layout>'
+  ];
+
+  for (const page of pages) {
+    const p = page.page;
+    lines.push(`  <Page ID="page_${p}" PHYSICAL_IMG_NR="${p}" WIDTH="${page.width}" HEIGHT="${page.height}">`);
+    lines.push(`   <PrintSpace HPOS="0" VPOS="0" WIDTH="${page.width}" HEIGHT="${page.height}">`);
+
+    // Tesseract blocks become composed blocks and its paragraphs text blocks
+    page.blocks.forEach((block, b) => {
+      lines.push(`    <ComposedBlock ID="cblock_${p}_${b + 1}" ${altoPosition(block.bbox)}>`);
+
+      block.paragraphs.forEach((paragraph, pa) => {
+        lines.push(`     <TextBlock ID="block_${p}_${b + 1}_${pa + 1}" ${altoPosition(paragraph.bbox)}>`);
+
+        paragraph.lines.forEach((line, l) => {
+          const lineId = `${p}_${b + 1}_${pa + 1}_${l + 1}`;
+          const baseline = line.baseline
+            ? ` BASELINE="${line.baseline.x0},${line.baseline.y0} ${line.baseline.x1},${line.baseline.y1}"`
+            : '';
+          lines.push(`      <TextLine ID="line_${lineId}" ${altoPosition(line.bbox)}${baseline}>`);
+
+          line.words.forEach((word, w) => {
+            const previous = line.words[w - 1];
+            if (previous) {
+              lines.push(`       <SP WIDTH="${Math.max(word.bbox.x0 - previous.bbox.x1, 0)}" VPOS="${word.bbox.y0}" HPOS="${previous.bbox.x1}"/>`);
+            }
+            lines.push(`       <String ID="string_${lineId}_${w + 1}" ${altoPosition(word.bbox)} WC="${(word.confidence / 100).toFixed(2)}" CONTENT="${escapeXml(word.text)}"/>`);
+          });
+
+          lines.push('      </TextLine>');
+        });
+
+        lines.push('     </TextBlock>');
+      });
+
+      lines.push('    </ComposedBlock>');
+    });
+
+    lines.push('   </PrintSpace>', '  </Page>');
+  }
+
+  lines.push(' </Layout>', '</alto>', '');
+  return lines.join('\n');
+};
+
+const OCR_DOCUMENT_FORMATS = {
+  hocr: { mimeType: 'application/xhtml+xml', build: buildHocr },
+  alto: { mimeType: 'application/xml', build: buildAlto }
+};
+
+const isOcrDocumentFormat = (format) => Object.prototype.hasOwnProperty.call(OCR_DOCUMENT_FORMATS, format);
+
+// Build an hOCR or ALTO document as { format, mimeType, content }
+const createOcrDocument = (format, pages, info = {}) => {
+  const { mimeType, build } = OCR_DOCUMENT_FORMATS[format];
+  return { format, mimeType, content: build(pages, info) };
+};
+
+module.exports = {
+  isOcrDocumentFormat,
+  createOcrDocument,
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const constants = require('../config/constants');
+
+const OCR_SETTINGS = constants.FILES.OCR;
+
+// Tesseract language lists join language codes with "+", e.g. "eng+deu".
+// `auto` detects the language from a first OCR pass instead.
+const LANGUAGE_SPEC_PATTERN = /^(auto|[a-z]{3}(_[a-z]+)*(\+[a-z]{3}(_[a-z]+)*)*)$/;
+
+const TRAINEDDATA_SUFFIX = '.traineddata';
+
+const parseLanguages = spec => spec.split('+');
+
+// Last read of the language data directory
+let installedCache = null;
+
+const readInstalledLanguages = () => {
+  try {
+    return fs.readdirSync(OCR_SETTINGS.LANGUAGE_DATA_DIR)
+      .filter(name => name.endsWith(TRAINEDDATA_SUFFIX))
+      .map(name => name.slice(0, -TRAINEDDATA_SUFFIX.length))
+      .sort();
+  } catch (error) {
+    console.error('Could not read OCR language data directory:', error.message);
+    return [];
+  }
+};
+
+// Languages with a traineddata file in the local language data directory,
+// or null when language data is downloaded on demand. The directory is read
+// again once the list is older than LANGUAGE_LIST_TTL, so languages added
+// while the service runs are picked up.
+const getInstalledLanguages = () => {
+  if (!OCR_SETTINGS.LANGUAGE_DATA_DIR) {
+    return null;
+  }
+
+  if (!installedCache || Date.now() - installedCache.readAt > OCR_SETTINGS.LANGUAGE_LIST_TTL) {
+    installedCache = { languages: readInstalledLanguages(), readAt: Date.now() };
+  }
+
+  return installedCache.languages;
+};
+
+// Check a language list, returning an error message or null
+const validateLanguageSpec = (spec) => {
+  if (!LANGUAGE_SPEC_PATTERN.test(spec)) {
+    return 'must be auto or Tesseract language codes joined by +, such as eng+deu';
+  }
+
+  const installed = getInstalledLanguages();
+  if (!installed) {
+    return null;
+  }
+
+  if (installed.length === 0) {
+    return 'cannot be used: no OCR languages are installed';
+  }
+
+  const missing = spec === 'auto' ? [] : parseLanguages(spec).filter(language => !installed.includes(language));
+  if (missing.length > 0) {
+    return `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} not installed; installed languages are ${installed.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Tesseract options that load the language data from the local directory
+// instead of downloading it, without caching a copy in the working directory
+const getLanguageDataOptions = () => (OCR_SETTINGS.LANGUAGE_DATA_DIR
+  ? { langPath: OCR_SETTINGS.LANGUAGE_DATA_DIR, gzip: false, cacheMethod: 'none' }
+  : {});
+
+module.exports = {
+  getInstalledLanguages,
+  validateLanguageSpec,
+  getLanguageDataOptions,
+};
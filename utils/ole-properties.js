@@ -0,0 +1,129 @@
+const CFB = require('cfb');
+const iconv = require('iconv-lite');
+
+const SUMMARY_INFORMATION_STREAM = '\u0005SummaryInformation';
+
+// Property ids of the SummaryInformation property set
+const SUMMARY_PROPERTIES = {
+  2: 'title',
+  3: 'subject',
+  4: 'author',
+  5: 'keywords',
+  6: 'comments',
+  8: 'lastAuthor',
+  12: 'created',
+  13: 'modified',
+  14: 'pages',
+  15: 'words',
+  16: 'characters',
+  18: 'application'
+};
+
+const PID_CODEPAGE = 1;
+
+const VT = {
+  I2: 0x02,
+  I4: 0x03,
+  LPSTR: 0x1E,
+  LPWSTR: 0x1F,
+  FILETIME: 0x40
+};
+
+// 100ns intervals between 1601-01-01 and 1970-01-01
+const FILETIME_EPOCH_OFFSET = 116444736000000000n;
+
+const codepageEncoding = (codepage) => {
+  if (codepage === 65001) return 'utf8';
+  if (codepage === 1200) return 'utf16le';
+  const encoding = `windows-${codepage}`;
+  return iconv.encodingExists(encoding) ? encoding : 'windows-1252';
+};
+
+const readFiletime = (buffer, offset) => {
+  const ticks = buffer.readBigUInt64LE(offset);
+  if (ticks === 0n) return null;
+  return new Date(Number((ticks - FILETIME_EPOCH_OFFSET) / 10000n)).toISOString();
+};
+
+const readValue = (buffer, offset, encoding) => {
+  const type = buffer.readUInt16LE(offset);
+  const valueOffset = offset + 4;
+
+  switch (type) {
+  case VT.I2:
+    return buffer.readInt16LE(valueOffset);
+  case VT.I4:
+    return buffer.readInt32LE(valueOffset);
+  case VT.LPSTR: {
+    const length = buffer.readUInt32LE(valueOffset);
+    const bytes = buffer.subarray(valueOffset + 4, valueOffset + 4 + length);
+    return iconv.decode(bytes, encoding).replace(/\0+$/, '');
+  }
+  case VT.LPWSTR: {
+    const length = buffer.readUInt32LE(valueOffset);
+    return buffer.toString('utf16le', valueOffset + 4, valueOffset + 4 + length * 2).replace(/\0+$/, '');
+  }
+  case VT.FILETIME:
+    return readFiletime(buffer, valueOffset);
+  default:
+    return null;
+  }
+};
+
+// Parse the first section of a property set stream ([MS-OLEPS]) into a map
+// of property id to value
+const readPropertySet = (buffer) => {
+  const sectionOffset = buffer.readUInt32LE(44);
+  const propertyCount = buffer.readUInt32LE(sectionOffset + 4);
+  const offsets = new Map();
+
+  for (let i = 0; i < propertyCount; i++) {
+    const entry = sectionOffset + 8 + i * 8;
+    offsets.set(buffer.readUInt32LE(entry), sectionOffset + buffer.readUInt32LE(entry + 4));
+  }
+
+  // Strings are stored in the code page given by property 1
+  const encoding = offsets.has(PID_CODEPAGE)
+    ? codepageEncoding(readValue(buffer, offsets.get(PID_CODEPAGE), 'windows-1252') & 0xFFFF)
+    : 'windows-1252';
+
+  const values = new Map();
+  for (const [id, offset] of offsets) {
+    if (id !== PID_CODEPAGE) values.set(id, readValue(buffer, offset, encoding));
+  }
+  return values;
+};
+
+// Read the document properties (title, author, dates, statistics) of an OLE
+// compound file such as a Word 97-2003 document. Missing or unreadable
+// properties are left out.
+const readSummaryInformation = (fileBuffer) => {
+  const properties = {};
+
+  try {
+    const container = CFB.read(fileBuffer, { type: 'buffer' });
+    const stream = CFB.find(container, SUMMARY_INFORMATION_STREAM);
+
+    if (!stream || !stream.content || stream.content.length < 48) {
+      return properties;
+    }
+
+    const values = readPropertySet(Buffer.from(stream.content));
+
+    for (const [id, name] of Object.entries(SUMMARY_PROPERTIES)) {
+      const value = values.get(Number(id));
+      if (value !== null && value !== undefined && value !== '') {
+        properties[name] = typeof value === 'string' ? value.trim() : value;
+      }
+    }
+  } catch (error) {
+    console.log('Could not read document properties:', error.message);
+    return {};
+  }
+
+  return properties;
+};
+
+module.exports = {
+  readSummaryInformation,
+};
@@ -0,0 +1,64 @@
+const { DOMParser } = require('@xmldom/xmldom');
+
+const NS = {
+  cp: 'http://schemas.openxmlformats.org/package/2006/metadata/core-properties',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  dcterms: 'http://purl.org/dc/terms/',
+  app: 'http://schemas.openxmlformats.org/officeDocument/2006/extended-properties'
+};
+
+const CORE_PROPERTIES_PART = 'docProps/core.xml';
+const APP_PROPERTIES_PART = 'docProps/app.xml';
+
+// Entry names of the property parts, for picking them out of the package
+const isPropertiesPart = name => name === CORE_PROPERTIES_PART || name === APP_PROPERTIES_PART;
+
+const readField = (document, namespace, name) => {
+  const element = document.getElementsByTagNameNS(namespace, name)[0];
+  return element ? element.textContent.trim() || null : null;
+};
+
+const parsePart = buffer => new DOMParser().parseFromString(buffer.toString('utf8'), 'text/xml');
+
+// Read the core (title, author, dates) and extended (application, statistics)
+// properties of an Office Open XML package. `parts` maps entry names to
+// their contents; missing parts or fields are left out.
+const readOoxmlProperties = (parts) => {
+  const properties = {};
+
+  if (parts.has(CORE_PROPERTIES_PART)) {
+    const core = parsePart(parts.get(CORE_PROPERTIES_PART));
+    Object.assign(properties, {
+      title: readField(core, NS.dc, 'title'),
+      author: readField(core, NS.dc, 'creator'),
+      subject: readField(core, NS.dc, 'subject'),
+      keywords: readField(core, NS.cp, 'keywords'),
+      language: readField(core, NS.dc, 'language'),
+      lastModifiedBy: readField(core, NS.cp, 'lastModifiedBy'),
+      created: readField(core, NS.dcterms, 'created'),
+      modified: readField(core, NS.dcterms, 'modified')
+    });
+  }
+
+  if (parts.has(APP_PROPERTIES_PART)) {
+    const app = parsePart(parts.get(APP_PROPERTIES_PART));
+    const count = name => {
+      const value = parseInt(readField(app, NS.app, name), 10);
+      return Number.isNaN(value) ? null : value;
+    };
+
+    Object.assign(properties, {
+      application: readField(app, NS.app, 'Application'),
+      pages: count('Pages'),
+      words: count('Words'),
+      slides: count('Slides')
+    });
+  }
+
+  return properties;
+};
+
+module.exports = {
+  isPropertiesPart,
+  readOoxmlProperties,
+};
@@ -0,0 +1,46 @@
+// Page range syntax: comma-separated page numbers and ranges, e.g. "1-3,7".
+// A range without an end ("5-") runs to the last page.
+const PAGE_RANGE_PATTERN = /^\d+(-\d*)?(,\d+(-\d*)?)*$/;
+
+const parseRangeParts = (spec) => {
+  return spec.split(',').map((part) => {
+    const [start, end] = part.split('-');
+    return {
+      start: parseInt(start, 10),
+      end: end === undefined ? parseInt(start, 10) : (end === '' ? Infinity : parseInt(end, 10))
+    };
+  });
+};
+
+// Check a page range string, returning an error message or null
+const validatePageRange = (spec) => {
+  if (!PAGE_RANGE_PATTERN.test(spec)) {
+    return 'must be a list of page numbers and ranges such as 1-3,7';
+  }
+
+  for (const { start, end } of parseRangeParts(spec)) {
+    if (start < 1) {
+      return 'page numbers start at 1';
+    }
+    if (end < start) {
+      return `range ${start}-${end} ends before it starts`;
+    }
+  }
+
+  return null;
+};
+
+// Predicate telling whether a page number is part of a page range string
+const createPageFilter = (spec) => {
+  const ranges = parseRangeParts(spec);
+  return page => ranges.some(({ start, end }) => page >= start && page <= end);
+};
+
+// Highest page a range asks for, or Infinity if a range is open-ended
+const getLastPage = (spec) => Math.max(...parseRangeParts(spec).map(range => range.end));
+
+module.exports = {
+  validatePageRange,
+  createPageFilter,
+  getLastPage,
+};
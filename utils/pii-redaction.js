@@ -0,0 +1,226 @@
+const { validateStepSpec, resolveSteps } = require('./step-spec');
+
+// Kinds of personal data that can be redacted, in the order they are looked
+// for. A later kind never claims text an earlier one already found, so card
+// numbers and dates are not also reported as phone numbers.
+const PII_TYPES = ['email', 'iban', 'creditcard', 'nationalid', 'dob', 'phone'];
+
+const PLACEHOLDERS = {
+  email: '[EMAIL]',
+  iban: '[IBAN]',
+  creditcard: '[CREDIT_CARD]',
+  nationalid: '[NATIONAL_ID]',
+  dob: '[DATE_OF_BIRTH]',
+  phone: '[PHONE]',
+};
+
+const MASK_CHARACTER = '*';
+
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// Country code, check digits and up to 30 letters or digits, printed with or
+// without spaces
+const IBAN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g;
+
+// 13 to 19 digits, optionally grouped with spaces or dashes
+const CARD_NUMBER = /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g;
+
+// US social security numbers and UK national insurance numbers
+const NATIONAL_IDS = [
+  /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g,
+  /\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+];
+
+// Dates written as 31.12.1980, 12/31/80, 1980-12-31, 31 December 1980 or
+// December 31, 1980
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+const DATE = `\\d{1,2}[./-]\\d{1,2}[./-](?:\\d{4}|\\d{2})|\\d{4}-\\d{2}-\\d{2}|\\d{1,2}\\.? ${MONTH} \\d{4}|${MONTH} \\d{1,2},? \\d{4}`;
+
+// A date is only a date of birth when a label says so
+const DATE_OF_BIRTH = new RegExp(
+  `(?:\\b(?:date of birth|birth ?date|born(?: on)?|geburtsdatum|geboren(?: am)?)|\\bd\\.?o\\.?b\\b\\.?|\\bgeb\\.)[\\s:]*(?<date>${DATE})(?!\\d)`,
+  'gid'
+);
+
+const DATE_ONLY = new RegExp(`^(?:${DATE})$`, 'i');
+
+// International, trunk-prefixed or area-code phone numbers with 7 to 15
+// digits, e.g. +49 30 1234567, 030 1234567 or (555) 123-4567
+const PHONE = /(?<![\w+])(?:(?:\+|00)\d{1,3}[ .-]?)?(?:\(\d{1,5}\)[ .-]?)?\d{2,5}(?:[ .-]?\d{2,5}){1,4}(?!\w)/g;
+const NORTH_AMERICAN_PHONE = /^\d{3}[ .-]\d{3}[ .-]\d{4}$/;
+
+// Check a type selection string, returning an error message or null
+const validateRedactTypes = spec => validateStepSpec(spec, PII_TYPES, 'personal data types such as email,phone', 'type');
+
+// Types to redact for a request; every type when none are chosen
+const resolveRedactTypes = spec => resolveSteps(spec, PII_TYPES, 'all');
+
+const digitsOf = value => value.replace(/\D/g, '');
+
+// Luhn checksum used by payment card numbers
+const passesLuhn = (digits) => {
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// ISO 13616 check: the IBAN with its first four characters moved to the end
+// and letters turned into numbers leaves a remainder of 1 when divided by 97
+const passesIbanCheck = (iban) => {
+  const numeric = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => letter.charCodeAt(0) - 55);
+  let remainder = 0;
+  for (const digit of numeric) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+};
+
+const spansOf = (pattern, text, accept = () => true) => [...text.matchAll(pattern)]
+  .filter(match => accept(match[0]))
+  .map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+// A printed IBAN can run into a following word in capitals, so groups are
+// dropped from the end until the rest passes the check
+const findIbans = text => [...text.matchAll(IBAN)].flatMap((match) => {
+  const groups = match[0].split(' ');
+  while (groups.length > 0) {
+    const candidate = groups.join(' ');
+    const compact = candidate.replace(/ /g, '');
+    if (compact.length < 15) break;
+    if (passesIbanCheck(compact)) {
+      return [{ start: match.index, end: match.index + candidate.length }];
+    }
+    groups.pop();
+  }
+  return [];
+});
+
+const findPhones = text => spansOf(PHONE, text, (value) => {
+  const digits = digitsOf(value);
+  return digits.length >= 7 && digits.length <= 15 &&
+    !DATE_ONLY.test(value) &&
+    (/^(\+|00|\(|0)/.test(value) || NORTH_AMERICAN_PHONE.test(value));
+});
+
+const DETECTORS = {
+  email: text => spansOf(EMAIL, text),
+  iban: findIbans,
+  creditcard: text => spansOf(CARD_NUMBER, text, value => passesLuhn(digitsOf(value))),
+  nationalid: text => NATIONAL_IDS.flatMap(pattern => spansOf(pattern, text)),
+  dob: text => [...text.matchAll(DATE_OF_BIRTH)].map((match) => {
+    const [start, end] = match.indices.groups.date;
+    return { start, end };
+  }),
+  phone: findPhones,
+};
+
+// Personal data in a text, as non-overlapping spans in text order
+const findPii = (text, types) => {
+  const findings = [];
+
+  for (const type of PII_TYPES.filter(type => types.includes(type))) {
+    for (const span of DETECTORS[type](text)) {
+      const overlaps = findings.some(found => span.start < found.end && found.start < span.end);
+      if (!overlaps) findings.push({ type, ...span });
+    }
+  }
+
+  return findings.sort((a, b) => a.start - b.start);
+};
+
+// Masking keeps separators such as @, dots and dashes so the shape of the
+// value stays readable; placeholders name the type instead
+const replacementFor = (value, type, mode) => mode === 'mask'
+  ? value.replace(/[\p{L}\p{N}]/gu, MASK_CHARACTER)
+  : PLACEHOLDERS[type];
+
+// Redact personal data in a text. Each finding has its offsets in the
+// redacted text (`start`, `end`) and in the original (`originalStart`,
+// `originalEnd`); the value itself is never reported.
+const redactText = (text, types, mode) => {
+  let redacted = '';
+  let position = 0;
+
+  const findings = findPii(text, types).map(({ type, start, end }) => {
+    redacted += text.slice(position, start);
+    const replacement = replacementFor(text.slice(start, end), type, mode);
+    const finding = {
+      type,
+      start: redacted.length,
+      end: redacted.length + replacement.length,
+      originalStart: start,
+      originalEnd: end,
+    };
+    redacted += replacement;
+    position = end;
+    return finding;
+  });
+
+  return { text: redacted + text.slice(position), findings };
+};
+
+// Redact every string inside a value, returning the copy and how many
+// matches were replaced. Values other than strings, arrays and plain
+// objects, such as dates, are kept as they are.
+const redactValue = (value, types, mode) => {
+  if (typeof value === 'string') {
+    const { text, findings } = redactText(value, types, mode);
+    return { value: text, count: findings.length };
+  }
+
+  if (Array.isArray(value) || (value && Object.getPrototypeOf(value) === Object.prototype)) {
+    let count = 0;
+    const entries = Object.entries(value).map(([key, item]) => {
+      const redacted = redactValue(item, types, mode);
+      count += redacted.count;
+      return [key, redacted.value];
+    });
+    const copy = Array.isArray(value) ? entries.map(([, item]) => item) : Object.fromEntries(entries);
+    return { value: copy, count };
+  }
+
+  return { value, count: 0 };
+};
+
+// Redact an extraction result. Findings are reported with offsets into
+// `text`; every other string of the result, such as page texts, tables,
+// metadata and archive entries, is redacted too and counted under
+// `otherMatches`.
+const redactResult = (result, mode, types) => {
+  const { text: originalText, ...rest } = result;
+  const { text, findings } = redactText(originalText || '', types, mode);
+  const others = redactValue(rest, types, mode);
+
+  const counts = {};
+  for (const finding of findings) {
+    counts[finding.type] = (counts[finding.type] || 0) + 1;
+  }
+
+  return {
+    ...others.value,
+    text,
+    redaction: {
+      mode,
+      types,
+      findings,
+      counts,
+      otherMatches: others.count,
+    },
+  };
+};
+
+module.exports = {
+  PII_TYPES,
+  validateRedactTypes,
+  resolveRedactTypes,
+  findPii,
+  redactText,
+  redactResult,
+};
@@ -0,0 +1,11 @@
+// Progress callbacks take the finished fraction of a task, from 0 to 1.
+// For a task made of `count` equal parts, the callback for part `index`
+// reports its own fraction as part of the whole. Undefined when there is
+// nobody to report to.
+const partProgress = (onProgress, index, count) => (onProgress
+  ? fraction => onProgress((index + Math.min(Math.max(fraction, 0), 1)) / count)
+  : undefined);
+
+module.exports = {
+  partProgress,
+};
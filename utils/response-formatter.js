@@ -43,6 +43,36 @@ class ResponseFormatter {
     };
   }
 
+  // Envelope returned by POST /extract and by completed extraction jobs
+  static extractionResponse(result, file, storageInfo) {
+    return {
+      success: true,
+      filename: file.originalName,
+      fileType: file.mimetype,
+      fileSize: file.size,
+      storageInfo: {
+        path: storageInfo.path,
+        fileName: storageInfo.fileName
+      },
+      extractedText: result.text,
+      wordCount: result.text.split(/\s+/).filter(word => word.length > 0).length,
+      language: result.language || null,
+      metadata: result.metadata || {},
+      ...(result.pages && { pages: result.pages }),
+      ...(result.entries && { entries: result.entries }),
+      ...(result.email && { email: result.email }),
+      ...(result.attachments && { attachments: result.attachments }),
+      ...(result.structured && { structured: result.structured }),
+      ...(result.tables && { tables: result.tables }),
+      ...(result.ocrDocument && { ocrDocument: result.ocrDocument }),
+      ...(result.redaction && { redaction: result.redaction }),
+      ...(result.chunks && { chunking: result.chunking, chunks: result.chunks }),
+      ...(result.cache && { cache: result.cache }),
+      processingTime: result.processingTime,
+      timestamp: new Date().toISOString()
+    };
+  }
+
   static formatBytes(bytes, decimals = 2) {
     if (bytes === 0) return '0 Bytes';
 
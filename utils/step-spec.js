@@ -0,0 +1,57 @@
+// Step selection syntax shared by the processing pipelines: comma-separated
+// tokens applied left to right on top of the default steps. `step` turns a
+// step on, `-step` turns it off, `all` and `none` select every step or none,
+// e.g. "none,deskew" or "-upscale".
+const STEP_SPEC_PATTERN = /^-?[a-z]+(,-?[a-z]+)*$/;
+
+// Check a step selection string against the steps of a pipeline, returning
+// an error message or null. `example` describes the expected value and
+// `noun` what the steps are called in messages.
+const validateStepSpec = (spec, steps, example, noun = 'step') => {
+  if (!STEP_SPEC_PATTERN.test(spec)) {
+    return `must be a comma-separated list of ${example}`;
+  }
+
+  for (const token of spec.split(',')) {
+    const step = token.replace(/^-/, '');
+    if (step === 'all' || step === 'none') {
+      if (token.startsWith('-')) {
+        return `${step} cannot be turned off`;
+      }
+    } else if (!steps.includes(step)) {
+      return `has unknown ${noun} ${step}; ${noun}s are ${steps.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+// Steps selected by a string, in pipeline order
+const applyStepSpec = (spec, steps, initialSteps) => {
+  const selected = new Set(initialSteps);
+
+  for (const token of spec.split(',')) {
+    if (token === 'none') {
+      selected.clear();
+    } else if (token === 'all') {
+      steps.forEach(step => selected.add(step));
+    } else if (token.startsWith('-')) {
+      selected.delete(token.slice(1));
+    } else {
+      selected.add(token);
+    }
+  }
+
+  return steps.filter(step => selected.has(step));
+};
+
+// Steps to run for a request: `spec` on top of the pipeline's defaults
+const resolveSteps = (spec, steps, defaultSpec) => {
+  const defaults = applyStepSpec(defaultSpec, steps, []);
+  return spec ? applyStepSpec(spec, steps, defaults) : defaults;
+};
+
+module.exports = {
+  validateStepSpec,
+  resolveSteps,
+};
@@ -0,0 +1,34 @@
+// Tables found in a document are 2D arrays of cell text. These helpers pad
+// them to a rectangle and export them as JSON rows or CSV.
+
+// Give every row the same number of cells
+const normalizeRows = (rows) => {
+  const columnCount = Math.max(0, ...rows.map(row => row.length));
+  return rows.map(row => Array.from({ length: columnCount }, (_, index) => row[index] || ''));
+};
+
+// RFC 4180: quote cells with separators, quotes or line breaks
+const toCsv = (rows) => rows
+  .map(row => row
+    .map(cell => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell))
+    .join(','))
+  .join('\r\n');
+
+// Number the tables and give each its rows (`json`) or CSV text (`csv`)
+const exportTables = (tables, format = 'json') => tables.map((table, index) => {
+  const rows = normalizeRows(table.rows);
+
+  return {
+    index,
+    position: table.position,
+    rowCount: rows.length,
+    columnCount: rows.length > 0 ? rows[0].length : 0,
+    ...(format === 'csv' ? { csv: toCsv(rows) } : { rows })
+  };
+});
+
+module.exports = {
+  normalizeRows,
+  toCsv,
+  exportTables,
+};
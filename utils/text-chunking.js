@@ -0,0 +1,215 @@
+const constants = require('../config/constants');
+
+const CHUNKING = constants.CHUNKING;
+
+// Words, numbers and single punctuation marks, the units chunk sizes are
+// counted in. This is close to, and usually a little below, the token count
+// of model tokenizers.
+const TOKEN = /[\p{L}\p{M}\p{N}]+|[^\s\p{L}\p{M}\p{N}]/gu;
+
+const PARAGRAPH_BREAK = /\n[ \t]*\n/g;
+
+const MARKDOWN_HEADING = /^#{1,6}\s+/;
+
+// Section numbering in front of a heading, such as "2." or "4.1"
+const SECTION_NUMBER = /^\d+(\.\d+)*\.?\s+/;
+
+// A paragraph that is a single short line without sentence punctuation,
+// such as "2. Terms of Payment" or "## Scope", is taken as a heading
+const isHeading = (paragraph) => {
+  const line = paragraph.trim();
+
+  if (line.includes('\n')) return false;
+  if (MARKDOWN_HEADING.test(line)) return true;
+
+  const title = line.replace(SECTION_NUMBER, '');
+  return title.length <= 80 &&
+    title.split(/\s+/).length <= 10 &&
+    /^[\p{Lu}\p{N}]/u.test(title) &&
+    /\p{L}/u.test(title) &&
+    !/[.!?]\s/.test(title) &&
+    !/[.,;:!?]$/.test(title);
+};
+
+// Chunk size and overlap for a request. Without an overlap, chunks repeat
+// a quarter of the previous chunk up to the default overlap.
+const chunkSettings = ({ chunkSize, chunkOverlap } = {}) => {
+  const size = chunkSize || CHUNKING.DEFAULT_SIZE;
+  const overlap = chunkOverlap !== undefined
+    ? chunkOverlap
+    : Math.min(CHUNKING.DEFAULT_OVERLAP, Math.floor(size / 4));
+
+  return { size, overlap };
+};
+
+// Page spans of a text whose pages are joined with blank lines, as the
+// extraction services build it. Empty pages are not part of the text.
+const joinedPageSpans = (pages) => {
+  const spans = [];
+  let offset = 0;
+
+  for (const { page, text } of pages) {
+    if (!text) continue;
+    if (spans.length > 0) offset += 2;
+    spans.push({ page, start: offset, end: offset + text.length });
+    offset += text.length;
+  }
+
+  return spans;
+};
+
+// Page spans of a text whose pages are separated by form feeds. Without a
+// form feed the whole text is one section without a page number.
+const formFeedPageSpans = (text) => {
+  if (!text.includes('\f')) {
+    return [{ page: null, start: 0, end: text.length }];
+  }
+
+  let start = 0;
+  return text.split('\f').map((pageText, index) => {
+    const span = { page: index + 1, start, end: start + pageText.length };
+    start = span.end + 1;
+    return span;
+  });
+};
+
+// Paragraphs of a span of the text, with their offsets
+const paragraphsOf = (text, start, end) => {
+  const paragraphs = [];
+  const content = text.slice(start, end);
+  let position = 0;
+
+  for (const match of content.matchAll(PARAGRAPH_BREAK)) {
+    paragraphs.push({ start: start + position, end: start + match.index });
+    position = match.index + match[0].length;
+  }
+  paragraphs.push({ start: start + position, end });
+
+  return paragraphs
+    .map(paragraph => ({ ...paragraph, heading: isHeading(text.slice(paragraph.start, paragraph.end)) }))
+    .filter(paragraph => text.slice(paragraph.start, paragraph.end).trim());
+};
+
+// Latest index in (from, to] that is in `starts`, or null
+const lastStartIn = (starts, from, to) => {
+  for (let index = to; index > from; index--) {
+    if (starts.has(index)) return index;
+  }
+  return null;
+};
+
+// Split a text into chunks of at most `size` tokens for retrieval.
+//
+// Chunks never cross a page or run past a heading: every page and every
+// heading starts a new chunk, and consecutive headings stay together with
+// the text below them. Within a section, chunks end at the last paragraph
+// break that keeps them at least half full, else at the last sentence end,
+// else after `size` tokens. Each chunk after the first in a section repeats
+// up to `overlap` tokens of the one before, starting at a sentence where
+// one begins in that range.
+//
+// `spans` are the pages of the text as { page, start, end } offsets. Each
+// chunk has its offsets in the text, its token count, its page number and
+// the heading it falls under.
+const chunkText = (text, spans, { size, overlap }) => {
+  const tokens = [...text.matchAll(TOKEN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    value: match[0],
+  }));
+
+  // Index of the first token at or after a character offset
+  let cursor = 0;
+  const tokenAt = (offset) => {
+    while (cursor < tokens.length && tokens[cursor].start < offset) cursor++;
+    return cursor;
+  };
+
+  // Sections are runs of tokens between hard boundaries
+  const sections = [];
+  for (const span of spans) {
+    let section = null;
+
+    for (const paragraph of paragraphsOf(text, span.start, span.end)) {
+      const first = tokenAt(paragraph.start);
+      const last = tokenAt(paragraph.end);
+      if (first === last) continue;
+
+      if (!section || (paragraph.heading && !section.onlyHeadings)) {
+        section = { page: span.page, first, last, paragraphStarts: new Set(), onlyHeadings: true, heading: null };
+        sections.push(section);
+      }
+
+      if (paragraph.heading && section.onlyHeadings) {
+        section.heading = text.slice(paragraph.start, paragraph.end).trim().replace(MARKDOWN_HEADING, '');
+      }
+      section.onlyHeadings = section.onlyHeadings && paragraph.heading;
+      section.paragraphStarts.add(first);
+      section.last = last;
+    }
+  }
+
+  const sentenceStarts = new Set(tokens
+    .map((token, index) => index)
+    .filter(index => index > 0 && /^[.!?]$/.test(tokens[index - 1].value)));
+
+  const chunks = [];
+  let heading = null;
+
+  for (const section of sections) {
+    if (section.heading) heading = section.heading;
+
+    let first = section.first;
+    while (first < section.last) {
+      let last = Math.min(first + size, section.last);
+
+      if (last < section.last) {
+        const paragraphEnd = lastStartIn(section.paragraphStarts, first, last);
+        const sentenceEnd = lastStartIn(sentenceStarts, first, last);
+
+        if (paragraphEnd !== null && paragraphEnd - first >= size / 2) {
+          last = paragraphEnd;
+        } else if (sentenceEnd !== null) {
+          last = sentenceEnd;
+        }
+      }
+
+      const start = tokens[first].start;
+      const end = tokens[last - 1].end;
+      chunks.push({
+        index: chunks.length,
+        text: text.slice(start, end),
+        start,
+        end,
+        tokens: last - first,
+        page: section.page,
+        heading,
+      });
+
+      if (last >= section.last) break;
+
+      // Start the next chunk inside this one, at a sentence if possible
+      let next = last;
+      if (overlap > 0) {
+        const from = Math.max(last - overlap, first + 1);
+        next = from;
+        for (let index = from; index < last; index++) {
+          if (sentenceStarts.has(index) || section.paragraphStarts.has(index)) {
+            next = index;
+            break;
+          }
+        }
+      }
+      first = next;
+    }
+  }
+
+  return chunks;
+};
+
+module.exports = {
+  chunkSettings,
+  joinedPageSpans,
+  formFeedPageSpans,
+  chunkText,
+};
@@ -0,0 +1,59 @@
+const chardet = require('chardet');
+const iconv = require('iconv-lite');
+
+// Byte order marks, checked longest first
+const BYTE_ORDER_MARKS = [
+  { encoding: 'UTF-8', bytes: [0xEF, 0xBB, 0xBF] },
+  { encoding: 'UTF-16LE', bytes: [0xFF, 0xFE] },
+  { encoding: 'UTF-16BE', bytes: [0xFE, 0xFF] },
+];
+
+const FALLBACK_ENCODING = 'windows-1252';
+
+const isValidUtf8 = (buffer) => {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Work out the character encoding of a text buffer. A byte order mark wins,
+// then valid UTF-8, then the encoding the document declares about itself,
+// then statistical detection.
+const detectEncoding = (buffer, declaredEncoding = null) => {
+  for (const bom of BYTE_ORDER_MARKS) {
+    if (bom.bytes.every((byte, index) => buffer[index] === byte)) {
+      return { encoding: bom.encoding, bomLength: bom.bytes.length, source: 'bom' };
+    }
+  }
+
+  if (isValidUtf8(buffer)) {
+    return { encoding: 'UTF-8', bomLength: 0, source: 'utf8-validation' };
+  }
+
+  if (declaredEncoding && iconv.encodingExists(declaredEncoding)) {
+    return { encoding: declaredEncoding, bomLength: 0, source: 'declared' };
+  }
+
+  const detected = chardet.detect(buffer);
+  if (detected && iconv.encodingExists(detected)) {
+    return { encoding: detected, bomLength: 0, source: 'detected' };
+  }
+
+  return { encoding: FALLBACK_ENCODING, bomLength: 0, source: 'fallback' };
+};
+
+// Decode a buffer to a string, detecting its encoding
+const decodeBuffer = (buffer, declaredEncoding = null) => {
+  const { encoding, bomLength, source } = detectEncoding(buffer, declaredEncoding);
+  const text = iconv.decode(buffer.subarray(bomLength), encoding);
+
+  return { text, encoding, source };
+};
+
+module.exports = {
+  detectEncoding,
+  decodeBuffer,
+};
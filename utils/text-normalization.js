@@ -0,0 +1,248 @@
+const constants = require('../config/constants');
+const { validateStepSpec, resolveSteps } = require('./step-spec');
+
+const SETTINGS = constants.FILES.TEXT_NORMALIZATION;
+
+// Normalization steps, in the order they run
+const NORMALIZATION_STEPS = ['unicode', 'ligatures', 'headers', 'dehyphenate', 'whitespace', 'reflow'];
+
+// Typographic ligatures and the letters they stand for
+const LIGATURES = {
+  '\uFB00': 'ff',
+  '\uFB01': 'fi',
+  '\uFB02': 'fl',
+  '\uFB03': 'ffi',
+  '\uFB04': 'ffl',
+  '\uFB05': 'st',
+  '\uFB06': 'st',
+};
+
+// Control characters other than tabs, line breaks and form feeds
+const CONTROL_CHARACTERS = /(?![\t\n\r\f])\p{Cc}/gu;
+
+// Zero-width spaces, word joiners, byte order marks and replacement characters
+const INVISIBLE_CHARACTERS = /[\u200B\u2060\uFEFF\uFFFD]/g;
+
+// Spaces other than the ASCII space, such as no-break and thin spaces
+const UNICODE_SPACES = /[\u00A0\u1680\u2000-\u200A\u202F\u205F\u3000]/g;
+
+// A word broken over two lines with a hyphen, continuing in lower case. The
+// rest of the second line moves to a line of its own.
+const HYPHENATED_WORD = /(\p{L})-\n[ \t]*(\p{Ll}+)[ \t]*\n?/gu;
+
+// Lines that start a list item and so are never joined to the line above
+const LIST_ITEM = /^([-*•▪◦‣]|\d+[.)]|[a-z][.)])\s/;
+
+// Check a step selection string, returning an error message or null
+const validateNormalizeSpec = spec => validateStepSpec(spec, NORMALIZATION_STEPS, 'normalization steps such as unicode,dehyphenate');
+
+// Steps to run for a request, in pipeline order
+const resolveNormalizeSteps = spec => resolveSteps(spec, NORMALIZATION_STEPS, SETTINGS.DEFAULT_STEPS);
+
+// Apply a text function to every page, adding up the counts it reports
+const eachPage = (transform) => (pages) => {
+  let count = 0;
+  const changed = pages.map((text) => {
+    const result = transform(text);
+    count += result.count;
+    return result.text;
+  });
+
+  return { pages: changed, count };
+};
+
+// Canonical composition, soft hyphens and invisible characters
+const normalizeUnicode = eachPage((text) => ({
+  text: text
+    .normalize('NFC')
+    .replace(/\u00AD\n/g, '-\n')
+    .replace(/\u00AD/g, '')
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(CONTROL_CHARACTERS, ''),
+  count: 0,
+}));
+
+const expandLigatures = eachPage((text) => {
+  let count = 0;
+  const expanded = text.replace(/[\uFB00-\uFB06]/g, (ligature) => {
+    count++;
+    return LIGATURES[ligature];
+  });
+
+  return { text: expanded, count };
+});
+
+// Line compared across pages, with page numbers and spacing ignored
+const lineSignature = line => line.trim().replace(/\s+/g, ' ').replace(/\d+/g, '#').toLowerCase();
+
+// Indexes of the first and last non-empty lines of a page, by position
+const edgeLines = (lines) => {
+  const filled = lines.map((line, index) => index).filter(index => lines[index].trim());
+  const top = filled.slice(0, SETTINGS.HEADER_LINES);
+  return {
+    top,
+    bottom: filled.slice(-SETTINGS.HEADER_LINES).filter(index => !top.includes(index)),
+  };
+};
+
+// Lines at the top or bottom of pages that repeat in the same place on
+// enough of the other pages are running headers and footers, such as
+// titles and page numbers
+const removeRepeatedLines = (pages) => {
+  const filledPages = pages.filter(text => text.trim()).length;
+  if (filledPages < SETTINGS.MIN_HEADER_PAGES) {
+    return { pages, removed: [] };
+  }
+
+  const pageLines = pages.map(text => text.split('\n'));
+  const pageEdges = pageLines.map(lines => {
+    const { top, bottom } = edgeLines(lines);
+    return [
+      ...top.map(index => ({ index, key: `top:${lineSignature(lines[index])}` })),
+      ...bottom.map(index => ({ index, key: `bottom:${lineSignature(lines[index])}` })),
+    ];
+  });
+
+  // Pages each line appears on, and how it first read
+  const occurrences = new Map();
+  pageEdges.forEach((edges, pageIndex) => {
+    for (const { index, key } of edges) {
+      if (!occurrences.has(key)) {
+        occurrences.set(key, { pages: new Set(), line: pageLines[pageIndex][index].trim() });
+      }
+      occurrences.get(key).pages.add(pageIndex);
+    }
+  });
+
+  const minPages = Math.max(SETTINGS.MIN_HEADER_PAGES, Math.ceil(filledPages * SETTINGS.HEADER_PAGE_SHARE));
+  const repeated = new Set([...occurrences.keys()].filter(key => occurrences.get(key).pages.size >= minPages));
+
+  if (repeated.size === 0) {
+    return { pages, removed: [] };
+  }
+
+  const cleaned = pageLines.map((lines, pageIndex) => {
+    const drop = new Set(pageEdges[pageIndex].filter(edge => repeated.has(edge.key)).map(edge => edge.index));
+    return lines.filter((line, index) => !drop.has(index)).join('\n').trim();
+  });
+
+  return {
+    pages: cleaned,
+    removed: [...repeated].map(key => occurrences.get(key).line),
+  };
+};
+
+const joinHyphenatedWords = eachPage((text) => {
+  let count = 0;
+  const joined = text.replace(HYPHENATED_WORD, (match, before, rest) => {
+    count++;
+    return `${before}${rest}\n`;
+  });
+
+  return { text: joined, count };
+});
+
+// Line endings, unusual spaces, runs of spaces and blank lines
+const normalizeWhitespace = eachPage((text) => ({
+  text: text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\f/g, '\n\n')
+    .replace(UNICODE_SPACES, ' ')
+    .replace(/(\S) {2,}/g, '$1 ')
+    .replace(/[ \t]+$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim(),
+  count: 0,
+}));
+
+// Join the lines of a paragraph that were only broken to fit the page.
+// A line much shorter than the longest line ends a sentence or heading, so
+// the line after it stays on its own. Tabbed paragraphs are left as they
+// are, since they are usually tables.
+const reflowParagraph = (paragraph) => {
+  const lines = paragraph.split('\n').map(line => line.trim());
+  const width = Math.max(...lines.map(line => line.length));
+
+  if (lines.length < 2 || width < SETTINGS.MIN_REFLOW_WIDTH || paragraph.includes('\t')) {
+    return { text: paragraph, count: 0 };
+  }
+
+  let count = 0;
+  const text = lines.reduce((joined, line, index) => {
+    if (index === 0) return line;
+
+    if (lines[index - 1].length >= width * 0.6 && !LIST_ITEM.test(line)) {
+      count++;
+      return `${joined} ${line}`;
+    }
+    return `${joined}\n${line}`;
+  }, '');
+
+  return { text, count };
+};
+
+const reflowParagraphs = eachPage((text) => {
+  let count = 0;
+  const reflowed = text.split(/(\n[ \t]*\n)/).map((part, index) => {
+    // Odd parts are the blank lines between paragraphs
+    if (index % 2 === 1) return part;
+
+    const result = reflowParagraph(part);
+    count += result.count;
+    return result.text;
+  }).join('');
+
+  return { text: reflowed, count };
+});
+
+// Each step takes the page texts and returns the new ones with the details
+// reported when the step changed something
+const STEP_FUNCTIONS = {
+  unicode: pages => ({ pages: normalizeUnicode(pages).pages }),
+  ligatures: (pages) => {
+    const { pages: changed, count } = expandLigatures(pages);
+    return { pages: changed, replaced: count };
+  },
+  headers: (pages) => {
+    const { pages: changed, removed } = removeRepeatedLines(pages);
+    return { pages: changed, removedLines: removed };
+  },
+  dehyphenate: (pages) => {
+    const { pages: changed, count } = joinHyphenatedWords(pages);
+    return { pages: changed, joinedWords: count };
+  },
+  whitespace: pages => ({ pages: normalizeWhitespace(pages).pages }),
+  reflow: (pages) => {
+    const { pages: changed, count } = reflowParagraphs(pages);
+    return { pages: changed, joinedLines: count };
+  },
+};
+
+// Run the selected steps over the text of each page of a document. Returns
+// the normalized page texts, the steps that changed the text and a report
+// of every step that ran.
+const normalizeText = (pageTexts, steps) => {
+  let pages = pageTexts;
+  const report = [];
+
+  for (const step of steps) {
+    const { pages: changed, ...details } = STEP_FUNCTIONS[step](pages);
+    const applied = changed.some((text, index) => text !== pages[index]);
+
+    report.push({ step, applied, ...(applied && details) });
+    pages = changed;
+  }
+
+  return {
+    pages,
+    applied: report.filter(entry => entry.applied).map(entry => entry.step),
+    steps: report,
+  };
+};
+
+module.exports = {
+  NORMALIZATION_STEPS,
+  validateNormalizeSpec,
+  resolveNormalizeSteps,
+  normalizeText,
+};
@@ -1,5 +1,10 @@
 const Joi = require('joi');
 const constants = require('../config/constants');
+const { validatePageRange } = require('./page-range');
+const { validatePreprocessSpec } = require('./image-preprocessing');
+const { validateNormalizeSpec } = require('./text-normalization');
+const { validateRedactTypes } = require('./pii-redaction');
+const { validateLanguageSpec } = require('./ocr-languages');
 
 // Common validation schemas
 const schemas = {
@@ -28,6 +33,50 @@ const schemas = {
   conversationId: Joi.string().uuid().required(),
   conversationTitle: Joi.string().min(1).max(255).trim().optional(),
   
+  // Job validation
+  jobId: Joi.string().uuid().required(),
+  
+  // Page selection within a document, e.g. "1-3,7"
+  pageRange: Joi.string().replace(/\s+/g, '').custom((value, helpers) => {
+    const error = validatePageRange(value);
+    return error ? helpers.message(`{{#label}} ${error}`) : value;
+  }),
+
+  // OCR preprocessing steps to turn on or off, e.g. "none,deskew"
+  preprocessSteps: Joi.string().lowercase().replace(/\s+/g, '').custom((value, helpers) => {
+    const error = validatePreprocessSpec(value);
+    return error ? helpers.message(`{{#label}} ${error}`) : value;
+  }),
+
+  // Text normalization steps to turn on or off, e.g. "all,-reflow"
+  normalizeSteps: Joi.string().lowercase().replace(/\s+/g, '').custom((value, helpers) => {
+    const error = validateNormalizeSpec(value);
+    return error ? helpers.message(`{{#label}} ${error}`) : value;
+  }),
+
+  // Personal data types to redact, e.g. "email,phone" or "-dob"
+  redactTypes: Joi.string().lowercase().replace(/\s+/g, '').custom((value, helpers) => {
+    const error = validateRedactTypes(value);
+    return error ? helpers.message(`{{#label}} ${error}`) : value;
+  }),
+
+  // Chunk size and overlap in tokens; the overlap must be smaller than the size
+  chunkSize: Joi.number().integer().min(constants.CHUNKING.MIN_SIZE).max(constants.CHUNKING.MAX_SIZE),
+  chunkOverlap: Joi.number().integer().min(0).less(Joi.ref('chunkSize', {
+    adjust: value => value || constants.CHUNKING.DEFAULT_SIZE,
+  })).messages({ 'number.less': '{{#label}} must be less than the chunk size' }),
+
+  // Installed Tesseract languages such as "eng+deu", or auto to detect the
+  // language from a first OCR pass. An unescaped + in a query string arrives
+  // as a space.
+  ocrLanguages: Joi.string().lowercase().trim().replace(/\s+/g, '+').custom((value, helpers) => {
+    const error = validateLanguageSpec(value);
+    return error ? helpers.message(`{{#label}} ${error}`) : value;
+  }),
+
+  // Response format; the Accept header is used when it is not given
+  documentFormat: Joi.string().valid('json', 'text', 'markdown', 'html'),
+
   // Pagination validation
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(20),
@@ -74,6 +123,47 @@ const validate = (schema, property = 'body') => {
   };
 };
 
+// Extraction options accepted by both single and batch extraction
+const extractionOptions = {
+  output: Joi.string().valid('text', 'structured', 'hocr', 'alto').default('text'),
+  // hOCR and ALTO documents are built from OCR, which mode=text turns off
+  mode: Joi.string().valid('text', 'ocr', 'auto').default('auto').when('output', {
+    is: Joi.valid('hocr', 'alto'),
+    then: Joi.invalid('text').messages({ 'any.only': '{{#label}} must be ocr or auto with output=hocr or output=alto' }),
+  }),
+  pages: schemas.pageRange.optional(),
+  tables: Joi.string().valid('json', 'csv').optional(),
+  metadata: Joi.string().valid('basic', 'full').default('basic'),
+  preprocess: schemas.preprocessSteps.optional(),
+  normalize: schemas.normalizeSteps.optional(),
+  languages: schemas.ocrLanguages.optional(),
+  minConfidence: Joi.number().min(0).max(100).optional(),
+  refresh: Joi.boolean().default(false), // extract again instead of using a cached result
+  // Redaction covers text output only; OCR layouts and hOCR/ALTO documents
+  // would still carry the words word by word
+  redact: Joi.when('output', {
+    is: 'text',
+    then: Joi.string().valid('mask', 'placeholder'),
+    otherwise: Joi.forbidden().messages({ 'any.unknown': '{{#label}} is only available with output=text' }),
+  }),
+  chunk: Joi.boolean().default(false), // also split the text into chunks for retrieval
+  chunkSize: Joi.when('chunk', {
+    is: true,
+    then: schemas.chunkSize,
+    otherwise: Joi.forbidden().messages({ 'any.unknown': '{{#label}} requires chunk=true' }),
+  }),
+  chunkOverlap: Joi.when('chunk', {
+    is: true,
+    then: schemas.chunkOverlap,
+    otherwise: Joi.forbidden().messages({ 'any.unknown': '{{#label}} requires chunk=true' }),
+  }),
+  redactTypes: Joi.when('redact', {
+    is: Joi.exist(),
+    then: schemas.redactTypes,
+    otherwise: Joi.forbidden().messages({ 'any.unknown': '{{#label}} requires redact' }),
+  }),
+};
+
 // Specific validation schemas for endpoints
 const validationSchemas = {
   // Document upload
@@ -115,6 +205,28 @@ const validationSchemas = {
   // Text extraction
   extractText: Joi.object({
     // File validation handled by multer and file validator
+    async: Joi.boolean().default(false),
+    format: schemas.documentFormat.optional(),
+    ...extractionOptions,
+  }),
+
+  // Batch text extraction
+  extractBatch: Joi.object(extractionOptions),
+
+  // Chunking of posted text
+  chunkText: Joi.object({
+    chunkSize: schemas.chunkSize.optional(),
+    chunkOverlap: schemas.chunkOverlap.optional(),
+  }),
+
+  // Job lookup and cancellation
+  jobParams: Joi.object({
+    id: schemas.jobId,
+  }),
+
+  // Job result format
+  jobResult: Joi.object({
+    format: schemas.documentFormat.optional(),
   }),
 };
 
@@ -126,12 +238,28 @@ const customValidators = {
       'application/pdf': ['.pdf'],
       'application/msword': ['.doc'],
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+      'application/vnd.oasis.opendocument.text': ['.odt'],
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+      'application/vnd.oasis.opendocument.presentation': ['.odp'],
       'text/plain': ['.txt'],
+      'text/markdown': ['.md', '.markdown'],
+      'text/x-markdown': ['.md', '.markdown'],
+      'text/html': ['.html', '.htm'],
+      'application/rtf': ['.rtf'],
+      'text/rtf': ['.rtf'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/vnd.ms-excel': ['.xls'],
+      'application/vnd.oasis.opendocument.spreadsheet': ['.ods'],
+      'text/csv': ['.csv'],
       'image/jpeg': ['.jpg', '.jpeg'],
       'image/png': ['.png'],
       'image/gif': ['.gif'],
       'image/bmp': ['.bmp'],
       'image/tiff': ['.tiff', '.tif'],
+      'application/zip': ['.zip'],
+      'application/x-zip-compressed': ['.zip'],
+      'message/rfc822': ['.eml'],
+      'application/vnd.ms-outlook': ['.msg'],
     };
 
     const allowedExtensions = extensionMap[file.mimetype] || [];
@@ -156,6 +284,16 @@ const customValidators = {
     return expectedMagic.every((byte, index) => byte === fileHeader[index]);
   },
 
+  // hOCR and ALTO documents only come from OCR, which runs on images and
+  // PDFs; returns an error message for other files, or null
+  validateOutputForFile: (file, options) => {
+    const ocrTypes = [...constants.FILES.ALLOWED_TYPES.PDF, ...constants.FILES.ALLOWED_TYPES.IMAGE];
+    if (!['hocr', 'alto'].includes(options.output) || ocrTypes.includes(file.mimetype)) {
+      return null;
+    }
+    return `output=${options.output} is only available for images and PDF files`;
+  },
+
   // Sanitize filename
   sanitizeFilename: (filename) => {
     return filename
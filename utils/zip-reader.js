@@ -0,0 +1,84 @@
+const yauzl = require('yauzl');
+const constants = require('../config/constants');
+
+const ZIP_LIMITS = constants.FILES.ZIP_DOCUMENT;
+
+const toMB = bytes => (bytes / (1024 * 1024)).toFixed(1);
+
+// Error for an entry that is, or a document whose entries are, too large
+const sizeError = (entrySize, name) => (entrySize > ZIP_LIMITS.MAX_ENTRY_SIZE
+  ? new Error(`Document part ${name} is larger than ${toMB(ZIP_LIMITS.MAX_ENTRY_SIZE)}MB`)
+  : new Error(`Document expands to more than ${toMB(ZIP_LIMITS.MAX_TOTAL_SIZE)}MB`));
+
+// Read the entries of a ZIP-based document (OOXML, OpenDocument) into memory.
+// `shouldRead(name)` picks the entries to load; the rest are skipped. The
+// number of entries and the size of what is read are capped, both by the
+// sizes the archive declares and by the bytes actually inflated.
+const readZipEntries = (filePath, shouldRead = () => true) => {
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) return reject(openError);
+
+      const entries = new Map();
+      let entryCount = 0;
+      let totalSize = 0;
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        zipfile.close();
+        reject(error);
+      };
+
+      zipfile.on('error', fail);
+      zipfile.on('end', () => resolve(entries));
+
+      zipfile.on('entry', (entry) => {
+        entryCount++;
+        if (entryCount > ZIP_LIMITS.MAX_ENTRIES) {
+          return fail(new Error(`Document contains more than ${ZIP_LIMITS.MAX_ENTRIES} entries`));
+        }
+
+        if (entry.fileName.endsWith('/') || !shouldRead(entry.fileName)) {
+          return zipfile.readEntry();
+        }
+
+        if (entry.uncompressedSize > ZIP_LIMITS.MAX_ENTRY_SIZE ||
+            totalSize + entry.uncompressedSize > ZIP_LIMITS.MAX_TOTAL_SIZE) {
+          return fail(sizeError(entry.uncompressedSize, entry.fileName));
+        }
+
+        zipfile.openReadStream(entry, (streamError, readStream) => {
+          if (streamError) return fail(streamError);
+
+          const chunks = [];
+          let entrySize = 0;
+
+          readStream.on('data', (chunk) => {
+            entrySize += chunk.length;
+            totalSize += chunk.length;
+
+            if (entrySize > ZIP_LIMITS.MAX_ENTRY_SIZE || totalSize > ZIP_LIMITS.MAX_TOTAL_SIZE) {
+              readStream.destroy();
+              return fail(sizeError(entrySize, entry.fileName));
+            }
+
+            chunks.push(chunk);
+          });
+          readStream.on('error', fail);
+          readStream.on('end', () => {
+            entries.set(entry.fileName, Buffer.concat(chunks));
+            zipfile.readEntry();
+          });
+        });
+      });
+
+      zipfile.readEntry();
+    });
+  });
+};
+
+module.exports = {
+  readZipEntries,
+};